@@ -0,0 +1,479 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { BAR_DURATIONS } from './okx-dex-api.js';
+import { normalizeSymbol } from './instrument-registry.js';
+import { computeIndicator } from './indicators.js';
+import { createAxiosTransport } from './transport.js';
+
+/**
+ * Alert rule types and the fields they need
+ * - above / below: `price`
+ * - change: `percent` and `minutes`, optional `direction` ('up', 'down' or 'any') and `bar` (default: '1m')
+ * - cross: `fast` and `slow` periods, optional `average` ('sma' or 'ema'), `bar` (default: '1H') and `direction`
+ */
+export const ALERT_TYPES = ['above', 'below', 'change', 'cross'];
+
+const DIRECTIONS = ['up', 'down', 'any'];
+
+/**
+ * Check a rule definition and fill in defaults
+ * @param {Object} rule - Rule definition
+ * @returns {Object} Normalized rule
+ * @throws {Error} When the rule is incomplete or inconsistent
+ */
+export function normalizeRule(rule) {
+  if (!ALERT_TYPES.includes(rule.type)) {
+    throw new Error(`Unknown alert type: ${rule.type} (expected ${ALERT_TYPES.join(', ')})`);
+  }
+  if (!rule.symbol) {
+    throw new Error('Alert rules need a symbol');
+  }
+
+  const normalized = {
+    ...rule,
+    id: rule.id || randomUUID(),
+    symbol: normalizeSymbol(rule.symbol),
+    cooldown: rule.cooldown ?? null
+  };
+  const positive = field => {
+    if (!(Number(rule[field]) > 0)) {
+      throw new Error(`${rule.type} alerts need a positive ${field}`);
+    }
+    normalized[field] = Number(rule[field]);
+  };
+
+  if (rule.type === 'above' || rule.type === 'below') {
+    positive('price');
+    return normalized;
+  }
+
+  normalized.direction = rule.direction || 'any';
+  if (!DIRECTIONS.includes(normalized.direction)) {
+    throw new Error(`Unknown direction: ${rule.direction} (expected ${DIRECTIONS.join(', ')})`);
+  }
+
+  if (rule.type === 'change') {
+    positive('percent');
+    positive('minutes');
+    normalized.bar = rule.bar || '1m';
+    const duration = BAR_DURATIONS[normalized.bar];
+    if (!duration || (normalized.minutes * 60000) % duration !== 0) {
+      throw new Error(`change alerts need minutes in whole ${normalized.bar} bars`);
+    }
+    normalized.bars = (normalized.minutes * 60000) / duration;
+  } else {
+    positive('fast');
+    positive('slow');
+    if (normalized.fast >= normalized.slow) {
+      throw new Error('cross alerts need a fast period shorter than the slow period');
+    }
+    normalized.average = rule.average || 'sma';
+    if (!['sma', 'ema'].includes(normalized.average)) {
+      throw new Error(`Unknown average: ${rule.average} (expected sma, ema)`);
+    }
+    normalized.bar = rule.bar || '1H';
+    if (!BAR_DURATIONS[normalized.bar]) {
+      throw new Error(`Invalid bar: ${normalized.bar}`);
+    }
+  }
+
+  if (candleLimit(normalized) > 300) {
+    throw new Error(`${rule.type} alert needs ${candleLimit(normalized)} ${normalized.bar} candles; OKX returns at most 300`);
+  }
+  return normalized;
+}
+
+/**
+ * Candles a rule needs, including the open candle
+ */
+function candleLimit(rule) {
+  return rule.type === 'change' ? rule.bars + 1 : rule.slow + 2;
+}
+
+/**
+ * Create a sink that prints alerts
+ * @param {Object} options - Sink options
+ * @param {Function} options.log - Print function (default: console.log)
+ * @returns {Function} Sink function
+ */
+export function createConsoleSink({ log = console.log } = {}) {
+  return async alert => {
+    log(`🔔 ${alert.message}`);
+  };
+}
+
+/**
+ * Create a sink that POSTs each alert as JSON
+ * @param {string} url - Webhook URL
+ * @param {Object} options - Sink options
+ * @param {Object} options.headers - Extra request headers (e.g., an authorization token)
+ * @param {number} options.timeout - Request timeout in ms (default: 5000)
+ * @param {Function} options.transport - Transport that sends the request (default: axios transport)
+ * @returns {Function} Sink function
+ */
+export function createWebhookSink(url, { headers = {}, timeout = 5000, transport = createAxiosTransport() } = {}) {
+  return async alert => {
+    const response = await transport({
+      method: 'POST',
+      url,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(alert),
+      timeout
+    });
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Webhook ${url} returned HTTP ${response.status}`);
+    }
+  };
+}
+
+/**
+ * Create a sink that appends each alert to a file as one JSON line
+ * @param {string} file - File to append to
+ * @returns {Function} Sink function
+ */
+export function createFileSink(file) {
+  let writing = Promise.resolve();
+  return alert => {
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(alert)}\n`);
+    });
+    return writing;
+  };
+}
+
+/**
+ * Alert Engine
+ * Evaluates standing alert rules against getTickersBulk and getCandlesticks
+ * and sends alerts to sinks.
+ *
+ * Alerts are edge-triggered: a rule fires when its condition becomes true and
+ * is re-armed once the condition is false again, so a price sitting above a
+ * level alerts once. Cross rules fire once per crossing candle. A rule's
+ * `cooldown` (ms) is the minimum time between its alerts.
+ *
+ * With a `file`, rules and their trigger state are saved as JSON, so a
+ * restarted engine neither loses rules nor repeats alerts.
+ *
+ * Events:
+ * - `alert` (alert) - a rule fired
+ * - `error` (error, rule) - a rule could not be evaluated or a sink failed (only emitted with a listener)
+ */
+export default class AlertEngine extends EventEmitter {
+  /**
+   * @param {OKXDexAPI} api - API client
+   * @param {Object} options - Engine options
+   * @param {Array<Function>} options.sinks - Functions called with each alert (default: [console sink])
+   * @param {string} options.file - JSON file for rules and their state (optional)
+   * @param {Array<Object>} options.rules - Rules to add on top of the saved ones
+   * @param {number} options.cooldown - Default cooldown between alerts of a rule, in ms (default: 0)
+   * @param {Function} options.clock - Returns the current time in ms (default: Date.now)
+   */
+  constructor(api, options = {}) {
+    super();
+    this.api = api;
+    this.sinks = options.sinks || [createConsoleSink()];
+    this.file = options.file || null;
+    this.cooldown = options.cooldown || 0;
+    this.clock = options.clock || Date.now;
+    this.rules = new Map();
+    this.state = new Map();
+    this.timer = null;
+    this.generation = 0;
+    this.writing = Promise.resolve();
+
+    if (this.file && fs.existsSync(this.file)) {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const rule of saved.rules || []) {
+        this.rules.set(rule.id, normalizeRule(rule));
+        this.state.set(rule.id, saved.state?.[rule.id] || {});
+      }
+    }
+    for (const rule of options.rules || []) {
+      const normalized = normalizeRule(rule);
+      this.rules.set(normalized.id, normalized);
+      this.state.set(normalized.id, this.state.get(normalized.id) || {});
+    }
+  }
+
+  /**
+   * Add or replace a rule
+   * @param {Object} rule - Rule definition ({ id, type, symbol, ... }); a missing id is generated
+   * @returns {Promise<Object>} Normalized rule
+   */
+  async addRule(rule) {
+    const normalized = normalizeRule(rule);
+    this.rules.set(normalized.id, normalized);
+    this.state.set(normalized.id, {});
+    await this.save();
+    return normalized;
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<boolean>} Whether the rule existed
+   */
+  async removeRule(id) {
+    const existed = this.rules.delete(id);
+    this.state.delete(id);
+    await this.save();
+    return existed;
+  }
+
+  /**
+   * List the rules
+   * @returns {Array<Object>} Rules in the order they were added
+   */
+  getRules() {
+    return [...this.rules.values()];
+  }
+
+  /**
+   * Evaluate every rule once and send alerts for those that fire
+   * Tickers come from one getTickersBulk call; candles are fetched once per symbol and bar.
+   * @returns {Promise<Object>} { alerts, errors } with errors as { ruleId: reason }
+   */
+  async check() {
+    const rules = this.getRules();
+    const errors = {};
+    const now = this.clock();
+
+    const symbols = [...new Set(rules.map(rule => rule.symbol))];
+    const tickers = new Map();
+    if (symbols.length > 0) {
+      const bulk = await this.api.getTickersBulk(symbols);
+      const found = symbols.filter(symbol => !bulk.errors[symbol]);
+      found.forEach((symbol, index) => tickers.set(symbol, bulk.tickers[index]));
+      for (const rule of rules) {
+        if (bulk.errors[rule.symbol]) {
+          errors[rule.id] = bulk.errors[rule.symbol];
+        }
+      }
+    }
+
+    const candles = await this.fetchCandles(rules.filter(rule => tickers.has(rule.symbol)));
+    const alerts = [];
+    for (const rule of rules) {
+      const ticker = tickers.get(rule.symbol);
+      if (!ticker) {
+        continue;
+      }
+      const series = candles.get(`${rule.symbol} ${rule.bar}`);
+      if (series instanceof Error) {
+        errors[rule.id] = series.message;
+        continue;
+      }
+
+      const alert = this.evaluate(rule, ticker, series, now);
+      if (alert) {
+        alerts.push(alert);
+      }
+    }
+
+    for (const [ruleId, message] of Object.entries(errors)) {
+      if (this.listenerCount('error') > 0) this.emit('error', new Error(message), this.rules.get(ruleId));
+    }
+    for (const alert of alerts) {
+      this.emit('alert', alert);
+      const failure = await this.deliver(alert);
+      if (failure) {
+        errors[alert.ruleId] = failure;
+      }
+    }
+
+    await this.save();
+    return { alerts, errors };
+  }
+
+  /**
+   * Fetch candles once per symbol and bar, with the most any rule needs
+   * @returns {Promise<Map>} 'symbol bar' -> candles oldest first, or the Error that loading them threw
+   */
+  async fetchCandles(rules) {
+    const requests = new Map();
+    for (const rule of rules.filter(entry => entry.type === 'change' || entry.type === 'cross')) {
+      const key = `${rule.symbol} ${rule.bar}`;
+      const request = requests.get(key) || { symbol: rule.symbol, bar: rule.bar, limit: 0 };
+      request.limit = Math.max(request.limit, candleLimit(rule));
+      requests.set(key, request);
+    }
+
+    const entries = [...requests.entries()];
+    const results = await Promise.allSettled(entries.map(([, request]) => this.api.getCandlesticks(request.symbol, request.bar, request.limit)));
+    const candles = new Map();
+    entries.forEach(([key], index) => {
+      const result = results[index];
+      candles.set(key, result.status === 'fulfilled'
+        ? [...result.value].sort((a, b) => a.timestamp - b.timestamp)
+        : result.reason);
+    });
+    return candles;
+  }
+
+  /**
+   * Apply a rule to the latest data, updating its state
+   * @returns {Object|null} Alert, or null when the rule does not fire
+   */
+  evaluate(rule, ticker, candles, now) {
+    const state = this.state.get(rule.id);
+    const price = Number(ticker.lastPrice);
+    const cooledDown = state.lastFiredAt === undefined || now - state.lastFiredAt >= (rule.cooldown ?? this.cooldown);
+
+    if (rule.type === 'cross') {
+      const cross = findCross(rule, candles);
+      if (!cross || cross.candleTimestamp === state.lastCrossAt) {
+        return null;
+      }
+      // A crossing is only reported once, even when the cooldown swallows it
+      state.lastCrossAt = cross.candleTimestamp;
+      if (!cooledDown) {
+        return null;
+      }
+      return this.fire(rule, now, price,
+        `${rule.symbol} ${rule.average.toUpperCase()}${rule.fast} crossed ${cross.direction === 'up' ? 'above' : 'below'} ${rule.average.toUpperCase()}${rule.slow} on ${rule.bar}`,
+        cross);
+    }
+
+    let triggered;
+    let details = {};
+    if (rule.type === 'above') {
+      triggered = price >= rule.price;
+    } else if (rule.type === 'below') {
+      triggered = price <= rule.price;
+    } else {
+      // Close of the candle `minutes` before the latest one
+      const reference = candles[candles.length - 1 - rule.bars];
+      const fromPrice = reference ? Number(reference.close) : 0;
+      if (!(fromPrice > 0)) {
+        return null;
+      }
+      const changePercent = ((price - fromPrice) / fromPrice) * 100;
+      triggered = Math.abs(changePercent) >= rule.percent &&
+        (rule.direction === 'any' || (rule.direction === 'up') === (changePercent > 0));
+      details = { changePercent, fromPrice };
+    }
+
+    if (!triggered) {
+      state.active = false;
+      return null;
+    }
+    if (state.active || !cooledDown) {
+      return null;
+    }
+    state.active = true;
+
+    const message = rule.type === 'change'
+      ? `${rule.symbol} moved ${details.changePercent >= 0 ? '+' : ''}${details.changePercent.toFixed(2)}% in ${rule.minutes}m to ${price}`
+      : `${rule.symbol} is ${rule.type} ${rule.price}: ${price}`;
+    return this.fire(rule, now, price, message, details);
+  }
+
+  /**
+   * Record that a rule fired and build its alert
+   */
+  fire(rule, now, price, message, details) {
+    this.state.get(rule.id).lastFiredAt = now;
+    return {
+      id: `${rule.id}:${now}`,
+      ruleId: rule.id,
+      type: rule.type,
+      symbol: rule.symbol,
+      price,
+      message: rule.message ? `${rule.message} (${message})` : message,
+      timestamp: now,
+      ...details
+    };
+  }
+
+  /**
+   * Send an alert to every sink
+   * @returns {Promise<string|null>} The failures, or null when every sink succeeded
+   */
+  async deliver(alert) {
+    const results = await Promise.allSettled(this.sinks.map(sink => sink(alert)));
+    const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    for (const error of failures) {
+      if (this.listenerCount('error') > 0) this.emit('error', error, this.rules.get(alert.ruleId));
+    }
+    return failures.length > 0 ? failures.map(error => error.message).join('; ') : null;
+  }
+
+  /**
+   * Write rules and state to the file, if any
+   */
+  async save() {
+    if (!this.file) {
+      return;
+    }
+    const contents = JSON.stringify({
+      rules: this.getRules().map(({ bars, ...rule }) => rule),
+      state: Object.fromEntries(this.state)
+    }, null, 2);
+    this.writing = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(this.file, contents);
+    });
+    await this.writing;
+  }
+
+  /**
+   * Check the rules every `interval` ms until stop() is called
+   * Failed checks are emitted as errors (with a listener) and polling continues.
+   * @param {number} interval - Poll interval in ms (default: 60000)
+   */
+  start(interval = 60000) {
+    this.stop();
+    // A check still running from before a restart must not reschedule itself
+    const generation = this.generation;
+    const poll = async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        if (this.listenerCount('error') > 0) this.emit('error', error, null);
+      }
+      if (this.generation === generation) {
+        this.timer = setTimeout(poll, interval);
+      }
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.generation++;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Find a moving average cross on the latest closed candle
+ * @returns {Object|null} { direction, candleTimestamp, fastValue, slowValue } when the rule's direction matches
+ */
+function findCross(rule, candles) {
+  const closed = candles.filter(candle => candle.confirmed !== false);
+  const fast = computeIndicator(rule.average, closed, { period: rule.fast });
+  const slow = computeIndicator(rule.average, closed, { period: rule.slow });
+  const last = closed.length - 1;
+  if (last < 1 || slow[last - 1] === null) {
+    return null;
+  }
+
+  const before = fast[last - 1] - slow[last - 1];
+  const after = fast[last] - slow[last];
+  let direction = null;
+  if (before <= 0 && after > 0) {
+    direction = 'up';
+  } else if (before >= 0 && after < 0) {
+    direction = 'down';
+  }
+  if (!direction || (rule.direction !== 'any' && rule.direction !== direction)) {
+    return null;
+  }
+  return { direction, candleTimestamp: closed[last].timestamp, fastValue: fast[last], slowValue: slow[last] };
+}
@@ -0,0 +1,324 @@
+import { EventEmitter } from 'events';
+import { BAR_DURATIONS } from './okx-dex-api.js';
+
+/**
+ * Bar types and what their `size` measures
+ * - time: milliseconds per bar (or an OKX bar string such as '30s' or '5m')
+ * - volume: base volume per bar (contracts x contractValue for derivatives)
+ * - tick: trades per bar
+ * - dollar: quote notional per bar
+ */
+export const BAR_TYPES = ['time', 'volume', 'tick', 'dollar'];
+
+/**
+ * Parse a time bar size: milliseconds, an OKX bar ('1m', '4H') or a number of seconds ('30s')
+ */
+function parseInterval(size) {
+  if (typeof size === 'number') {
+    return size;
+  }
+  if (BAR_DURATIONS[size]) {
+    return BAR_DURATIONS[size];
+  }
+  const seconds = /^(\d+)s$/.exec(size);
+  if (seconds) {
+    return parseInt(seconds[1]) * 1000;
+  }
+  throw new Error(`Invalid time bar size: ${size}`);
+}
+
+/**
+ * Order trades by time, then by trade ID (numeric strings compare by length first)
+ */
+function compareTrades(a, b) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp - b.timestamp;
+  }
+  const idA = String(a.tradeId);
+  const idB = String(b.tradeId);
+  return idA.length - idB.length || (idA < idB ? -1 : idA > idB ? 1 : 0);
+}
+
+/**
+ * Bar Builder
+ * Aggregates trades from getRecentTrades or a trade stream into time,
+ * volume, tick or dollar bars with VWAP, buy/sell volume and trade counts.
+ *
+ * Trades seen before (by tradeId) are dropped. Trades may arrive out of order
+ * by up to `lateness` ms: they are held back and released in time order once
+ * a trade that much newer arrives. Trades older than what was already
+ * released are counted as late and dropped.
+ *
+ * Events: 'bar' (bar) for every completed bar, 'late' (trade) for dropped late trades.
+ */
+export default class BarBuilder extends EventEmitter {
+  /**
+   * @param {Object} options - Builder options
+   * @param {string} options.type - 'time', 'volume', 'tick' or 'dollar' (default: 'time')
+   * @param {number|string} options.size - Bar size in the unit of its type (see BAR_TYPES)
+   * @param {number} options.lateness - How far out of order trades may arrive, in ms (default: 0)
+   * @param {boolean} options.fillGaps - Emit empty time bars for intervals without trades (default: false)
+   * @param {number} options.contractValue - Base amount per unit of trade size, for derivatives (default: 1)
+   * @param {number} options.maxTrackedIds - Trade IDs remembered for duplicate detection (default: 10000)
+   */
+  constructor(options = {}) {
+    super();
+    this.type = options.type || 'time';
+    if (!BAR_TYPES.includes(this.type)) {
+      throw new Error(`Unknown bar type: ${this.type} (expected ${BAR_TYPES.join(', ')})`);
+    }
+    this.size = this.type === 'time' ? parseInterval(options.size ?? '1m') : Number(options.size);
+    if (!(this.size > 0)) {
+      throw new Error(`Invalid ${this.type} bar size: ${options.size}`);
+    }
+
+    this.lateness = options.lateness || 0;
+    this.fillGaps = options.fillGaps === true;
+    this.contractValue = options.contractValue || 1;
+    this.maxTrackedIds = options.maxTrackedIds || 10000;
+
+    this.seenIds = new Set();
+    this.pending = [];
+    this.watermark = -Infinity;
+    this.released = null;
+    this.bar = null;
+    this.stats = { trades: 0, duplicates: 0, late: 0, bars: 0 };
+  }
+
+  /**
+   * Add one trade
+   * @param {Object} trade - Normalized trade ({ tradeId, price, size, side, timestamp }); fields may be strings or Decimals
+   * @returns {Array<Object>} Bars completed by this trade
+   */
+  add(trade) {
+    const normalized = {
+      tradeId: String(trade.tradeId),
+      price: Number(trade.price),
+      size: Number(trade.size) * this.contractValue,
+      side: trade.side,
+      timestamp: Number(trade.timestamp)
+    };
+
+    if (this.seenIds.has(normalized.tradeId)) {
+      this.stats.duplicates++;
+      return [];
+    }
+    if (this.released && compareTrades(normalized, this.released) < 0) {
+      this.stats.late++;
+      this.emit('late', trade);
+      return [];
+    }
+
+    this.remember(normalized.tradeId);
+    this.stats.trades++;
+    this.insertPending(normalized);
+    this.watermark = Math.max(this.watermark, normalized.timestamp);
+
+    const completed = [];
+    while (this.pending.length > 0 && this.pending[0].timestamp <= this.watermark - this.lateness) {
+      completed.push(...this.apply(this.pending.shift()));
+    }
+    return completed;
+  }
+
+  /**
+   * Add a batch of trades in any order, e.g. a getRecentTrades result (newest first)
+   * @param {Array<Object>} trades - Normalized trades
+   * @returns {Array<Object>} Bars completed by these trades
+   */
+  addAll(trades) {
+    const completed = [];
+    for (const trade of [...trades].sort((a, b) => compareTrades(
+      { timestamp: Number(a.timestamp), tradeId: a.tradeId },
+      { timestamp: Number(b.timestamp), tradeId: b.tradeId }
+    ))) {
+      completed.push(...this.add(trade));
+    }
+    return completed;
+  }
+
+  /**
+   * Get the bar being built
+   * Trades still held back for lateness are not included yet.
+   * @returns {Object|null} Open bar (closed: false), or null when no bar is open
+   */
+  current() {
+    return this.bar ? { ...this.bar } : null;
+  }
+
+  /**
+   * Release held-back trades and close the open bar
+   * @returns {Array<Object>} Bars completed by flushing, including the partial last bar
+   */
+  flush() {
+    const completed = [];
+    while (this.pending.length > 0) {
+      completed.push(...this.apply(this.pending.shift()));
+    }
+    if (this.bar) {
+      completed.push(this.close());
+    }
+    return completed;
+  }
+
+  /**
+   * Get trade and bar counters
+   * @returns {Object} { trades, duplicates, late, bars }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Remember a trade ID, forgetting the oldest beyond maxTrackedIds
+   */
+  remember(tradeId) {
+    this.seenIds.add(tradeId);
+    if (this.seenIds.size > this.maxTrackedIds) {
+      this.seenIds.delete(this.seenIds.values().next().value);
+    }
+  }
+
+  /**
+   * Insert a trade into the held-back list, keeping it in time order
+   */
+  insertPending(trade) {
+    let index = this.pending.length;
+    while (index > 0 && compareTrades(this.pending[index - 1], trade) > 0) {
+      index--;
+    }
+    this.pending.splice(index, 0, trade);
+  }
+
+  /**
+   * Add a released trade to the open bar
+   * @returns {Array<Object>} Bars completed before or by this trade
+   */
+  apply(trade) {
+    this.released = trade;
+    const completed = [];
+
+    if (this.type === 'time') {
+      const start = Math.floor(trade.timestamp / this.size) * this.size;
+      if (this.bar && start > this.bar.timestamp) {
+        const previous = this.close();
+        completed.push(previous);
+        if (this.fillGaps) {
+          for (let gap = previous.timestamp + this.size; gap < start; gap += this.size) {
+            completed.push(this.emitBar(this.emptyBar(gap, previous.close)));
+          }
+        }
+      }
+      if (!this.bar) {
+        this.bar = this.openBar(trade, start, start + this.size);
+      }
+    } else if (!this.bar) {
+      this.bar = this.openBar(trade, trade.timestamp, null);
+    }
+
+    const bar = this.bar;
+    const notional = trade.price * trade.size;
+    bar.high = Math.max(bar.high, trade.price);
+    bar.low = Math.min(bar.low, trade.price);
+    bar.close = trade.price;
+    bar.volume += trade.size;
+    bar.notional += notional;
+    bar.vwap = bar.volume > 0 ? bar.notional / bar.volume : trade.price;
+    if (trade.side === 'buy') {
+      bar.buyVolume += trade.size;
+    } else if (trade.side === 'sell') {
+      bar.sellVolume += trade.size;
+    }
+    bar.trades++;
+    bar.lastTradeId = trade.tradeId;
+    if (this.type !== 'time') {
+      bar.closeTime = trade.timestamp;
+    }
+
+    // Threshold bars close on the trade that reaches the threshold (no trade is split)
+    const filled = { volume: bar.volume, tick: bar.trades, dollar: bar.notional }[this.type];
+    if (filled !== undefined && filled >= this.size) {
+      completed.push(this.close());
+    }
+    return completed;
+  }
+
+  /**
+   * Start a bar with its first trade
+   */
+  openBar(trade, timestamp, closeTime) {
+    return {
+      type: this.type,
+      timestamp,
+      closeTime,
+      open: trade.price,
+      high: trade.price,
+      low: trade.price,
+      close: trade.price,
+      volume: 0,
+      notional: 0,
+      vwap: trade.price,
+      buyVolume: 0,
+      sellVolume: 0,
+      trades: 0,
+      firstTradeId: trade.tradeId,
+      lastTradeId: trade.tradeId,
+      closed: false
+    };
+  }
+
+  /**
+   * A time bar without trades, flat at the previous close
+   */
+  emptyBar(timestamp, price) {
+    return {
+      type: this.type,
+      timestamp,
+      closeTime: timestamp + this.size,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume: 0,
+      notional: 0,
+      vwap: null,
+      buyVolume: 0,
+      sellVolume: 0,
+      trades: 0,
+      firstTradeId: null,
+      lastTradeId: null,
+      closed: true
+    };
+  }
+
+  /**
+   * Close the open bar and emit it
+   */
+  close() {
+    const bar = { ...this.bar, closed: true };
+    this.bar = null;
+    return this.emitBar(bar);
+  }
+
+  /**
+   * Count and emit a completed bar
+   */
+  emitBar(bar) {
+    this.stats.bars++;
+    this.emit('bar', bar);
+    return bar;
+  }
+}
+
+/**
+ * Build bars from a batch of trades in one call
+ * @param {Array<Object>} trades - Normalized trades in any order
+ * @param {Object} options - BarBuilder options
+ * @returns {Array<Object>} Bars oldest first; the last one is the partial bar (closed: false) if any
+ */
+export function buildBars(trades, options = {}) {
+  const builder = new BarBuilder({ ...options, lateness: 0 });
+  const bars = builder.addAll(trades);
+  const open = builder.current();
+  return open ? [...bars, open] : bars;
+}
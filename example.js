@@ -18,7 +18,7 @@ async function runExample() {
     console.log('BTC-USDT Ticker:');
     console.log(`  Price: $${btcTicker.lastPrice.toLocaleString()}`);
     console.log(`  24h Volume: ${btcTicker.volume24h.toLocaleString()} BTC`);
-    console.log(`  24h Change: ${btcTicker.changePercent24h}%`);
+    console.log(`  24h Change: ${btcTicker.changePercent24h.toFixed(2)}%`);
     console.log(`  24h High: $${btcTicker.high24h.toLocaleString()}`);
     console.log(`  24h Low: $${btcTicker.low24h.toLocaleString()}`);
 
@@ -54,7 +54,7 @@ async function runExample() {
     
     console.log('Top 5 by 24h Volume:');
     topByVolume.forEach((stat, index) => {
-      console.log(`  ${index + 1}. ${stat.symbol} - $${stat.lastPrice.toLocaleString()} (${stat.changePercent24h}%) - Vol: $${(stat.volumeCcy24h / 1000000).toFixed(2)}M`);
+      console.log(`  ${index + 1}. ${stat.symbol} - $${stat.lastPrice.toLocaleString()} (${stat.changePercent24h.toFixed(2)}%) - Vol: $${(stat.volumeCcy24h / 1000000).toFixed(2)}M`);
     });
 
     // Example 5: Get candlestick data for DOGE-USDT
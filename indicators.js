@@ -0,0 +1,411 @@
+/**
+ * Technical indicators over normalized candles
+ *
+ * Every indicator is a step function that folds one candle into its state,
+ * so a full series and a stream of updates give the same values. Candles may
+ * come oldest or newest first, and their fields may be numbers, strings or
+ * Decimals (any numeric mode); values are computed as JavaScript numbers.
+ */
+
+/**
+ * Read a price from a candle
+ * @param {Object} candle - Normalized candle
+ * @param {string} source - 'open', 'high', 'low', 'close', 'hl2' or 'hlc3' (default: 'close')
+ * @returns {number} Price
+ */
+export function candlePrice(candle, source = 'close') {
+  switch (source) {
+    case 'hl2':
+      return (Number(candle.high) + Number(candle.low)) / 2;
+    case 'hlc3':
+      return (Number(candle.high) + Number(candle.low) + Number(candle.close)) / 3;
+    case 'open':
+    case 'high':
+    case 'low':
+    case 'close':
+      return Number(candle[source]);
+    default:
+      throw new Error(`Unknown price source: ${source}`);
+  }
+}
+
+/**
+ * Return candles oldest first
+ * @param {Array<Object>} candles - Candles in either order
+ * @returns {Array<Object>} New array sorted by timestamp
+ */
+export function sortCandles(candles) {
+  return [...candles].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Simple moving average
+ */
+function smaStepper({ period = 20, source = 'close' } = {}) {
+  return {
+    initial: { window: [], value: null },
+    step(state, candle) {
+      const window = [...state.window, candlePrice(candle, source)].slice(-period);
+      const value = window.length === period ? window.reduce((sum, price) => sum + price, 0) / period : null;
+      return { window, value };
+    }
+  };
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` prices
+ * `price` lets other indicators feed it values that are not candles.
+ */
+function emaStepper({ period = 20, source = 'close', price = candle => candlePrice(candle, source) } = {}) {
+  const alpha = 2 / (period + 1);
+  return {
+    initial: { count: 0, sum: 0, value: null },
+    step(state, input) {
+      const current = price(input);
+      const count = state.count + 1;
+      if (count < period) {
+        return { count, sum: state.sum + current, value: null };
+      }
+      const value = count === period
+        ? (state.sum + current) / period
+        : state.value + alpha * (current - state.value);
+      return { count, sum: 0, value };
+    }
+  };
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ */
+function rsiStepper({ period = 14, source = 'close' } = {}) {
+  return {
+    initial: { previous: null, count: 0, gain: 0, loss: 0, value: null },
+    step(state, candle) {
+      const price = candlePrice(candle, source);
+      if (state.previous === null) {
+        return { ...state, previous: price };
+      }
+
+      const change = price - state.previous;
+      const count = state.count + 1;
+      let gain;
+      let loss;
+      if (count <= period) {
+        // Sum the first `period` changes, then average them
+        gain = state.gain + Math.max(change, 0);
+        loss = state.loss + Math.max(-change, 0);
+        if (count === period) {
+          gain /= period;
+          loss /= period;
+        }
+      } else {
+        gain = (state.gain * (period - 1) + Math.max(change, 0)) / period;
+        loss = (state.loss * (period - 1) + Math.max(-change, 0)) / period;
+      }
+
+      let value = null;
+      if (count >= period) {
+        value = loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+      }
+      return { previous: price, count, gain, loss, value };
+    }
+  };
+}
+
+/**
+ * Moving average convergence/divergence
+ */
+function macdStepper({ fast = 12, slow = 26, signal = 9, source = 'close' } = {}) {
+  const fastEma = emaStepper({ period: fast, source });
+  const slowEma = emaStepper({ period: slow, source });
+  const signalEma = emaStepper({ period: signal, price: value => value });
+
+  return {
+    initial: { fast: fastEma.initial, slow: slowEma.initial, signal: signalEma.initial, value: null },
+    step(state, candle) {
+      const next = {
+        fast: fastEma.step(state.fast, candle),
+        slow: slowEma.step(state.slow, candle),
+        signal: state.signal,
+        value: null
+      };
+      if (next.fast.value === null || next.slow.value === null) {
+        return next;
+      }
+
+      const macd = next.fast.value - next.slow.value;
+      next.signal = signalEma.step(state.signal, macd);
+      const signalValue = next.signal.value;
+      next.value = {
+        macd,
+        signal: signalValue,
+        histogram: signalValue === null ? null : macd - signalValue
+      };
+      return next;
+    }
+  };
+}
+
+/**
+ * Bollinger bands: SMA +/- `multiplier` population standard deviations
+ */
+function bollingerStepper({ period = 20, multiplier = 2, source = 'close' } = {}) {
+  return {
+    initial: { window: [], value: null },
+    step(state, candle) {
+      const window = [...state.window, candlePrice(candle, source)].slice(-period);
+      if (window.length < period) {
+        return { window, value: null };
+      }
+
+      const middle = window.reduce((sum, price) => sum + price, 0) / period;
+      const deviation = Math.sqrt(window.reduce((sum, price) => sum + (price - middle) ** 2, 0) / period);
+      const upper = middle + multiplier * deviation;
+      const lower = middle - multiplier * deviation;
+      return {
+        window,
+        value: {
+          middle,
+          upper,
+          lower,
+          bandwidth: middle === 0 ? null : (upper - lower) / middle
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Average true range with Wilder's smoothing
+ */
+function atrStepper({ period = 14 } = {}) {
+  return {
+    initial: { previousClose: null, count: 0, sum: 0, value: null },
+    step(state, candle) {
+      const high = Number(candle.high);
+      const low = Number(candle.low);
+      const trueRange = state.previousClose === null
+        ? high - low
+        : Math.max(high - low, Math.abs(high - state.previousClose), Math.abs(low - state.previousClose));
+
+      const count = state.count + 1;
+      let value = null;
+      if (count === period) {
+        value = (state.sum + trueRange) / period;
+      } else if (count > period) {
+        value = (state.value * (period - 1) + trueRange) / period;
+      }
+      return { previousClose: Number(candle.close), count, sum: state.sum + trueRange, value };
+    }
+  };
+}
+
+/**
+ * Volume-weighted average of the typical price, cumulative or over the last `period` candles
+ */
+function vwapStepper({ period = null } = {}) {
+  return {
+    initial: { window: [], value: null },
+    step(state, candle) {
+      const volume = Number(candle.volume);
+      let window = [...state.window, { notional: candlePrice(candle, 'hlc3') * volume, volume }];
+      if (period) {
+        window = window.slice(-period);
+      }
+
+      const notional = window.reduce((sum, entry) => sum + entry.notional, 0);
+      const totalVolume = window.reduce((sum, entry) => sum + entry.volume, 0);
+      // Without a period, cumulative totals are enough
+      return {
+        window: period ? window : [{ notional, volume: totalVolume }],
+        value: totalVolume > 0 ? notional / totalVolume : null
+      };
+    }
+  };
+}
+
+const STEPPERS = {
+  sma: smaStepper,
+  ema: emaStepper,
+  rsi: rsiStepper,
+  macd: macdStepper,
+  bollinger: bollingerStepper,
+  atr: atrStepper,
+  vwap: vwapStepper
+};
+
+/**
+ * Names of the available indicators
+ */
+export const INDICATORS = Object.keys(STEPPERS);
+
+/**
+ * Get the stepper for an indicator
+ */
+function getStepper(name, options) {
+  const create = STEPPERS[name];
+  if (!create) {
+    throw new Error(`Unknown indicator: ${name} (expected ${INDICATORS.join(', ')})`);
+  }
+  return create(options);
+}
+
+/**
+ * Compute an indicator over a full series
+ * Values are returned in the order of the input, so `values[i]` belongs to
+ * `candles[i]` whether the candles are oldest or newest first. Values are
+ * null until the indicator has enough candles.
+ * @param {string} name - Indicator name (see INDICATORS)
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {Object} options - Indicator options
+ * @returns {Array} One value per candle
+ */
+export function computeIndicator(name, candles, options = {}) {
+  const stepper = getStepper(name, options);
+  const order = candles.map((candle, index) => index).sort((a, b) => candles[a].timestamp - candles[b].timestamp);
+  const values = new Array(candles.length);
+
+  let state = stepper.initial;
+  for (const index of order) {
+    state = stepper.step(state, candles[index]);
+    values[index] = state.value;
+  }
+  return values;
+}
+
+/**
+ * Simple moving average
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {number} period - Candles per average (default: 20)
+ * @param {Object} options - `source` price (default: 'close')
+ * @returns {Array<number|null>} One value per candle
+ */
+export function sma(candles, period = 20, options = {}) {
+  return computeIndicator('sma', candles, { ...options, period });
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` candles
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {number} period - Smoothing period (default: 20)
+ * @param {Object} options - `source` price (default: 'close')
+ * @returns {Array<number|null>} One value per candle
+ */
+export function ema(candles, period = 20, options = {}) {
+  return computeIndicator('ema', candles, { ...options, period });
+}
+
+/**
+ * Relative strength index (Wilder)
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {number} period - Smoothing period (default: 14)
+ * @returns {Array<number|null>} Values from 0 to 100, one per candle
+ */
+export function rsi(candles, period = 14) {
+  return computeIndicator('rsi', candles, { period });
+}
+
+/**
+ * MACD line, signal line and histogram
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {Object} options - `fast` (12), `slow` (26) and `signal` (9) periods
+ * @returns {Array<Object|null>} { macd, signal, histogram } per candle; signal and histogram stay null while the signal warms up
+ */
+export function macd(candles, options = {}) {
+  return computeIndicator('macd', candles, options);
+}
+
+/**
+ * Bollinger bands
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {Object} options - `period` (20) and `multiplier` of standard deviations (2)
+ * @returns {Array<Object|null>} { middle, upper, lower, bandwidth } per candle
+ */
+export function bollinger(candles, options = {}) {
+  return computeIndicator('bollinger', candles, options);
+}
+
+/**
+ * Average true range (Wilder)
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {number} period - Smoothing period (default: 14)
+ * @returns {Array<number|null>} One value per candle
+ */
+export function atr(candles, period = 14) {
+  return computeIndicator('atr', candles, { period });
+}
+
+/**
+ * Volume-weighted average price of the typical price (high + low + close) / 3
+ * @param {Array<Object>} candles - Normalized candles
+ * @param {Object} options - `period` for a rolling window (default: cumulative over the series)
+ * @returns {Array<number|null>} One value per candle
+ */
+export function vwap(candles, options = {}) {
+  return computeIndicator('vwap', candles, options);
+}
+
+/**
+ * Incremental Indicator
+ * Keeps an indicator current as candles arrive from polling or streaming.
+ * A candle with the timestamp of the latest one replaces it (the open candle
+ * changing), newer candles advance the series and older ones are ignored.
+ */
+export class IncrementalIndicator {
+  /**
+   * @param {string} name - Indicator name (see INDICATORS)
+   * @param {Object} options - Indicator options (e.g., { period: 14 })
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.stepper = getStepper(name, options);
+    this.reset();
+  }
+
+  /**
+   * Forget all candles
+   */
+  reset() {
+    this.previousState = this.stepper.initial;
+    this.state = this.stepper.initial;
+    this.lastTimestamp = null;
+  }
+
+  /**
+   * Current value
+   */
+  get value() {
+    return this.state.value;
+  }
+
+  /**
+   * Add or revise a candle
+   * @param {Object} candle - Normalized candle
+   * @returns {*} Current value
+   */
+  update(candle) {
+    const timestamp = Number(candle.timestamp);
+    if (this.lastTimestamp !== null && timestamp < this.lastTimestamp) {
+      return this.value;
+    }
+
+    if (timestamp !== this.lastTimestamp) {
+      this.previousState = this.state;
+      this.lastTimestamp = timestamp;
+    }
+    this.state = this.stepper.step(this.previousState, candle);
+    return this.value;
+  }
+
+  /**
+   * Add a batch of candles in either order, e.g. a getCandlesticks result
+   * @param {Array<Object>} candles - Normalized candles
+   * @returns {*} Current value
+   */
+  updateAll(candles) {
+    for (const candle of sortCandles(candles)) {
+      this.update(candle);
+    }
+    return this.value;
+  }
+}
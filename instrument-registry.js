@@ -0,0 +1,264 @@
+import { EventEmitter } from 'events';
+import { InvalidInstrumentError, OrderValidationError } from './okx-errors.js';
+
+// Tolerance for float division when checking how many steps fit in a value
+const STEP_EPSILON = 1e-9;
+
+/**
+ * Convert a symbol to the OKX dash-separated form
+ * Accepts 'BTC-USDT', 'BTC/USDT', 'btc_usdt' and 'BTC-USDT-SWAP'. Concatenated
+ * symbols such as 'BTCUSDT' cannot be split without the instrument list and are
+ * returned upper-cased; InstrumentRegistry.resolve handles them.
+ * @param {string} symbol - Symbol in any supported format
+ * @returns {string} Upper-case symbol with '-' separators
+ */
+export function normalizeSymbol(symbol) {
+  return String(symbol).trim().toUpperCase().replace(/[/_\s]+/g, '-');
+}
+
+/**
+ * Key used to match symbols regardless of separators
+ * @param {string} symbol - Symbol in any format
+ * @returns {string} Upper-case symbol without separators ('BTC-USDT' -> 'BTCUSDT')
+ */
+export function compactSymbol(symbol) {
+  return String(symbol).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Number of decimals needed to represent a tick or lot size
+ * @param {number} step - Tick or lot size (e.g., 0.01 or 1e-8)
+ * @returns {number} Decimal places
+ */
+export function stepDecimals(step) {
+  const [mantissa, exponent] = String(step).split('e');
+  const decimals = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, decimals - (parseInt(exponent) || 0));
+}
+
+/**
+ * Round a value to a multiple of a step
+ * @param {number} value - Price or size
+ * @param {number} step - Tick or lot size
+ * @param {string} mode - 'nearest', 'down' or 'up' (default: 'nearest')
+ * @returns {number} Value on the step grid, without float artifacts
+ */
+export function roundToStep(value, step, mode = 'nearest') {
+  if (!step) {
+    return value;
+  }
+
+  const units = value / step;
+  let rounded;
+  if (mode === 'down') {
+    rounded = Math.floor(units + STEP_EPSILON);
+  } else if (mode === 'up') {
+    rounded = Math.ceil(units - STEP_EPSILON);
+  } else {
+    rounded = Math.round(units);
+  }
+  return parseFloat((rounded * step).toFixed(stepDecimals(step)));
+}
+
+/**
+ * Instrument Registry
+ * Caches /public/instruments per instrument type, resolves symbols in any
+ * format to the canonical instrument, and rounds prices and sizes to the
+ * instrument's tick and lot size.
+ *
+ * Events:
+ * - `listed` (instrument) - an instrument appeared on refresh
+ * - `delisted` (instrument) - an instrument disappeared on refresh
+ * - `stateChange` (instrument, previousState) - an instrument changed state (e.g., 'live' -> 'suspend')
+ */
+export default class InstrumentRegistry extends EventEmitter {
+  /**
+   * @param {OKXDexAPI} api - Client used to fetch instruments
+   * @param {Object} options - Registry options
+   * @param {Array<string>} options.instTypes - Instrument types to load (default: ['SPOT']); the first is the default for lookups
+   * @param {number} options.ttl - How long a loaded list stays fresh before resolve() refreshes it (default: 300000ms)
+   */
+  constructor(api, options = {}) {
+    super();
+    this.api = api;
+    this.instTypes = options.instTypes || ['SPOT'];
+    this.ttl = options.ttl ?? 300000;
+    this.types = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Fetch the instrument list for one or all configured types and report changes
+   * The first load of a type reports no listings.
+   * @param {string} instType - Instrument type (optional, default: all configured types)
+   * @returns {Promise<Object>} { listed, delisted, stateChanges } since the previous load
+   */
+  async refresh(instType = null) {
+    const changes = { listed: [], delisted: [], stateChanges: [] };
+    for (const type of instType ? [instType] : this.instTypes) {
+      const result = await this.load(type);
+      changes.listed.push(...result.listed);
+      changes.delisted.push(...result.delisted);
+      changes.stateChanges.push(...result.stateChanges);
+    }
+    return changes;
+  }
+
+  /**
+   * Load one instrument type, sharing the request between concurrent callers
+   */
+  load(instType) {
+    if (!this.pending.has(instType)) {
+      const promise = this.api.getInstruments(instType)
+        .then(instruments => this.replace(instType, instruments))
+        .finally(() => this.pending.delete(instType));
+      this.pending.set(instType, promise);
+    }
+    return this.pending.get(instType);
+  }
+
+  /**
+   * Swap in a new instrument list and emit the differences
+   */
+  replace(instType, instruments) {
+    const previous = this.types.get(instType);
+    const bySymbol = new Map();
+    const byCompact = new Map();
+    for (const instrument of instruments) {
+      bySymbol.set(instrument.symbol, instrument);
+      byCompact.set(compactSymbol(instrument.symbol), instrument);
+    }
+    this.types.set(instType, { bySymbol, byCompact, loadedAt: Date.now() });
+
+    const changes = { listed: [], delisted: [], stateChanges: [] };
+    if (!previous) {
+      return changes;
+    }
+
+    for (const [symbol, instrument] of bySymbol) {
+      const old = previous.bySymbol.get(symbol);
+      if (!old) {
+        changes.listed.push(instrument);
+        this.emit('listed', instrument);
+      } else if (old.state !== instrument.state) {
+        changes.stateChanges.push({ instrument, previousState: old.state });
+        this.emit('stateChange', instrument, old.state);
+      }
+    }
+    for (const [symbol, instrument] of previous.bySymbol) {
+      if (!bySymbol.has(symbol)) {
+        changes.delisted.push(instrument);
+        this.emit('delisted', instrument);
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Check whether a type was loaded within the TTL
+   * @param {string} instType - Instrument type
+   * @returns {boolean} True when cached data can be used
+   */
+  isFresh(instType) {
+    const entry = this.types.get(instType);
+    return entry !== undefined && Date.now() - entry.loadedAt < this.ttl;
+  }
+
+  /**
+   * Look up a loaded instrument without fetching
+   * @param {string} symbol - Symbol in any supported format (e.g., 'BTC-USDT', 'BTCUSDT', 'BTC/USDT')
+   * @param {string} instType - Instrument type (default: the first configured type)
+   * @returns {Object|null} Instrument as returned by getInstruments, or null when unknown
+   */
+  get(symbol, instType = this.instTypes[0]) {
+    const entry = this.types.get(instType);
+    if (!entry) {
+      return null;
+    }
+    return entry.bySymbol.get(normalizeSymbol(symbol))
+      || entry.byCompact.get(compactSymbol(symbol))
+      || null;
+  }
+
+  /**
+   * Resolve a symbol to a live instrument, loading the list when it is stale
+   * @param {string} symbol - Symbol in any supported format
+   * @param {string} instType - Instrument type (default: the first configured type)
+   * @returns {Promise<Object>} The instrument
+   * @throws {InvalidInstrumentError} When the instrument does not exist or is not live
+   */
+  async resolve(symbol, instType = this.instTypes[0]) {
+    if (!this.isFresh(instType)) {
+      await this.load(instType);
+    }
+    return this.require(symbol, instType);
+  }
+
+  /**
+   * Look up a loaded instrument that must exist and be live
+   */
+  require(symbol, instType = this.instTypes[0]) {
+    if (!this.types.has(instType)) {
+      throw new InvalidInstrumentError(`${instType} instruments are not loaded; call refresh() first`);
+    }
+    const instrument = this.get(symbol, instType);
+    if (!instrument) {
+      throw new InvalidInstrumentError(`Unknown ${instType} instrument: ${symbol}`);
+    }
+    if (instrument.state !== 'live') {
+      throw new InvalidInstrumentError(`${instrument.symbol} is not live (state: ${instrument.state})`);
+    }
+    return instrument;
+  }
+
+  /**
+   * Round a price to the instrument's tick size
+   * @param {string} symbol - Symbol in any supported format
+   * @param {number} price - Price to round
+   * @param {string} mode - 'nearest', 'down' or 'up' (default: 'nearest')
+   * @param {string} instType - Instrument type (default: the first configured type)
+   * @returns {number} Price on the tick grid
+   */
+  roundPrice(symbol, price, mode = 'nearest', instType = this.instTypes[0]) {
+    return roundToStep(price, this.require(symbol, instType).tickSize, mode);
+  }
+
+  /**
+   * Round a size to the instrument's lot size
+   * @param {string} symbol - Symbol in any supported format
+   * @param {number} size - Size to round
+   * @param {string} mode - 'down', 'nearest' or 'up' (default: 'down', so orders never exceed the requested size)
+   * @param {string} instType - Instrument type (default: the first configured type)
+   * @returns {number} Size on the lot grid
+   */
+  roundSize(symbol, size, mode = 'down', instType = this.instTypes[0]) {
+    return roundToStep(size, this.require(symbol, instType).lotSize, mode);
+  }
+
+  /**
+   * Round an order to the instrument's grid and check the minimum size
+   * @param {string} symbol - Symbol in any supported format
+   * @param {Object} order - { price (optional for market orders), size }
+   * @param {string} instType - Instrument type (default: the first configured type)
+   * @returns {Object} { symbol, price, size } with the canonical symbol and rounded values
+   * @throws {InvalidInstrumentError} When the instrument does not exist or is not live
+   * @throws {OrderValidationError} When the rounded size is below the minimum
+   */
+  validateOrder(symbol, { price = null, size }, instType = this.instTypes[0]) {
+    const instrument = this.require(symbol, instType);
+    const roundedSize = roundToStep(size, instrument.lotSize, 'down');
+    if (roundedSize <= 0 || roundedSize < instrument.minSize) {
+      throw new OrderValidationError(`Size ${size} is below the minimum ${instrument.minSize} for ${instrument.symbol}`);
+    }
+
+    let roundedPrice = null;
+    if (price !== null && price !== undefined) {
+      roundedPrice = roundToStep(price, instrument.tickSize, 'nearest');
+      if (roundedPrice <= 0) {
+        throw new OrderValidationError(`Price ${price} is below the tick size ${instrument.tickSize} for ${instrument.symbol}`);
+      }
+    }
+
+    return { symbol: instrument.symbol, price: roundedPrice, size: roundedSize };
+  }
+}
@@ -0,0 +1,268 @@
+import { EventEmitter } from 'events';
+import { normalizeBookLevel } from './okx-dex-api.js';
+import { createNumberParser } from './numeric.js';
+
+// OKX computes the checksum over the best 25 levels of each side
+const CHECKSUM_LEVELS = 25;
+
+const CRC32_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c;
+  }
+  return table;
+})();
+
+/**
+ * CRC32 of a string, as a signed 32-bit integer like the OKX checksum field
+ * @param {string} text - Input string
+ * @returns {number} Signed CRC32
+ */
+export function crc32(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  let crc = -1;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) | 0;
+}
+
+/**
+ * Compute the OKX order book checksum from raw levels
+ * Levels are interleaved as bid1:ask1:bid2:ask2..., using the price and size
+ * strings exactly as OKX sent them.
+ * @param {Array<Array<string>>} bids - Raw bid levels, best first
+ * @param {Array<Array<string>>} asks - Raw ask levels, best first
+ * @returns {number} Signed CRC32 checksum
+ */
+export function computeChecksum(bids, asks) {
+  const parts = [];
+  for (let i = 0; i < CHECKSUM_LEVELS; i++) {
+    if (i < bids.length) parts.push(`${bids[i][0]}:${bids[i][1]}`);
+    if (i < asks.length) parts.push(`${asks[i][0]}:${asks[i][1]}`);
+  }
+  return crc32(parts.join(':'));
+}
+
+/**
+ * Local Order Book
+ * Maintains a continuously correct book from a snapshot plus incremental
+ * `books` channel updates, verifying sequence numbers and checksums.
+ *
+ * Events:
+ * - `update` (book) - the book changed and passed verification
+ * - `resync` (reason) - a gap or checksum mismatch was found and the book was reset
+ */
+export default class LocalOrderBook extends EventEmitter {
+  /**
+   * @param {string} instId - Trading pair (e.g., 'BTC-USDT')
+   * @param {Object} options - Book options
+   * @param {boolean} options.verifyChecksum - Check the CRC32 checksum after each message (default: true)
+   * @param {Function} options.resync - Called after a gap or mismatch to request a fresh snapshot
+   * @param {string} options.numeric - Type of prices and sizes returned: 'number', 'string' or 'decimal' (default: 'number')
+   */
+  constructor(instId, options = {}) {
+    super();
+    this.instId = instId;
+    this.verifyChecksum = options.verifyChecksum !== false;
+    this.resync = options.resync || null;
+    this.numbers = createNumberParser(options.numeric);
+
+    this.bids = new Map();
+    this.asks = new Map();
+    this.seqId = null;
+    this.timestamp = 0;
+    this.synced = false;
+    this.resyncCount = 0;
+  }
+
+  /**
+   * Replace the book with a snapshot
+   * @param {Object} snapshot - Raw book ({ bids, asks, ts, checksum, seqId })
+   * @returns {boolean} True when the snapshot passed verification
+   */
+  applySnapshot(snapshot) {
+    this.bids.clear();
+    this.asks.clear();
+    for (const level of snapshot.bids) this.bids.set(level[0], level);
+    for (const level of snapshot.asks) this.asks.set(level[0], level);
+
+    this.seqId = snapshot.seqId ?? null;
+    this.timestamp = parseInt(snapshot.ts) || Date.now();
+    this.synced = true;
+
+    return this.verify(snapshot.checksum);
+  }
+
+  /**
+   * Apply an incremental update
+   * Updates received while the book is out of sync are ignored until the next snapshot.
+   * OKX sequence resets are accepted: an update whose seqId drops below its prevSeqId
+   * (15 -> 3 after maintenance) continues the sequence from the lower seqId, and an
+   * update with prevSeqId -1 carries the whole book and replaces it like a snapshot.
+   * @param {Object} update - Raw update ({ bids, asks, ts, checksum, seqId, prevSeqId })
+   * @returns {boolean} True when the update was applied and passed verification
+   */
+  applyUpdate(update) {
+    if (update.prevSeqId === -1) {
+      return this.applySnapshot(update);
+    }
+    if (!this.synced) {
+      return false;
+    }
+
+    // Only prevSeqId has to follow on; seqId itself may go down on a reset
+    if (this.seqId !== null && update.prevSeqId !== undefined && update.prevSeqId !== this.seqId) {
+      this.requestResync(`sequence gap: expected prevSeqId ${this.seqId}, got ${update.prevSeqId}`);
+      return false;
+    }
+
+    this.applyLevels(this.bids, update.bids);
+    this.applyLevels(this.asks, update.asks);
+    this.seqId = update.seqId ?? this.seqId;
+    this.timestamp = parseInt(update.ts) || Date.now();
+
+    return this.verify(update.checksum);
+  }
+
+  /**
+   * Handle a raw `books` channel push (see OKXWebSocket `raw` event)
+   * @param {Object} message - Raw push ({ arg, action, data })
+   */
+  handleMessage(message) {
+    if (!message.arg || message.arg.instId !== this.instId || !message.arg.channel.startsWith('books')) {
+      return;
+    }
+
+    for (const book of message.data) {
+      if (message.action === 'update') {
+        this.applyUpdate(book);
+      } else {
+        this.applySnapshot(book);
+      }
+    }
+  }
+
+  /**
+   * Keep the book in sync from an OKXWebSocket client
+   * A resync leaves and rejoins the channel, which makes OKX send a new snapshot.
+   * @param {OKXWebSocket} ws - Connected or unconnected WebSocket client
+   * @param {string} channel - Book channel (default: 'books')
+   * @returns {Promise<Object>} Handle with a stop() method
+   */
+  async attach(ws, channel = 'books') {
+    const listener = message => this.handleMessage(message);
+    ws.on('raw', listener);
+
+    if (!this.resync) {
+      this.resync = () => ws.resubscribe(channel, this.instId);
+    }
+
+    await ws.subscribe(channel, this.instId);
+
+    return {
+      stop: () => {
+        ws.off('raw', listener);
+        ws.unsubscribe(channel, this.instId);
+      }
+    };
+  }
+
+  /**
+   * Get the best bid
+   * @returns {Object|null} Level with price, size, orders and total
+   */
+  getBestBid() {
+    const [best] = this.sortedLevels(this.bids, 'bids', 1);
+    return best ? normalizeBookLevel(best, this.numbers) : null;
+  }
+
+  /**
+   * Get the best ask
+   * @returns {Object|null} Level with price, size, orders and total
+   */
+  getBestAsk() {
+    const [best] = this.sortedLevels(this.asks, 'asks', 1);
+    return best ? normalizeBookLevel(best, this.numbers) : null;
+  }
+
+  /**
+   * Get the book in the format returned by OKXDexAPI.getOrderBook
+   * @param {number} depth - Levels per side (default: all)
+   * @returns {Object} Order book with bids and asks
+   */
+  getDepth(depth = Infinity) {
+    return {
+      symbol: this.instId,
+      bids: this.sortedLevels(this.bids, 'bids', depth).map(level => normalizeBookLevel(level, this.numbers)),
+      asks: this.sortedLevels(this.asks, 'asks', depth).map(level => normalizeBookLevel(level, this.numbers)),
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Apply changed levels to one side; a size of zero removes the level
+   */
+  applyLevels(side, levels) {
+    for (const level of levels) {
+      if (parseFloat(level[1]) === 0) {
+        side.delete(level[0]);
+      } else {
+        side.set(level[0], level);
+      }
+    }
+  }
+
+  /**
+   * Raw levels of one side, best price first
+   */
+  sortedLevels(side, sideName, depth) {
+    const direction = sideName === 'bids' ? -1 : 1;
+    const levels = Array.from(side.values())
+      .sort((a, b) => (parseFloat(a[0]) - parseFloat(b[0])) * direction);
+    return Number.isFinite(depth) ? levels.slice(0, depth) : levels;
+  }
+
+  /**
+   * Verify the checksum and emit the result
+   */
+  verify(checksum) {
+    if (this.verifyChecksum && checksum !== undefined) {
+      const expected = computeChecksum(
+        this.sortedLevels(this.bids, 'bids', CHECKSUM_LEVELS),
+        this.sortedLevels(this.asks, 'asks', CHECKSUM_LEVELS)
+      );
+      if (expected !== checksum) {
+        this.requestResync(`checksum mismatch: expected ${checksum}, computed ${expected}`);
+        return false;
+      }
+    }
+
+    this.emit('update', this.getDepth());
+    return true;
+  }
+
+  /**
+   * Drop the local state and ask for a fresh snapshot
+   */
+  requestResync(reason) {
+    this.synced = false;
+    this.bids.clear();
+    this.asks.clear();
+    this.seqId = null;
+    this.resyncCount++;
+    this.emit('resync', reason);
+
+    if (this.resync) {
+      Promise.resolve()
+        .then(() => this.resync())
+        .catch(error => {
+          if (this.listenerCount('error') > 0) this.emit('error', error);
+        });
+    }
+  }
+}
@@ -0,0 +1,320 @@
+import { BAR_DURATIONS } from './okx-dex-api.js';
+
+/**
+ * Scanner rules and their default options
+ * - movers: percent change over `window` ('24h' uses the ticker, other bars use candles)
+ * - volumeSpikes: z-score of the last closed candle's volume against the `lookback` candles before it
+ * - spreads: spreads of at least `minBps`, or `multiple` times their median over the last `history` scans
+ * - newListings: instruments not seen in the previous scan, or listed within `listedWithin` ms
+ */
+export const SCANNER_RULES = {
+  movers: { window: '24h', minPercent: 5 },
+  volumeSpikes: { lookback: 20, minZScore: 3 },
+  spreads: { minBps: 50, multiple: 3, history: 20 },
+  newListings: { listedWithin: 86400000 }
+};
+
+/**
+ * Median of a non-empty list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Sort findings by score (highest first), keep the top `limit` and number them
+ */
+function rank(findings, limit) {
+  return findings
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((finding, index) => ({ ...finding, rank: index + 1 }));
+}
+
+/**
+ * Market Scanner
+ * Finds top movers, volume spikes, spread blowouts and new listings for one
+ * instrument type. Each scan() returns ranked findings per rule and what
+ * changed since the previous scan.
+ *
+ * Movers over '24h' and spreads come from a single get24hStats call; volume
+ * spikes and shorter mover windows need candles, which are fetched for the
+ * `maxCandleSymbols` most traded symbols only.
+ */
+export default class MarketScanner {
+  /**
+   * @param {OKXDexAPI} api - API client
+   * @param {Object} options - Scanner options
+   * @param {string} options.instType - Instrument type to scan (default: 'SPOT')
+   * @param {Array<string>} options.symbols - Only scan these symbols (default: all)
+   * @param {string} options.quoteCurrency - Only scan symbols quoted in this currency, e.g. 'USDT'
+   * @param {number} options.minVolume - Skip symbols with less 24h volume (volumeCcy24h) than this (default: 0)
+   * @param {Object} options.rules - Options per rule (see SCANNER_RULES); `false` disables a rule
+   * @param {string} options.bar - Candle bar for volume spikes and mover windows (default: '5m')
+   * @param {number} options.maxCandleSymbols - Symbols to fetch candles for (default: 20)
+   * @param {number} options.limit - Findings kept per rule (default: 10)
+   * @param {Function} options.clock - Returns the current time in ms (default: Date.now)
+   */
+  constructor(api, options = {}) {
+    this.api = api;
+    this.instType = options.instType || 'SPOT';
+    this.symbols = options.symbols ? new Set(options.symbols) : null;
+    this.quoteCurrency = options.quoteCurrency || null;
+    this.minVolume = options.minVolume || 0;
+    this.bar = options.bar || '5m';
+    this.maxCandleSymbols = options.maxCandleSymbols ?? 20;
+    this.limit = options.limit || 10;
+    this.clock = options.clock || Date.now;
+
+    this.rules = {};
+    for (const [name, defaults] of Object.entries(SCANNER_RULES)) {
+      const rule = options.rules?.[name];
+      if (rule !== false) {
+        this.rules[name] = { ...defaults, ...rule };
+      }
+    }
+    for (const name of Object.keys(options.rules || {})) {
+      if (!SCANNER_RULES[name]) {
+        throw new Error(`Unknown scanner rule: ${name} (expected ${Object.keys(SCANNER_RULES).join(', ')})`);
+      }
+    }
+
+    const barDuration = BAR_DURATIONS[this.bar];
+    if (!barDuration) {
+      throw new Error(`Invalid bar: ${this.bar}`);
+    }
+    this.windowBars = 0;
+    const window = this.rules.movers?.window;
+    if (window && window !== '24h') {
+      if (!BAR_DURATIONS[window] || BAR_DURATIONS[window] % barDuration !== 0) {
+        throw new Error(`Mover window ${window} must be '24h' or a whole number of ${this.bar} bars`);
+      }
+      this.windowBars = BAR_DURATIONS[window] / barDuration;
+    }
+    this.candleLimit = Math.max(this.windowBars + 1, this.rules.volumeSpikes ? this.rules.volumeSpikes.lookback + 2 : 0);
+    if (this.candleLimit > 300) {
+      throw new Error(`Scanning needs ${this.candleLimit} ${this.bar} candles per symbol; OKX returns at most 300`);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Forget previous scans: the next scan reports everything as added
+   */
+  reset() {
+    this.previous = null;
+    this.spreadHistory = new Map();
+    this.knownInstruments = null;
+  }
+
+  /**
+   * Run every enabled rule once
+   * @returns {Promise<Object>} { timestamp, results, diff, errors }: `results` maps each rule to ranked
+   * findings ({ rule, symbol, score, rank, ... }), `diff` lists findings added, removed or re-ranked since
+   * the previous scan, and `errors` maps symbols whose data failed to load to the reason
+   */
+  async scan() {
+    const timestamp = this.clock();
+    const errors = {};
+    const tickers = (await this.api.get24hStats(this.instType)).filter(ticker => this.includes(ticker));
+
+    const candles = await this.fetchCandles(tickers, errors);
+    const results = {};
+    if (this.rules.movers) {
+      results.movers = rank(this.findMovers(tickers, candles), this.limit);
+    }
+    if (this.rules.volumeSpikes) {
+      results.volumeSpikes = rank(this.findVolumeSpikes(candles), this.limit);
+    }
+    if (this.rules.spreads) {
+      results.spreads = rank(this.findSpreads(tickers), this.limit);
+    }
+    if (this.rules.newListings) {
+      try {
+        results.newListings = rank(await this.findNewListings(timestamp), this.limit);
+      } catch (error) {
+        errors[this.instType] = error.message;
+        results.newListings = [];
+      }
+    }
+
+    const diff = this.diff(results);
+    this.previous = results;
+    return { timestamp, results, diff, errors };
+  }
+
+  /**
+   * Whether a ticker passes the symbol, quote currency and volume filters
+   */
+  includes(ticker) {
+    if (this.symbols && !this.symbols.has(ticker.symbol)) {
+      return false;
+    }
+    if (this.quoteCurrency && ticker.symbol.split('-')[1] !== this.quoteCurrency) {
+      return false;
+    }
+    return Number(ticker.volumeCcy24h) >= this.minVolume;
+  }
+
+  /**
+   * Fetch candles, oldest first, for the most traded symbols when a rule needs them
+   * @returns {Promise<Map>} symbol -> candles
+   */
+  async fetchCandles(tickers, errors) {
+    const candles = new Map();
+    if (!this.rules.volumeSpikes && this.windowBars === 0) {
+      return candles;
+    }
+
+    const symbols = [...tickers]
+      .sort((a, b) => Number(b.volumeCcy24h) - Number(a.volumeCcy24h))
+      .slice(0, this.maxCandleSymbols)
+      .map(ticker => ticker.symbol);
+    const results = await Promise.allSettled(symbols.map(symbol => this.api.getCandlesticks(symbol, this.bar, this.candleLimit)));
+
+    symbols.forEach((symbol, index) => {
+      const result = results[index];
+      if (result.status === 'rejected') {
+        errors[symbol] = result.reason.message;
+      } else {
+        candles.set(symbol, [...result.value].sort((a, b) => a.timestamp - b.timestamp));
+      }
+    });
+    return candles;
+  }
+
+  /**
+   * Symbols whose price moved at least minPercent over the window
+   */
+  findMovers(tickers, candles) {
+    const { window, minPercent } = this.rules.movers;
+    const findings = [];
+
+    for (const ticker of tickers) {
+      const price = Number(ticker.lastPrice);
+      let fromPrice;
+      if (this.windowBars === 0) {
+        fromPrice = Number(ticker.open24h);
+      } else {
+        // Close of the candle `window` before the latest one
+        const series = candles.get(ticker.symbol);
+        const reference = series?.[series.length - 1 - this.windowBars];
+        fromPrice = reference ? Number(reference.close) : 0;
+      }
+      if (!(fromPrice > 0)) {
+        continue;
+      }
+
+      const changePercent = ((price - fromPrice) / fromPrice) * 100;
+      if (Math.abs(changePercent) >= minPercent) {
+        findings.push({ rule: 'movers', symbol: ticker.symbol, score: Math.abs(changePercent), changePercent, price, fromPrice, window });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Symbols whose last closed candle traded unusually much volume
+   */
+  findVolumeSpikes(candles) {
+    const { lookback, minZScore } = this.rules.volumeSpikes;
+    const findings = [];
+
+    for (const [symbol, series] of candles) {
+      const closed = series.filter(candle => candle.confirmed !== false);
+      if (closed.length < lookback + 1) {
+        continue;
+      }
+
+      const latest = closed[closed.length - 1];
+      const trailing = closed.slice(-lookback - 1, -1).map(candle => Number(candle.volume));
+      const mean = trailing.reduce((sum, volume) => sum + volume, 0) / lookback;
+      const stdDev = Math.sqrt(trailing.reduce((sum, volume) => sum + (volume - mean) ** 2, 0) / lookback);
+      if (stdDev === 0) {
+        continue;
+      }
+
+      const volume = Number(latest.volume);
+      const zScore = (volume - mean) / stdDev;
+      if (zScore >= minZScore) {
+        findings.push({ rule: 'volumeSpikes', symbol, score: zScore, zScore, volume, mean, stdDev, timestamp: latest.timestamp });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Symbols whose bid/ask spread is wide, or much wider than usual
+   * Every scan adds to each symbol's spread history, flagged or not.
+   */
+  findSpreads(tickers) {
+    const { minBps, multiple, history } = this.rules.spreads;
+    const findings = [];
+
+    for (const ticker of tickers) {
+      const bid = Number(ticker.bidPrice);
+      const ask = Number(ticker.askPrice);
+      if (ticker.bidPrice === null || ticker.askPrice === null || !(bid > 0) || !(ask >= bid)) {
+        continue;
+      }
+
+      const spreadBps = ((ask - bid) / ((ask + bid) / 2)) * 10000;
+      const past = this.spreadHistory.get(ticker.symbol) || [];
+      const baselineBps = past.length > 0 ? median(past) : null;
+      this.spreadHistory.set(ticker.symbol, [...past, spreadBps].slice(-history));
+
+      const blownOut = baselineBps !== null && baselineBps > 0 && spreadBps >= baselineBps * multiple;
+      if (spreadBps >= minBps || blownOut) {
+        findings.push({ rule: 'spreads', symbol: ticker.symbol, score: spreadBps, spreadBps, baselineBps, bidPrice: bid, askPrice: ask });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Instruments that appeared since the previous scan or were listed recently
+   * The first scan only reports recent listings, since there is nothing to compare with.
+   */
+  async findNewListings(now) {
+    const { listedWithin } = this.rules.newListings;
+    const instruments = (await this.api.getInstruments(this.instType)).filter(instrument =>
+      (!this.symbols || this.symbols.has(instrument.symbol)) &&
+      (!this.quoteCurrency || instrument.symbol.split('-')[1] === this.quoteCurrency)
+    );
+
+    const known = this.knownInstruments;
+    this.knownInstruments = new Set(instruments.map(instrument => instrument.symbol));
+
+    return instruments
+      .filter(instrument => (known && !known.has(instrument.symbol)) || (instrument.listTime && now - instrument.listTime <= listedWithin))
+      .map(instrument => ({
+        rule: 'newListings',
+        symbol: instrument.symbol,
+        // Newest first; instruments without a list time rank first
+        score: instrument.listTime || now,
+        listTime: instrument.listTime,
+        state: instrument.state
+      }));
+  }
+
+  /**
+   * Compare findings with the previous scan, by rule and symbol
+   * @returns {Object} { added, removed, changed }; changed findings moved rank and carry `previousRank`
+   */
+  diff(results) {
+    const key = finding => `${finding.rule}:${finding.symbol}`;
+    const before = new Map(Object.values(this.previous || {}).flat().map(finding => [key(finding), finding]));
+    const after = new Map(Object.values(results).flat().map(finding => [key(finding), finding]));
+
+    const added = [...after.values()].filter(finding => !before.has(key(finding)));
+    const removed = [...before.values()].filter(finding => !after.has(key(finding)));
+    const changed = [...after.values()]
+      .filter(finding => before.has(key(finding)) && before.get(key(finding)).rank !== finding.rank)
+      .map(finding => ({ ...finding, previousRank: before.get(key(finding)).rank }));
+
+    return { added, removed, changed };
+  }
+}
@@ -0,0 +1,66 @@
+import Decimal from 'decimal.js';
+
+/**
+ * Supported numeric modes for normalized OKX data
+ * - `number`: JavaScript numbers (default)
+ * - `string`: the exact strings OKX sent
+ * - `decimal`: decimal.js Decimal instances
+ */
+export const NUMERIC_MODES = ['number', 'string', 'decimal'];
+
+/**
+ * Create the parser normalizers use for decimal fields
+ * Differences and percentages are computed with Decimal in every mode, then
+ * converted, so they carry no float rounding beyond the final conversion.
+ * @param {string} mode - 'number', 'string' or 'decimal' (default: 'number')
+ * @returns {Object} Parser with parse, parseOptional, subtract and percentChange
+ */
+export function createNumberParser(mode = 'number') {
+  const normalizedMode = String(mode).toLowerCase();
+  if (!NUMERIC_MODES.includes(normalizedMode)) {
+    throw new Error(`Unknown numeric mode: ${mode} (expected ${NUMERIC_MODES.join(', ')})`);
+  }
+
+  const isEmpty = value => value === undefined || value === null || value === '';
+  const toDecimal = value => (isEmpty(value) ? new Decimal(NaN) : new Decimal(value));
+
+  let fromDecimal;
+  let parse;
+  if (normalizedMode === 'decimal') {
+    fromDecimal = decimal => decimal;
+    parse = toDecimal;
+  } else if (normalizedMode === 'string') {
+    fromDecimal = decimal => decimal.toFixed();
+    parse = value => (isEmpty(value) ? '' : String(value));
+  } else {
+    fromDecimal = decimal => decimal.toNumber();
+    parse = value => parseFloat(value);
+  }
+
+  return {
+    mode: normalizedMode,
+
+    /** Parse a required field */
+    parse,
+
+    /** Parse a field OKX leaves empty when it has no value, returning `fallback` for empty fields */
+    parseOptional(value, fallback = null) {
+      return isEmpty(value) ? fallback : parse(value);
+    },
+
+    /** a - b */
+    subtract(a, b) {
+      return fromDecimal(toDecimal(a).minus(toDecimal(b)));
+    },
+
+    /** Percentage change from base to value */
+    percentChange(value, base) {
+      return fromDecimal(toDecimal(value).minus(toDecimal(base)).dividedBy(toDecimal(base)).times(100));
+    }
+  };
+}
+
+/**
+ * Parser for the default `number` mode
+ */
+export const NUMBER_PARSER = createNumberParser('number');
@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import OKXDexAPI from './okx-dex-api.js';
+import { analyzeOrderBook } from './orderbook-analytics.js';
+import { transportFromEnv } from './transport.js';
+import { stepDecimals } from './instrument-registry.js';
+
+/**
+ * okx - command-line access to OKX market data
+ *
+ *   okx ticker BTC-USDT ETH-USDT-SWAP
+ *   okx book BTC-USDT --depth 5 --watch
+ *   okx candles ETH-USDT --bar 15m --format csv
+ */
+
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'table' },
+  watch: { type: 'boolean', short: 'w', default: false },
+  interval: { type: 'string', short: 'i', default: '2' },
+  count: { type: 'string', short: 'n' },
+  limit: { type: 'string', short: 'l' },
+  depth: { type: 'string', short: 'd' },
+  bar: { type: 'string', short: 'b', default: '1H' },
+  type: { type: 'string', short: 't', default: 'SPOT' },
+  family: { type: 'string' },
+  sort: { type: 'string', short: 's', default: 'volume' },
+  'base-url': { type: 'string' },
+  demo: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: okx <command> [arguments] [options]
+
+Commands:
+  ticker <instId...>     Last price and 24h statistics
+  tickers                All tickers of an instrument type (--type, --family, --sort, --limit)
+  book <instId>          Order book ladder (--depth, default: 10)
+  trades <instId>        Recent trades (--limit, default: 20)
+  candles <instId>       Candlesticks (--bar, default: 1H; --limit, default: 20)
+  instruments            Tradable instruments (--type, --limit)
+  stats <instId>         24h statistics with spread, depth and imbalance from the book
+
+Options:
+  -f, --format <fmt>     table, json or csv (default: table)
+  -w, --watch            Poll again every --interval seconds and show what changed
+  -i, --interval <sec>   Seconds between polls in watch mode (default: 2)
+  -n, --count <n>        Stop watching after n polls
+  -t, --type <type>      SPOT, SWAP, FUTURES or OPTION (default: SPOT)
+      --family <family>  Instrument family for tickers, e.g. BTC-USD
+  -s, --sort <key>       Sort tickers by volume, change or symbol (default: volume)
+      --base-url <url>   REST base URL, e.g. a local okx-mock-server
+      --demo             Use the demo trading environment
+  -h, --help             Show this help
+
+OKX_TRANSPORT=record|replay|fetch and OKX_FIXTURES select the HTTP transport.`;
+
+const time = timestamp => new Date(timestamp).toISOString();
+const percent = value => `${Number(value).toFixed(2)}%`;
+// Sizes in the instrument's precision: 0.00000001 rather than 1e-8
+const steps = field => (value, instrument) => Number(value).toFixed(stepDecimals(instrument[field]));
+
+/**
+ * Round a derived float for display
+ */
+function round(value, decimals = 8) {
+  return value === null || value === undefined || Number.isNaN(value) ? null : Number(value.toFixed(decimals));
+}
+
+const TICKER_COLUMNS = [
+  { name: 'symbol', header: 'Symbol', get: ticker => ticker.symbol },
+  { name: 'last', header: 'Last', get: ticker => ticker.lastPrice },
+  { name: 'changePercent24h', header: '24h %', get: ticker => ticker.changePercent24h, format: percent },
+  { name: 'high24h', header: '24h High', get: ticker => ticker.high24h },
+  { name: 'low24h', header: '24h Low', get: ticker => ticker.low24h },
+  { name: 'volume24h', header: 'Volume', get: ticker => ticker.volume24h },
+  { name: 'volumeCcy24h', header: 'Volume (Ccy)', get: ticker => ticker.volumeCcy24h }
+];
+
+const TICKER_SORTS = {
+  volume: (a, b) => b.volumeCcy24h - a.volumeCcy24h,
+  change: (a, b) => b.changePercent24h - a.changePercent24h,
+  symbol: (a, b) => a.symbol.localeCompare(b.symbol)
+};
+
+/**
+ * Subcommands
+ * `fetch` returns the records to print; `key` identifies a record between polls.
+ */
+export const COMMANDS = {
+  ticker: {
+    args: '<instId...>',
+    key: ticker => ticker.symbol,
+    columns: TICKER_COLUMNS,
+    async fetch({ api, args, warn }) {
+      const { tickers, errors } = await api.getTickersBulk(args);
+      const failures = Object.entries(errors);
+      if (tickers.length === 0 && failures.length > 0) {
+        throw new Error(failures[0][1]);
+      }
+      for (const [symbol, reason] of failures) {
+        warn(`${symbol}: ${reason}`);
+      }
+      // Spellings of the same instrument (BTC-USDT, BTCUSDT) return the same ticker
+      const seen = new Set();
+      return tickers.filter(ticker => !seen.has(ticker.symbol) && seen.add(ticker.symbol));
+    }
+  },
+
+  tickers: {
+    args: '',
+    key: ticker => ticker.symbol,
+    columns: TICKER_COLUMNS,
+    async fetch({ api, options }) {
+      const sort = TICKER_SORTS[options.sort];
+      if (!sort) {
+        throw new UsageError(`Unknown sort: ${options.sort} (expected ${Object.keys(TICKER_SORTS).join(', ')})`);
+      }
+      const tickers = await api.get24hStats(options.type.toUpperCase(), options.family || null);
+      return tickers.sort(sort).slice(0, parseCount(options.limit, 20, '--limit'));
+    }
+  },
+
+  book: {
+    args: '<instId>',
+    key: level => `${level.side}:${level.price}`,
+    columns: [
+      { name: 'side', header: 'Side', get: level => level.side },
+      { name: 'price', header: 'Price', get: level => level.price },
+      { name: 'size', header: 'Size', get: level => level.size }
+    ],
+    async fetch({ api, args, options }) {
+      const book = await api.getOrderBook(args[0], parseCount(options.depth, 10, '--depth'));
+      // Ladder: asks from highest to best, then bids from best to lowest
+      return [
+        ...[...book.asks].reverse().map(level => ({ side: 'ask', ...level })),
+        ...book.bids.map(level => ({ side: 'bid', ...level }))
+      ];
+    }
+  },
+
+  trades: {
+    args: '<instId>',
+    key: trade => trade.tradeId,
+    columns: [
+      { name: 'time', header: 'Time', get: trade => trade.timestamp, format: time },
+      { name: 'tradeId', header: 'Trade ID', get: trade => trade.tradeId },
+      { name: 'side', header: 'Side', get: trade => trade.side },
+      { name: 'price', header: 'Price', get: trade => trade.price },
+      { name: 'size', header: 'Size', get: trade => trade.size }
+    ],
+    fetch({ api, args, options }) {
+      return api.getRecentTrades(args[0], parseCount(options.limit, 20, '--limit'));
+    }
+  },
+
+  candles: {
+    args: '<instId>',
+    key: candle => candle.timestamp,
+    columns: [
+      { name: 'time', header: 'Time', get: candle => candle.timestamp, format: time },
+      { name: 'open', header: 'Open', get: candle => candle.open },
+      { name: 'high', header: 'High', get: candle => candle.high },
+      { name: 'low', header: 'Low', get: candle => candle.low },
+      { name: 'close', header: 'Close', get: candle => candle.close },
+      { name: 'volume', header: 'Volume', get: candle => candle.volume },
+      { name: 'confirmed', header: 'Closed', get: candle => candle.confirmed }
+    ],
+    fetch({ api, args, options }) {
+      return api.getCandlesticks(args[0], options.bar, parseCount(options.limit, 20, '--limit'));
+    }
+  },
+
+  instruments: {
+    args: '',
+    key: instrument => instrument.symbol,
+    columns: [
+      { name: 'symbol', header: 'Symbol', get: instrument => instrument.symbol },
+      { name: 'instType', header: 'Type', get: instrument => instrument.instType },
+      { name: 'tickSize', header: 'Tick', get: instrument => instrument.tickSize, format: steps('tickSize') },
+      { name: 'lotSize', header: 'Lot', get: instrument => instrument.lotSize, format: steps('lotSize') },
+      { name: 'minSize', header: 'Min Size', get: instrument => instrument.minSize, format: steps('lotSize') },
+      { name: 'state', header: 'State', get: instrument => instrument.state }
+    ],
+    async fetch({ api, options }) {
+      const instruments = await api.getInstruments(options.type.toUpperCase());
+      return options.limit ? instruments.slice(0, parseCount(options.limit, 0, '--limit')) : instruments;
+    }
+  },
+
+  stats: {
+    args: '<instId>',
+    key: stat => stat.metric,
+    columns: [
+      { name: 'metric', header: 'Metric', get: stat => stat.metric },
+      { name: 'value', header: 'Value', get: stat => stat.value }
+    ],
+    async fetch({ api, args, options }) {
+      const [ticker, book] = await Promise.all([
+        api.getTicker(args[0]),
+        api.getOrderBook(args[0], parseCount(options.depth, 50, '--depth'))
+      ]);
+      const analysis = analyzeOrderBook(book);
+
+      const stats = [
+        ['last', ticker.lastPrice],
+        ['change24hPercent', round(ticker.changePercent24h, 4)],
+        ['high24h', ticker.high24h],
+        ['low24h', ticker.low24h],
+        ['volume24h', ticker.volume24h],
+        ['volumeCcy24h', ticker.volumeCcy24h],
+        ['mid', round(analysis.midPrice)],
+        ['spread', round(analysis.spread?.absolute)],
+        ['spreadBps', round(analysis.spread?.bps, 2)],
+        ['microprice', round(analysis.microprice)],
+        ['imbalance', round(analysis.imbalance, 4)]
+      ];
+      for (const depth of analysis.depth.filter(Boolean)) {
+        stats.push([`bidDepth${depth.bps}bps`, round(depth.bidSize)], [`askDepth${depth.bps}bps`, round(depth.askSize)]);
+      }
+      return stats.map(([metric, value]) => ({ metric, value }));
+    }
+  }
+};
+
+/**
+ * Invalid command line; printed with a pointer to --help
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a positive integer option
+ */
+function parseCount(value, fallback, option) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`${option} must be a positive integer`);
+  }
+  return count;
+}
+
+/**
+ * Compare two polls of the same command
+ * @param {Array<Object>} previous - Records of the previous poll
+ * @param {Array<Object>} current - Records of this poll
+ * @param {Object} command - Command with `key` and `columns`
+ * @returns {Object} { added, removed, changed } where changed maps keys to { column: { from, to } }
+ */
+export function diffRecords(previous, current, command) {
+  const before = new Map(previous.map(record => [command.key(record), record]));
+  const after = new Map(current.map(record => [command.key(record), record]));
+
+  const added = current.filter(record => !before.has(command.key(record)));
+  const removed = previous.filter(record => !after.has(command.key(record)));
+  const changed = new Map();
+
+  for (const [key, record] of after) {
+    const old = before.get(key);
+    if (!old) {
+      continue;
+    }
+    const changes = {};
+    for (const column of command.columns) {
+      const from = column.get(old);
+      const to = column.get(record);
+      if (String(from) !== String(to)) {
+        changes[column.name] = { from, to };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.set(key, changes);
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Render rows as an aligned text table; numbers are right-aligned
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values ({ text, numeric } or plain values)
+ * @returns {string} Table text
+ */
+export function formatTable(headers, rows) {
+  const cells = rows.map(row => row.map(cell => (typeof cell === 'object' && cell !== null ? cell : { text: String(cell ?? ''), numeric: typeof cell === 'number' })));
+  const visible = text => text.replace(/\x1b\[[0-9;]*m/g, '').length;
+  const widths = headers.map((header, index) => Math.max(header.length, ...cells.map(row => visible(row[index].text))));
+
+  const pad = (cell, index) => {
+    const padding = ' '.repeat(widths[index] - visible(cell.text));
+    return cell.numeric ? padding + cell.text : cell.text + padding;
+  };
+
+  return [
+    headers.map((header, index) => header.padEnd(widths[index])).join('  '),
+    widths.map(width => '─'.repeat(width)).join('  '),
+    ...cells.map(row => row.map(pad).join('  '))
+  ].map(line => line.trimEnd()).join('\n');
+}
+
+/**
+ * Render rows as CSV (RFC 4180 quoting)
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string} CSV text with a header line
+ */
+export function formatCsv(headers, rows) {
+  const escape = value => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Formats one poll for output, remembering what it printed for the next poll
+ */
+class Printer {
+  constructor(command, format, { watch, color }) {
+    this.command = command;
+    this.format = format;
+    this.watch = watch;
+    this.color = color;
+    this.previous = null;
+  }
+
+  /**
+   * Render the records of a poll
+   * @returns {string|null} Text to print, or null when nothing changed since the last poll
+   */
+  render(records, timestamp) {
+    const first = this.previous === null;
+    const diff = diffRecords(this.previous || [], records, this.command);
+    this.previous = records;
+
+    if (!this.watch) {
+      return this.renderSnapshot(records);
+    }
+    if (!first && diff.added.length === 0 && diff.removed.length === 0 && diff.changed.size === 0) {
+      return null;
+    }
+
+    if (this.format === 'json') {
+      return JSON.stringify({
+        timestamp,
+        added: diff.added,
+        removed: diff.removed.map(record => this.command.key(record)),
+        changed: Object.fromEntries(diff.changed)
+      });
+    }
+    if (this.format === 'csv') {
+      return this.renderCsvChanges(diff, records, first);
+    }
+    return `${time(timestamp)}\n${this.renderTableChanges(diff, records, first)}\n`;
+  }
+
+  renderSnapshot(records) {
+    const { columns } = this.command;
+    if (this.format === 'json') {
+      return JSON.stringify(records, null, 2);
+    }
+    const rows = records.map(record => columns.map(column => column.get(record)));
+    if (this.format === 'csv') {
+      return formatCsv(columns.map(column => column.name), rows);
+    }
+    return formatTable(columns.map(column => column.header), records.map(record => this.tableRow(record)));
+  }
+
+  /**
+   * One CSV line per added, removed or changed record, with a leading `change` column
+   */
+  renderCsvChanges(diff, records, first) {
+    const { columns, key } = this.command;
+    const row = (change, record) => [change, ...columns.map(column => column.get(record))];
+    const rows = [
+      ...diff.added.map(record => row(first ? 'snapshot' : 'added', record)),
+      ...records.filter(record => diff.changed.has(key(record))).map(record => row('changed', record)),
+      ...diff.removed.map(record => row('removed', record))
+    ];
+    const csv = formatCsv(['change', ...columns.map(column => column.name)], rows);
+    // Only the first poll prints the header line
+    return first ? csv : csv.slice(csv.indexOf('\n') + 1);
+  }
+
+  /**
+   * The full table, marking added rows with '+', removed rows with '-' and changed cells with arrows
+   */
+  renderTableChanges(diff, records, first) {
+    const { columns, key } = this.command;
+    const added = new Set(diff.added.map(record => key(record)));
+    const rows = records.map(record => {
+      const changes = diff.changed.get(key(record)) || {};
+      const mark = !first && added.has(key(record)) ? '+' : ' ';
+      return [mark, ...this.tableRow(record, changes)];
+    });
+    for (const record of diff.removed) {
+      rows.push(['-', ...this.tableRow(record)]);
+    }
+    return formatTable(['', ...columns.map(column => column.header)], rows);
+  }
+
+  /**
+   * Table cells of a record, with ▲/▼ (or *) after the cells that changed
+   */
+  tableRow(record, changes = {}) {
+    return this.command.columns.map(column => {
+      const value = column.get(record);
+      let text = column.format ? column.format(value, record) : String(value ?? '');
+      const change = changes[column.name];
+      if (change) {
+        const up = Number(change.to) > Number(change.from);
+        const down = Number(change.to) < Number(change.from);
+        const arrow = up ? '▲' : down ? '▼' : '*';
+        text = `${text} ${arrow}`;
+        if (this.color && (up || down)) {
+          text = `\x1b[${up ? 32 : 31}m${text}\x1b[0m`;
+        }
+      }
+      return { text, numeric: typeof value === 'number' };
+    });
+  }
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} io - Environment
+ * @param {Object} io.stdout - Output stream (default: process.stdout)
+ * @param {Object} io.stderr - Error stream (default: process.stderr)
+ * @param {Function} io.createApi - Builds the client from { baseURL, demoTrading } (default: OKXDexAPI)
+ * @param {AbortSignal} io.signal - Stops watch mode (optional)
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on request errors (or when no watch poll succeeded), 2 on usage errors
+ */
+export async function runCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const createApi = io.createApi || (options => new OKXDexAPI({ ...options, transport: transportFromEnv() }));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`okx: ${error.message}\nRun 'okx --help' for usage.\n`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [name, ...args] = positionals;
+  if (options.help || !name) {
+    (options.help ? stdout : stderr).write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[name];
+  let interval;
+  let count;
+  try {
+    if (!command) {
+      throw new UsageError(`Unknown command: ${name}`);
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      throw new UsageError(`Unknown format: ${options.format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    if (command.args && args.length === 0) {
+      throw new UsageError(`Usage: okx ${name} ${command.args}`);
+    }
+    interval = Number(options.interval) * 1000;
+    if (!(interval > 0)) {
+      throw new UsageError('--interval must be a positive number of seconds');
+    }
+    count = parseCount(options.count, options.watch ? Infinity : 1, '--count');
+  } catch (error) {
+    stderr.write(`okx: ${error.message}\nRun 'okx --help' for usage.\n`);
+    return 2;
+  }
+
+  const api = createApi({ baseURL: options['base-url'], demoTrading: options.demo });
+  const printer = new Printer(command, options.format, { watch: options.watch, color: Boolean(stdout.isTTY) });
+  const warn = message => stderr.write(`okx: ${message}\n`);
+  let polls = 0;
+  let succeeded = 0;
+
+  for (let poll = 0; poll < count && !io.signal?.aborted; poll++) {
+    if (poll > 0) {
+      await sleep(interval, io.signal);
+      if (io.signal?.aborted) {
+        break;
+      }
+    }
+
+    polls++;
+    try {
+      const records = await command.fetch({ api, args, options, warn });
+      succeeded++;
+      const output = printer.render(records, Date.now());
+      if (output !== null) {
+        if (options.watch && options.format === 'table' && stdout.isTTY) {
+          stdout.write('\x1b[2J\x1b[H');
+        }
+        stdout.write(`${output}\n`);
+      }
+    } catch (error) {
+      if (error instanceof UsageError) {
+        stderr.write(`okx: ${error.message}\nRun 'okx --help' for usage.\n`);
+        return 2;
+      }
+      warn(error.message);
+      // Keep watching through transient failures
+      if (!options.watch) {
+        return 1;
+      }
+    }
+  }
+  // Watching failed outright when not a single poll got through
+  return polls > 0 && succeeded === 0 ? 1 : 0;
+}
+
+// Run when executed directly, including through the npm `bin` symlink
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+
+  runCli(process.argv.slice(2), { signal: controller.signal })
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('okx:', error.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,221 @@
+/**
+ * Typed errors for OKX API failures
+ *
+ * Every error keeps the HTTP status, the OKX `code`/`msg` and the route, and
+ * says whether retrying the same request can succeed.
+ */
+
+/**
+ * Base class for all OKX API errors
+ */
+export class OKXError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - OKX error code (null for transport errors)
+   * @param {string} details.msg - OKX error message
+   * @param {number} details.httpStatus - HTTP status code
+   * @param {string} details.route - Route that failed (e.g., '/market/ticker')
+   * @param {boolean} details.retryable - Whether the request can be retried
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code ?? null;
+    this.msg = details.msg ?? null;
+    this.httpStatus = details.httpStatus ?? null;
+    this.route = details.route ?? null;
+    this.retryable = details.retryable ?? false;
+    this.retryAfter = details.retryAfter ?? null;
+    this.attempts = details.attempts ?? 1;
+  }
+}
+
+/** Too many requests (HTTP 429, codes 50011, 50040, 50061) */
+export class RateLimitError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+/** Unknown or mismatched instrument ID (codes 51001, 51002, 51014) */
+export class InvalidInstrumentError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+  }
+}
+
+/** OKX is overloaded or failed internally (codes 50001, 50004, 50013, 50026, HTTP 500/502/504) */
+export class ServerBusyError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+/** The request timed out or the connection failed before a response */
+export class NetworkTimeoutError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+/** The API is offline for maintenance (code 50005, HTTP 503); retrying right away will not help */
+export class SystemMaintenanceError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+  }
+}
+
+/** Invalid API key, signature, timestamp or passphrase (codes 50100-50119) */
+export class AuthenticationError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+  }
+}
+
+/** An order was rejected locally before sending (unknown instrument, size below minimum, ...) */
+export class OrderValidationError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+  }
+}
+
+/** OKX rejected an order, amendment or cancellation (non-zero `sCode` in a trade response) */
+export class OrderRejectedError extends OKXError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details, plus the `orderId`, `algoId` and `clientOrderId` of the order
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+    this.orderId = details.orderId ?? null;
+    this.algoId = details.algoId ?? null;
+    this.clientOrderId = details.clientOrderId ?? null;
+  }
+}
+
+/** A replay transport has no recorded response for a request */
+export class UnmatchedRequestError extends OKXError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+  }
+}
+
+const CODE_CLASSES = {
+  '50011': RateLimitError,
+  '50040': RateLimitError,
+  '50061': RateLimitError,
+  '51001': InvalidInstrumentError,
+  '51002': InvalidInstrumentError,
+  '51014': InvalidInstrumentError,
+  '50001': ServerBusyError,
+  '50004': ServerBusyError,
+  '50013': ServerBusyError,
+  '50026': ServerBusyError,
+  '50005': SystemMaintenanceError
+};
+
+const STATUS_CLASSES = {
+  429: RateLimitError,
+  500: ServerBusyError,
+  502: ServerBusyError,
+  503: SystemMaintenanceError,
+  504: ServerBusyError
+};
+
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * Pick the error class for an OKX code and HTTP status
+ */
+function classFor(code, httpStatus) {
+  if (code && CODE_CLASSES[code]) return CODE_CLASSES[code];
+  const numeric = parseInt(code);
+  if (numeric >= 50100 && numeric <= 50119) return AuthenticationError;
+  if (httpStatus && STATUS_CLASSES[httpStatus]) return STATUS_CLASSES[httpStatus];
+  if (httpStatus === 401) return AuthenticationError;
+  return OKXError;
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ */
+function parseRetryAfter(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * Create a typed error from an OKX response body
+ * @param {Object} body - Response body ({ code, msg })
+ * @param {Object} details - HTTP status, headers and route of the request
+ * @returns {OKXError} Typed error
+ */
+export function errorFromResponse(body, { httpStatus = null, headers = null, route = null } = {}) {
+  const code = body?.code !== undefined ? String(body.code) : null;
+  const msg = body?.msg || body?.error_message || null;
+  const ErrorClass = classFor(code, httpStatus);
+  const message = code ? `OKX error ${code}: ${msg}` : `HTTP ${httpStatus}: ${msg || 'Request failed'}`;
+
+  return new ErrorClass(message, { code, msg, httpStatus, route, retryAfter: parseRetryAfter(headers) });
+}
+
+/**
+ * Create an error for one rejected item of a trade response
+ * @param {Object} result - Item of the response `data` ({ sCode, sMsg, ordId, algoId, clOrdId, algoClOrdId })
+ * @param {Object} details - Route of the request
+ * @returns {OrderRejectedError} Error carrying the item's code and order IDs
+ */
+export function errorFromOrderResult(result, { route = null } = {}) {
+  const code = String(result.sCode);
+  const msg = result.sMsg || null;
+  return new OrderRejectedError(`OKX error ${code}: ${msg}`, {
+    code,
+    msg,
+    route,
+    orderId: result.ordId || null,
+    algoId: result.algoId || null,
+    clientOrderId: result.clOrdId || result.algoClOrdId || null
+  });
+}
+
+/**
+ * Create a typed error from a failed axios request
+ * @param {Error} error - Axios error
+ * @param {string} route - Route that failed (optional)
+ * @returns {OKXError} Typed error
+ */
+export function errorFromAxios(error, route = null) {
+  if (error instanceof OKXError) {
+    return error;
+  }
+
+  if (error.response) {
+    return errorFromResponse(error.response.data, {
+      httpStatus: error.response.status,
+      headers: error.response.headers,
+      route
+    });
+  }
+
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return new NetworkTimeoutError(error.message, { code: null, msg: error.code, route });
+  }
+
+  return new OKXError(error.message, { route });
+}
+
+/**
+ * Add context to an error while keeping its type and details
+ * @param {Error} error - Original error
+ * @param {string} context - Message prefix (e.g., 'Failed to fetch ticker')
+ * @returns {OKXError} Error of the same class with a prefixed message
+ */
+export function wrapError(error, context) {
+  const source = error instanceof OKXError ? error : new OKXError(error.message);
+  const wrapped = new source.constructor(`${context}: ${source.message}`, source);
+  wrapped.cause = error;
+  return wrapped;
+}
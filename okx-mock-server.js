@@ -0,0 +1,1283 @@
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { BAR_DURATIONS } from './okx-dex-api.js';
+import { roundToStep, stepDecimals } from './instrument-registry.js';
+
+/**
+ * Instruments served when no `instruments` option is given
+ */
+export const DEFAULT_INSTRUMENTS = [
+  { instId: 'BTC-USDT', instType: 'SPOT', price: 65000, tickSz: '0.1', lotSz: '0.00000001', minSz: '0.00001' },
+  { instId: 'ETH-USDT', instType: 'SPOT', price: 3500, tickSz: '0.01', lotSz: '0.000001', minSz: '0.001' },
+  { instId: 'SOL-USDT', instType: 'SPOT', price: 150, tickSz: '0.01', lotSz: '0.000001', minSz: '0.01' },
+  { instId: 'SOL-USDC', instType: 'SPOT', price: 150, tickSz: '0.01', lotSz: '0.000001', minSz: '0.01' },
+  { instId: 'BTC-USDT-SWAP', instType: 'SWAP', price: 65000, tickSz: '0.1', lotSz: '0.01', minSz: '0.01', ctVal: '0.01' },
+  { instId: 'ETH-USDT-SWAP', instType: 'SWAP', price: 3500, tickSz: '0.01', lotSz: '0.01', minSz: '0.01', ctVal: '0.1' }
+];
+
+/**
+ * Spot balances the trading routes start with when the scenario sets none
+ */
+export const DEFAULT_BALANCES = { USDT: 100000, USDC: 100000, BTC: 1, ETH: 10, SOL: 100 };
+
+const ORDER_TYPES = ['market', 'limit', 'post_only', 'fok', 'ioc', 'optimal_limit_ioc'];
+const ALGO_ORDER_TYPES = ['conditional', 'oco', 'trigger', 'move_order_stop'];
+
+/**
+ * Built-in scenarios, selectable by name
+ *
+ * A scenario is an object with any of:
+ * - `priceModel`: 'random-walk' (every read moves the price) or 'fixed'
+ * - `volatility`: standard deviation of one random-walk step, as a fraction of the price
+ * - `seed`: seed for the random walk, trades and candles
+ * - `prices`: instId -> starting price
+ * - `books`: instId -> { bids, asks } served as-is instead of generated books
+ * - `errors`: rules { route, instId, status, code, msg, times } answered instead of data
+ * - `latency`: delay in ms for every route, or route -> ms (with an optional `default`)
+ * - `rateLimit`: { requests, interval } per route before replying HTTP 429 / code 50011
+ * - `balances`: currency -> starting spot balance for the trading routes (default: DEFAULT_BALANCES)
+ */
+export const SCENARIOS = {
+  'random-walk': { priceModel: 'random-walk', volatility: 0.001 },
+  'fixed-books': {
+    priceModel: 'fixed',
+    books: {
+      'BTC-USDT': {
+        bids: [['64999.9', '0.5'], ['64999', '1'], ['64990', '5']],
+        asks: [['65000.1', '0.5'], ['65001', '1'], ['65010', '5']]
+      }
+    }
+  },
+  outage: { errors: [{ status: 503, code: '50001', msg: 'Service temporarily unavailable' }] },
+  'rate-limited': { rateLimit: { requests: 5, interval: 2000 } },
+  slow: { latency: 1500 }
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash strings and numbers into a 32-bit seed
+ */
+function hashSeed(...parts) {
+  let hash = 2166136261;
+  for (const char of parts.join(':')) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Standard normal sample from a uniform generator (Box-Muller)
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * OKX Mock Server
+ * Local HTTP stand-in for the public OKX v5 market routes the client uses:
+ * /market/ticker, /market/tickers, /market/books, /market/trades,
+ * /market/candles, /market/history-candles and /public/instruments.
+ *
+ * The /trade and /account routes keep orders, fills, balances, derivative
+ * positions and bills in memory: market and marketable orders fill at the
+ * current price, resting limit orders fill when the price reaches them, and
+ * algo orders are recorded but never trigger. Submitted orders are kept in
+ * `orders` (raw OKX shape, newest last).
+ *
+ * Responses come from a scenario (see SCENARIOS) that can be changed while
+ * the server runs, in process or through POST /__mock/scenario,
+ * /__mock/inject and /__mock/price.
+ */
+export default class OKXMockServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object|string} options.scenario - Scenario object or SCENARIOS name (default: 'random-walk')
+   * @param {Array<Object>} options.instruments - Instruments to serve (default: DEFAULT_INSTRUMENTS)
+   * @param {number} options.port - Port to listen on (default: 0, any free port)
+   * @param {string} options.host - Host to listen on (default: '127.0.0.1')
+   * @param {Function} options.clock - Returns the current time in ms (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.clock = options.clock || Date.now;
+    this.instrumentSpecs = options.instruments || DEFAULT_INSTRUMENTS;
+    this.server = null;
+    this.baseURL = null;
+    this.requests = [];
+    this.setScenario(options.scenario || 'random-walk');
+  }
+
+  /**
+   * Replace the scenario and reset prices, trades, orders, balances, positions, rate limit windows and the request log
+   * @param {Object|string} scenario - Scenario object or SCENARIOS name
+   */
+  setScenario(scenario) {
+    const definition = typeof scenario === 'string' ? SCENARIOS[scenario] : scenario;
+    if (!definition) {
+      throw new Error(`Unknown scenario: ${scenario} (expected ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+
+    this.scenario = {
+      priceModel: 'random-walk',
+      volatility: 0.001,
+      seed: 1,
+      ...definition,
+      errors: (definition.errors || []).map(rule => ({ ...rule })),
+      books: { ...(definition.books || {}) }
+    };
+    this.random = createRandom(this.scenario.seed);
+    this.rateWindows = new Map();
+    this.requests = [];
+    this.orders = [];
+    this.algoOrders = [];
+    this.fills = [];
+    this.bills = [];
+    this.positions = new Map();
+    this.nextOrderId = 1;
+    this.nextBillId = 1;
+    this.balances = new Map(Object.entries(this.scenario.balances || DEFAULT_BALANCES)
+      .map(([currency, amount]) => [currency, Number(amount)]));
+
+    const now = this.clock();
+    this.instruments = new Map(this.instrumentSpecs.map(spec => {
+      const price = Number(this.scenario.prices?.[spec.instId] ?? spec.price);
+      return [spec.instId, {
+        ...spec,
+        listTime: spec.listTime || now - 86400000 * 365,
+        basePrice: price,
+        price,
+        open24h: price,
+        high24h: price,
+        low24h: price,
+        vol24h: 0,
+        trades: [],
+        nextTradeId: 1
+      }];
+    }));
+  }
+
+  /**
+   * Add an error rule to the current scenario
+   * @param {Object} rule - { route, instId, status (default: 200), code, msg, times } (route/instId/times optional)
+   */
+  inject(rule) {
+    this.scenario.errors.push({ ...rule });
+  }
+
+  /**
+   * Set the price of an instrument
+   * @param {string} instId - Instrument ID
+   * @param {number} price - New price
+   */
+  setPrice(instId, price) {
+    const instrument = this.getInstrument(instId);
+    if (!instrument) {
+      throw new Error(`Unknown instrument: ${instId}`);
+    }
+    this.movePrice(instrument, Number(price));
+  }
+
+  /**
+   * Move the price of an instrument by a percentage, e.g. -20 for a crash
+   * @param {string} instId - Instrument ID
+   * @param {number} percent - Change in percent
+   */
+  shock(instId, percent) {
+    const instrument = this.getInstrument(instId);
+    if (!instrument) {
+      throw new Error(`Unknown instrument: ${instId}`);
+    }
+    this.movePrice(instrument, instrument.price * (1 + percent / 100));
+  }
+
+  /**
+   * Serve a fixed book for an instrument, which also sets the ticker bid and ask; levels are [price, size] or the full OKX level
+   * @param {string} instId - Instrument ID
+   * @param {Object} book - { bids, asks }
+   */
+  setBook(instId, book) {
+    this.scenario.books[instId] = book;
+  }
+
+  /**
+   * Get the current state of an instrument
+   * @param {string} instId - Instrument ID
+   * @returns {Object|undefined} Instrument with its current price
+   */
+  getInstrument(instId) {
+    return this.instruments.get(instId);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL to give clients (e.g., 'http://127.0.0.1:8080/api/v5')
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.reply(res, 500, { code: '50000', msg: error.message, data: [] });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.baseURL = `http://${this.host}:${this.server.address().port}/api/v5`;
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Write a JSON reply
+   */
+  reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Handle one request: control routes, latency, rate limits, injected errors, then data
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+
+    if (url.pathname.startsWith('/__mock/') && req.method === 'POST') {
+      return this.handleControl(url.pathname, await readBody(req), res);
+    }
+
+    const route = url.pathname.replace(/^\/api\/v5/, '');
+    const body = req.method === 'POST' ? await readBody(req) : null;
+    this.requests.push({ method: req.method, route, query, body, time: this.clock() });
+
+    const delay = this.getLatency(route);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (this.isRateLimited(route)) {
+      return this.reply(res, 429, { code: '50011', msg: 'Too Many Requests', data: [] });
+    }
+
+    const rule = this.takeError(route, query);
+    if (rule) {
+      const status = rule.status || 200;
+      const code = rule.code || (status === 429 ? '50011' : '50001');
+      return this.reply(res, status, { code, msg: rule.msg || `Injected error ${code}`, data: [] });
+    }
+
+    const handler = ROUTES[route];
+    if (!handler) {
+      return this.reply(res, 404, { code: '404', msg: `Route not served by the mock: ${route}`, data: [] });
+    }
+
+    // Private routes only check that the request is signed, not the signature itself
+    if ((route.startsWith('/trade/') || route.startsWith('/account/')) && !req.headers['ok-access-key']) {
+      return this.reply(res, 401, { code: '50103', msg: 'Request header "OK-ACCESS-KEY" can not be empty', data: [] });
+    }
+
+    const result = handler.call(this, query, body);
+    if (result.error) {
+      return this.reply(res, result.status || 200, { code: result.error, msg: result.msg, data: [] });
+    }
+    this.reply(res, 200, { code: result.code || '0', msg: result.msg || '', data: result.data });
+  }
+
+  /**
+   * Apply a change sent to a /__mock/ control route
+   */
+  handleControl(path, body, res) {
+    try {
+      if (path === '/__mock/scenario') {
+        this.setScenario(body.name || body);
+      } else if (path === '/__mock/inject') {
+        this.inject(body);
+      } else if (path === '/__mock/price') {
+        if (body.percent !== undefined) {
+          this.shock(body.instId, body.percent);
+        } else {
+          this.setPrice(body.instId, body.price);
+        }
+      } else {
+        return this.reply(res, 404, { ok: false, error: `Unknown control route: ${path}` });
+      }
+      this.reply(res, 200, { ok: true });
+    } catch (error) {
+      this.reply(res, 400, { ok: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get the configured delay for a route
+   */
+  getLatency(route) {
+    const latency = this.scenario.latency;
+    if (typeof latency === 'number') {
+      return latency;
+    }
+    return latency?.[route] ?? latency?.default ?? 0;
+  }
+
+  /**
+   * Count a request against the route's window and check the scenario's limit
+   */
+  isRateLimited(route) {
+    const limit = this.scenario.rateLimit;
+    if (!limit) {
+      return false;
+    }
+
+    const now = this.clock();
+    const window = (this.rateWindows.get(route) || []).filter(time => now - time < limit.interval);
+    this.rateWindows.set(route, window);
+    if (window.length >= limit.requests) {
+      return true;
+    }
+    window.push(now);
+    return false;
+  }
+
+  /**
+   * Find the first error rule matching a request and use up one of its `times`
+   */
+  takeError(route, query) {
+    const index = this.scenario.errors.findIndex(rule =>
+      (!rule.route || rule.route === route) && (!rule.instId || rule.instId === query.instId)
+    );
+    if (index === -1) {
+      return null;
+    }
+
+    const rule = this.scenario.errors[index];
+    if (rule.times !== undefined && --rule.times <= 0) {
+      this.scenario.errors.splice(index, 1);
+    }
+    return rule;
+  }
+
+  /**
+   * Set a new price, keeping it on the tick grid and updating the 24h range
+   * Resting limit orders the new price reaches are filled.
+   */
+  movePrice(instrument, price) {
+    const tick = Number(instrument.tickSz);
+    instrument.price = Math.max(tick, roundToStep(price, tick));
+    instrument.high24h = Math.max(instrument.high24h, instrument.price);
+    instrument.low24h = Math.min(instrument.low24h, instrument.price);
+
+    for (const order of this.orders) {
+      if (order.instId === instrument.instId && isOpen(order) && crosses(order, instrument.price)) {
+        this.fillOrder(order, Number(order.px), 'M');
+      }
+    }
+  }
+
+  /**
+   * Record one trade, moving the price by a random-walk step unless the price model is 'fixed'
+   */
+  step(instrument) {
+    const previous = instrument.price;
+    if (this.scenario.priceModel === 'random-walk') {
+      this.movePrice(instrument, previous * Math.exp(this.scenario.volatility * gaussian(this.random)));
+    }
+
+    const size = roundToStep(Number(instrument.minSz) * (1 + Math.floor(this.random() * 100)), Number(instrument.lotSz));
+    instrument.vol24h += size;
+    instrument.trades.unshift({
+      instId: instrument.instId,
+      tradeId: String(instrument.nextTradeId++),
+      px: this.formatPrice(instrument, instrument.price),
+      sz: this.formatSize(instrument, size),
+      side: instrument.price > previous || (instrument.price === previous && this.random() < 0.5) ? 'buy' : 'sell',
+      ts: String(this.clock())
+    });
+    instrument.trades.length = Math.min(instrument.trades.length, 500);
+  }
+
+  formatPrice(instrument, price) {
+    return price.toFixed(stepDecimals(instrument.tickSz));
+  }
+
+  formatSize(instrument, size) {
+    return size.toFixed(stepDecimals(instrument.lotSz));
+  }
+
+  /**
+   * Build a raw OKX ticker for an instrument
+   */
+  buildTicker(instrument) {
+    const tick = Number(instrument.tickSz);
+    const price = value => this.formatPrice(instrument, value);
+    // A fixed book also sets the best bid and ask
+    const fixed = this.scenario.books[instrument.instId];
+    const top = fixed
+      ? { bid: fixed.bids[0] || ['', ''], ask: fixed.asks[0] || ['', ''] }
+      : { bid: [price(Math.max(tick, instrument.price - tick)), '1'], ask: [price(instrument.price + tick), '1'] };
+    return {
+      instType: instrument.instType,
+      instId: instrument.instId,
+      last: price(instrument.price),
+      lastSz: instrument.trades[0]?.sz || instrument.minSz,
+      askPx: String(top.ask[0]),
+      askSz: String(top.ask[1]),
+      bidPx: String(top.bid[0]),
+      bidSz: String(top.bid[1]),
+      open24h: price(instrument.open24h),
+      high24h: price(instrument.high24h),
+      low24h: price(instrument.low24h),
+      vol24h: this.formatSize(instrument, instrument.vol24h),
+      volCcy24h: (instrument.vol24h * instrument.price).toFixed(2),
+      sodUtc0: price(instrument.open24h),
+      sodUtc8: price(instrument.open24h),
+      ts: String(this.clock())
+    };
+  }
+
+  /**
+   * Build a book of `depth` levels: the scenario's fixed book, or one generated around the price
+   */
+  buildBook(instrument, depth) {
+    const toLevel = level => [String(level[0]), String(level[1]), String(level[2] ?? '0'), String(level[3] ?? '1')];
+    const fixed = this.scenario.books[instrument.instId];
+    if (fixed) {
+      return {
+        bids: fixed.bids.slice(0, depth).map(toLevel),
+        asks: fixed.asks.slice(0, depth).map(toLevel),
+        ts: String(this.clock())
+      };
+    }
+
+    const tick = Number(instrument.tickSz);
+    const lot = Number(instrument.lotSz);
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < depth; i++) {
+      // About 2,000 quote units more at each level further from the price
+      const size = this.formatSize(instrument, Math.max(lot, roundToStep((2000 * (i + 1)) / instrument.price, lot, 'up')));
+      const bid = instrument.price - tick * (i + 1);
+      if (bid > 0) {
+        bids.push(toLevel([this.formatPrice(instrument, bid), size, '0', i + 1]));
+      }
+      asks.push(toLevel([this.formatPrice(instrument, instrument.price + tick * (i + 1)), size, '0', i + 1]));
+    }
+    return { bids, asks, ts: String(this.clock()) };
+  }
+
+  /**
+   * Build `limit` candles newest first, ending before `after` and after `before` when given
+   * Candles are derived from the instrument, bar and time only, so repeated calls agree.
+   */
+  buildCandles(instrument, bar, limit, after, before) {
+    const duration = BAR_DURATIONS[bar];
+    const now = this.clock();
+    let ts = Math.floor((after ? Math.min(after - 1, now) : now) / duration) * duration;
+    const candles = [];
+
+    while (candles.length < limit && (!before || ts > before) && ts >= instrument.listTime) {
+      const current = ts + duration > now;
+      const random = createRandom(hashSeed(this.scenario.seed, instrument.instId, bar, ts));
+      const spread = this.scenario.volatility * Math.sqrt(duration / 60000);
+      const open = instrument.basePrice * (1 + spread * gaussian(random));
+      const close = current ? instrument.price : instrument.basePrice * (1 + spread * gaussian(random));
+      const high = Math.max(open, close) * (1 + spread * random());
+      const low = Math.min(open, close) * (1 - spread * random());
+      const volume = Number(instrument.minSz) * (10 + Math.floor(random() * 1000));
+
+      candles.push([
+        String(ts),
+        this.formatPrice(instrument, roundToStep(open, Number(instrument.tickSz))),
+        this.formatPrice(instrument, roundToStep(high, Number(instrument.tickSz), 'up')),
+        this.formatPrice(instrument, roundToStep(low, Number(instrument.tickSz), 'down')),
+        this.formatPrice(instrument, roundToStep(close, Number(instrument.tickSz))),
+        this.formatSize(instrument, volume),
+        (volume * close).toFixed(2),
+        (volume * close).toFixed(2),
+        current ? '0' : '1'
+      ]);
+      ts -= duration;
+    }
+    return candles;
+  }
+
+  /**
+   * Look up the `instId` query parameter, or describe the OKX error to reply with
+   */
+  requireInstrument(query) {
+    if (!query.instId) {
+      return { error: '50014', status: 400, msg: 'Parameter instId can not be empty' };
+    }
+    const instrument = this.getInstrument(query.instId);
+    if (!instrument) {
+      return { error: '51001', msg: "Instrument ID doesn't exist" };
+    }
+    return { instrument };
+  }
+
+  /**
+   * Spot balance of a currency not reserved by open orders
+   * @param {string} currency - Currency (e.g., 'USDT')
+   * @returns {number} Available balance
+   */
+  available(currency) {
+    let reserved = 0;
+    for (const order of this.orders) {
+      if (order.instType !== 'SPOT' || !isOpen(order)) {
+        continue;
+      }
+      const [base, quote] = order.instId.split('-');
+      const remaining = Number(order.sz) - Number(order.accFillSz);
+      if (order.side === 'buy' && quote === currency) {
+        reserved += remaining * Number(order.px);
+      } else if (order.side === 'sell' && base === currency) {
+        reserved += remaining;
+      }
+    }
+    return (this.balances.get(currency) || 0) - reserved;
+  }
+
+  /**
+   * Accept or reject one order from /trade/order or /trade/batch-orders
+   * @param {Object} request - OKX order request body
+   * @returns {Object} Result item { ordId, clOrdId, tag, ts, sCode, sMsg }
+   */
+  placeOrder(request) {
+    const now = String(this.clock());
+    const reject = (sCode, sMsg) => ({ ordId: '', clOrdId: request.clOrdId || '', tag: request.tag || '', ts: now, sCode, sMsg });
+
+    const instrument = this.getInstrument(request.instId);
+    if (!instrument) {
+      return reject('51001', "Instrument ID doesn't exist");
+    }
+    if (request.side !== 'buy' && request.side !== 'sell') {
+      return reject('51000', 'Parameter side error');
+    }
+    if (!ORDER_TYPES.includes(request.ordType)) {
+      return reject('51000', 'Parameter ordType error');
+    }
+    if (!request.tdMode) {
+      return reject('51000', 'Parameter tdMode error');
+    }
+    if (request.clOrdId && this.orders.some(order => order.clOrdId === request.clOrdId && isOpen(order))) {
+      return reject('51016', 'Duplicated clOrdId');
+    }
+
+    const market = request.ordType === 'market' || request.ordType === 'optimal_limit_ioc';
+    // Spot market buys are sized in the quote currency unless tgtCcy says otherwise
+    const quoteSized = request.tgtCcy === 'quote_ccy' ||
+      (instrument.instType === 'SPOT' && request.ordType === 'market' && request.side === 'buy' && request.tgtCcy !== 'base_ccy');
+    const requested = Number(request.sz);
+    const size = quoteSized ? roundToStep(requested / instrument.price, Number(instrument.lotSz), 'down') : requested;
+    if (!(requested > 0) || size < Number(instrument.minSz)) {
+      return reject('51020', 'Order amount should be greater than the min available amount');
+    }
+    if (!quoteSized && !onStep(size, instrument.lotSz)) {
+      return reject('51121', 'Order quantity must be a multiple of the lot size');
+    }
+    const price = market ? instrument.price : Number(request.px);
+    if (!market && (!(price > 0) || !onStep(price, instrument.tickSz))) {
+      return reject('51000', 'Parameter px error');
+    }
+
+    if (instrument.instType === 'SPOT') {
+      const [base, quote] = instrument.instId.split('-');
+      const needed = request.side === 'buy' ? size * price : size;
+      if (needed > this.available(request.side === 'buy' ? quote : base) + 1e-9) {
+        return reject('51008', 'Order failed. Insufficient balance');
+      }
+    }
+
+    const order = {
+      instType: instrument.instType,
+      instId: instrument.instId,
+      ordId: String(this.nextOrderId++),
+      clOrdId: request.clOrdId || '',
+      tag: request.tag || '',
+      side: request.side,
+      posSide: request.posSide || 'net',
+      ordType: request.ordType,
+      tdMode: request.tdMode,
+      px: market ? '' : request.px,
+      sz: this.formatSize(instrument, size),
+      tgtCcy: request.tgtCcy || '',
+      reduceOnly: String(request.reduceOnly === true || request.reduceOnly === 'true'),
+      accFillSz: '0',
+      avgPx: '',
+      fillPx: '',
+      fee: '0',
+      feeCcy: '',
+      state: 'live',
+      cTime: now,
+      uTime: now
+    };
+    this.orders.push(order);
+
+    if (market || crosses(order, instrument.price)) {
+      if (request.ordType === 'post_only') {
+        order.state = 'canceled';
+      } else {
+        this.fillOrder(order, instrument.price, 'T');
+      }
+    } else if (request.ordType === 'fok' || request.ordType === 'ioc') {
+      order.state = 'canceled';
+    }
+    return { ordId: order.ordId, clOrdId: order.clOrdId, tag: order.tag, ts: now, sCode: '0', sMsg: 'Order placed' };
+  }
+
+  /**
+   * Change the size or price of an open order
+   * @param {Object} request - OKX amend request body ({ instId, ordId or clOrdId, newSz, newPx, reqId })
+   * @returns {Object} Result item { ordId, clOrdId, reqId, ts, sCode, sMsg }
+   */
+  amendOrder(request) {
+    const now = String(this.clock());
+    const order = this.findOrder(request);
+    const result = (sCode, sMsg) => ({ ordId: order?.ordId || request.ordId || '', clOrdId: request.clOrdId || order?.clOrdId || '', reqId: request.reqId || '', ts: now, sCode, sMsg });
+    if (!order || !isOpen(order)) {
+      return result('51503', 'Order modification failed as the order has been filled, canceled or does not exist');
+    }
+
+    const instrument = this.getInstrument(order.instId);
+    if (request.newSz !== undefined) {
+      const size = Number(request.newSz);
+      if (!(size >= Number(instrument.minSz)) || !onStep(size, instrument.lotSz) || size <= Number(order.accFillSz)) {
+        return result('51000', 'Parameter newSz error');
+      }
+      order.sz = this.formatSize(instrument, size);
+    }
+    if (request.newPx !== undefined) {
+      const price = Number(request.newPx);
+      if (!(price > 0) || !onStep(price, instrument.tickSz)) {
+        return result('51000', 'Parameter newPx error');
+      }
+      order.px = request.newPx;
+    }
+    order.uTime = now;
+
+    if (crosses(order, instrument.price)) {
+      this.fillOrder(order, instrument.price, 'T');
+    }
+    return result('0', '');
+  }
+
+  /**
+   * Cancel an open order
+   * @param {Object} request - OKX cancel request body ({ instId, ordId or clOrdId })
+   * @returns {Object} Result item { ordId, clOrdId, ts, sCode, sMsg }
+   */
+  cancelOrder(request) {
+    const order = this.findOrder(request);
+    const now = String(this.clock());
+    if (!order || !isOpen(order)) {
+      return { ordId: request.ordId || '', clOrdId: request.clOrdId || '', ts: now, sCode: '51400', sMsg: 'Order cancellation failed as the order has been filled, canceled or does not exist' };
+    }
+    order.state = 'canceled';
+    order.uTime = now;
+    return { ordId: order.ordId, clOrdId: order.clOrdId, ts: now, sCode: '0', sMsg: '' };
+  }
+
+  /**
+   * Record an algo order from /trade/order-algo
+   * @param {Object} request - OKX algo order request body
+   * @returns {Object} Result item { algoId, algoClOrdId, sCode, sMsg }
+   */
+  placeAlgoOrder(request) {
+    const reject = (sCode, sMsg) => ({ algoId: '', algoClOrdId: request.algoClOrdId || '', sCode, sMsg });
+    const instrument = this.getInstrument(request.instId);
+    if (!instrument) {
+      return reject('51001', "Instrument ID doesn't exist");
+    }
+    if (!ALGO_ORDER_TYPES.includes(request.ordType)) {
+      return reject('51000', 'Parameter ordType error');
+    }
+    if (request.side !== 'buy' && request.side !== 'sell') {
+      return reject('51000', 'Parameter side error');
+    }
+    const size = Number(request.sz);
+    if (!(size >= Number(instrument.minSz)) || !onStep(size, instrument.lotSz)) {
+      return reject('51020', 'Order amount should be greater than the min available amount');
+    }
+
+    const order = {
+      instType: instrument.instType,
+      instId: instrument.instId,
+      algoId: String(this.nextOrderId++),
+      algoClOrdId: request.algoClOrdId || '',
+      ordType: request.ordType,
+      side: request.side,
+      posSide: request.posSide || 'net',
+      tdMode: request.tdMode,
+      sz: request.sz,
+      tpTriggerPx: request.tpTriggerPx || '',
+      tpOrdPx: request.tpOrdPx || '',
+      slTriggerPx: request.slTriggerPx || '',
+      slOrdPx: request.slOrdPx || '',
+      callbackRatio: request.callbackRatio || '',
+      callbackSpread: request.callbackSpread || '',
+      activePx: request.activePx || '',
+      reduceOnly: String(request.reduceOnly === true || request.reduceOnly === 'true'),
+      state: 'live',
+      cTime: String(this.clock())
+    };
+    this.algoOrders.push(order);
+    return { algoId: order.algoId, algoClOrdId: order.algoClOrdId, sCode: '0', sMsg: '' };
+  }
+
+  /**
+   * Find an order by `ordId` or `clOrdId` on an instrument
+   */
+  findOrder({ instId, ordId, clOrdId }) {
+    return this.orders.find(order =>
+      order.instId === instId && (ordId ? order.ordId === ordId : Boolean(clOrdId) && order.clOrdId === clOrdId)
+    );
+  }
+
+  /**
+   * Fill the rest of an order at a price, updating balances, positions, bills and the fill history
+   * @param {Object} order - Open order
+   * @param {number} price - Fill price
+   * @param {string} execType - 'T' (taker) or 'M' (maker)
+   */
+  fillOrder(order, price, execType) {
+    const instrument = this.getInstrument(order.instId);
+    const size = Number(order.sz) - Number(order.accFillSz);
+    const now = String(this.clock());
+    const [base, quote] = order.instId.split('-');
+    const sign = order.side === 'buy' ? 1 : -1;
+    const bill = { instType: order.instType, instId: order.instId, ordId: order.ordId, type: '2', subType: order.side === 'buy' ? '1' : '2', px: String(price), sz: this.formatSize(instrument, size) };
+
+    let billId;
+    if (order.instType === 'SPOT') {
+      billId = this.addBill({ ...bill, ccy: base, balChg: String(sign * size), pnl: '0' });
+      this.addBill({ ...bill, ccy: quote, balChg: String(-sign * size * price), pnl: '0' });
+    } else {
+      const pnl = this.updatePosition(instrument, sign * size, price);
+      billId = this.addBill({ ...bill, ccy: quote, balChg: String(pnl), pnl: String(pnl) });
+    }
+
+    const filled = Number(order.accFillSz) + size;
+    const average = ((Number(order.avgPx) || 0) * Number(order.accFillSz) + price * size) / filled;
+    Object.assign(order, {
+      accFillSz: this.formatSize(instrument, filled),
+      avgPx: this.formatPrice(instrument, average),
+      fillPx: this.formatPrice(instrument, price),
+      feeCcy: order.side === 'buy' ? base : quote,
+      state: 'filled',
+      uTime: now
+    });
+    this.fills.unshift({
+      instType: order.instType,
+      instId: order.instId,
+      tradeId: String(instrument.nextTradeId++),
+      ordId: order.ordId,
+      clOrdId: order.clOrdId,
+      billId,
+      tag: order.tag,
+      side: order.side,
+      posSide: order.posSide,
+      fillPx: order.fillPx,
+      fillSz: this.formatSize(instrument, size),
+      fee: '0',
+      feeCcy: order.feeCcy,
+      execType,
+      ts: now
+    });
+  }
+
+  /**
+   * Apply a balance change and record it as a bill
+   * @returns {string} Bill ID
+   */
+  addBill(bill) {
+    const balance = (this.balances.get(bill.ccy) || 0) + Number(bill.balChg);
+    this.balances.set(bill.ccy, balance);
+    const billId = String(this.nextBillId++);
+    this.bills.unshift({ billId, bal: String(balance), fee: '0', mgnMode: bill.instType === 'SPOT' ? 'cash' : 'cross', ts: String(this.clock()), ...bill });
+    return billId;
+  }
+
+  /**
+   * Add a signed fill (positive buys) to the net position of a derivative
+   * @returns {number} Profit or loss realized by the part of the fill that reduced the position
+   */
+  updatePosition(instrument, quantity, price) {
+    const now = String(this.clock());
+    const position = this.positions.get(instrument.instId) ||
+      { posId: String(this.nextOrderId++), pos: 0, avgPx: 0, realizedPnl: 0, cTime: now };
+    const contractValue = Number(instrument.ctVal || 1);
+
+    let pnl = 0;
+    if (position.pos === 0 || Math.sign(position.pos) === Math.sign(quantity)) {
+      position.avgPx = (position.avgPx * Math.abs(position.pos) + price * Math.abs(quantity)) / (Math.abs(position.pos) + Math.abs(quantity));
+    } else {
+      const closed = Math.min(Math.abs(quantity), Math.abs(position.pos));
+      pnl = (price - position.avgPx) * closed * contractValue * Math.sign(position.pos);
+      if (Math.abs(quantity) > Math.abs(position.pos)) {
+        // Flipped: the rest opens a position on the other side
+        position.avgPx = price;
+      }
+    }
+    position.pos = roundToStep(position.pos + quantity, Number(instrument.lotSz));
+    if (position.pos === 0) {
+      position.avgPx = 0;
+    }
+    position.realizedPnl += pnl;
+    position.uTime = now;
+    this.positions.set(instrument.instId, position);
+    return pnl;
+  }
+
+  /**
+   * Price of one unit of a currency in USD, from its USDT instrument
+   */
+  usdPrice(currency) {
+    if (['USD', 'USDT', 'USDC'].includes(currency)) {
+      return 1;
+    }
+    return this.getInstrument(`${currency}-USDT`)?.price || 0;
+  }
+
+  /**
+   * Build a raw OKX position for an open derivative position
+   */
+  buildPosition(instrument, position) {
+    const contractValue = Number(instrument.ctVal || 1);
+    const size = Math.abs(position.pos);
+    const upl = (instrument.price - position.avgPx) * position.pos * contractValue;
+    const notional = size * contractValue * instrument.price;
+    return {
+      instType: instrument.instType,
+      instId: instrument.instId,
+      posId: position.posId,
+      posSide: 'net',
+      mgnMode: 'cross',
+      pos: this.formatSize(instrument, position.pos),
+      availPos: '',
+      avgPx: String(position.avgPx),
+      markPx: this.formatPrice(instrument, instrument.price),
+      liqPx: '',
+      lever: '1',
+      imr: String(notional),
+      notionalUsd: String(notional),
+      upl: String(upl),
+      uplRatio: String(upl / (size * contractValue * position.avgPx)),
+      realizedPnl: String(position.realizedPnl),
+      ccy: instrument.instId.split('-')[1],
+      cTime: position.cTime,
+      uTime: position.uTime
+    };
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether an order is still working
+ */
+function isOpen(order) {
+  return order.state === 'live' || order.state === 'partially_filled';
+}
+
+/**
+ * Whether a limit order would trade against the given price
+ */
+function crosses(order, price) {
+  if (!order.px) {
+    return false;
+  }
+  return order.side === 'buy' ? Number(order.px) >= price : Number(order.px) <= price;
+}
+
+/**
+ * Whether a value is a whole number of steps (tick or lot size)
+ */
+function onStep(value, step) {
+  return roundToStep(value, Number(step)) === value;
+}
+
+/**
+ * Reply to a trade route with per-item results: code '1' when every item
+ * failed and '2' when some did, like OKX
+ */
+function itemResults(items) {
+  const failed = items.filter(item => item.sCode !== '0').length;
+  if (failed === 0) {
+    return { data: items };
+  }
+  return failed === items.length
+    ? { code: '1', msg: 'All operations failed', data: items }
+    : { code: '2', msg: 'Bulk operation partially succeeded', data: items };
+}
+
+/**
+ * Check a batch request body: an array of 1 to 20 items
+ */
+function requireBatch(body) {
+  if (!Array.isArray(body) || body.length === 0 || body.length > 20) {
+    return { error: '51000', status: 400, msg: 'Parameter error: send an array of 1 to 20 items' };
+  }
+  return null;
+}
+
+/**
+ * Newest first, after the optional instType/instId filters, up to `limit` (at most 100)
+ */
+function listLatest(items, query, key) {
+  return items
+    .filter(item => (!query.instType || item.instType === query.instType) && (!query.instId || item.instId === query.instId))
+    .sort((a, b) => Number(b[key]) - Number(a[key]))
+    .slice(0, parseLimit(query.limit, 100, 100));
+}
+
+/**
+ * Parse a numeric query parameter, clamped to [1, max]
+ */
+function parseLimit(value, fallback, max) {
+  const limit = parseInt(value) || fallback;
+  return Math.min(Math.max(limit, 1), max);
+}
+
+/**
+ * Route handlers, called with the server as `this`
+ * Each returns { data } or an OKX { error, msg, status }.
+ */
+const ROUTES = {
+  '/market/ticker'(query) {
+    const { instrument, ...error } = this.requireInstrument(query);
+    if (!instrument) return error;
+    this.step(instrument);
+    return { data: [this.buildTicker(instrument)] };
+  },
+
+  '/market/tickers'(query) {
+    if (!query.instType) {
+      return { error: '50014', status: 400, msg: 'Parameter instType can not be empty' };
+    }
+    const family = query.instFamily || query.uly;
+    const instruments = [...this.instruments.values()].filter(instrument =>
+      instrument.instType === query.instType && (!family || instrument.instId.startsWith(`${family}-`))
+    );
+    return {
+      data: instruments.map(instrument => {
+        this.step(instrument);
+        return this.buildTicker(instrument);
+      })
+    };
+  },
+
+  '/market/books'(query) {
+    const { instrument, ...error } = this.requireInstrument(query);
+    if (!instrument) return error;
+    this.step(instrument);
+    return { data: [this.buildBook(instrument, parseLimit(query.sz, 1, 400))] };
+  },
+
+  '/market/trades'(query) {
+    const { instrument, ...error } = this.requireInstrument(query);
+    if (!instrument) return error;
+    this.step(instrument);
+    return { data: instrument.trades.slice(0, parseLimit(query.limit, 100, 500)) };
+  },
+
+  '/market/candles'(query) {
+    const { instrument, ...error } = this.requireInstrument(query);
+    if (!instrument) return error;
+    const bar = query.bar || '1m';
+    if (!BAR_DURATIONS[bar]) {
+      return { error: '51000', status: 400, msg: 'Parameter bar error' };
+    }
+    const after = query.after ? parseInt(query.after) : null;
+    const before = query.before ? parseInt(query.before) : null;
+    return { data: this.buildCandles(instrument, bar, parseLimit(query.limit, 100, 300), after, before) };
+  },
+
+  '/market/history-candles'(query) {
+    return ROUTES['/market/candles'].call(this, { ...query, limit: parseLimit(query.limit, 100, 100) });
+  },
+
+  '/public/instruments'(query) {
+    if (!query.instType) {
+      return { error: '50014', status: 400, msg: 'Parameter instType can not be empty' };
+    }
+    const instruments = [...this.instruments.values()].filter(instrument =>
+      instrument.instType === query.instType &&
+      (!query.instId || instrument.instId === query.instId) &&
+      (!query.instFamily || instrument.instId.startsWith(`${query.instFamily}-`))
+    );
+    return {
+      data: instruments.map(instrument => {
+        const [base, quote] = instrument.instId.split('-');
+        const derivative = instrument.instType !== 'SPOT';
+        return {
+          instType: instrument.instType,
+          instId: instrument.instId,
+          baseCcy: derivative ? '' : base,
+          quoteCcy: derivative ? '' : quote,
+          settleCcy: derivative ? quote : '',
+          ctVal: instrument.ctVal || '',
+          ctValCcy: derivative ? base : '',
+          instFamily: derivative ? `${base}-${quote}` : '',
+          uly: derivative ? `${base}-${quote}` : '',
+          tickSz: instrument.tickSz,
+          lotSz: instrument.lotSz,
+          minSz: instrument.minSz,
+          listTime: String(instrument.listTime),
+          expTime: '',
+          state: instrument.state || 'live'
+        };
+      })
+    };
+  },
+
+  '/trade/order'(query, body) {
+    if (body) {
+      return itemResults([this.placeOrder(body)]);
+    }
+    if (!query.instId || (!query.ordId && !query.clOrdId)) {
+      return { error: '50014', status: 400, msg: 'Parameter instId and ordId or clOrdId can not be empty' };
+    }
+    const order = this.findOrder(query);
+    if (!order) {
+      return { error: '51603', msg: 'Order does not exist' };
+    }
+    return { data: [order] };
+  },
+
+  '/trade/batch-orders'(query, body) {
+    return requireBatch(body) || itemResults(body.map(request => this.placeOrder(request)));
+  },
+
+  '/trade/amend-order'(query, body) {
+    return itemResults([this.amendOrder(body || {})]);
+  },
+
+  '/trade/amend-batch-orders'(query, body) {
+    return requireBatch(body) || itemResults(body.map(request => this.amendOrder(request)));
+  },
+
+  '/trade/cancel-order'(query, body) {
+    return itemResults([this.cancelOrder(body || {})]);
+  },
+
+  '/trade/cancel-batch-orders'(query, body) {
+    return requireBatch(body) || itemResults(body.map(request => this.cancelOrder(request)));
+  },
+
+  '/trade/orders-pending'(query) {
+    const orders = this.orders.filter(order => isOpen(order) && (!query.ordType || order.ordType === query.ordType));
+    return { data: listLatest(orders, query, 'ordId') };
+  },
+
+  '/trade/orders-history'(query) {
+    if (!query.instType) {
+      return { error: '50014', status: 400, msg: 'Parameter instType can not be empty' };
+    }
+    const orders = this.orders.filter(order => !isOpen(order) && (!query.state || order.state === query.state));
+    return { data: listLatest(orders, query, 'ordId') };
+  },
+
+  '/trade/fills'(query) {
+    const fills = this.fills.filter(fill => !query.ordId || fill.ordId === query.ordId);
+    return { data: listLatest(fills, query, 'billId') };
+  },
+
+  '/trade/order-algo'(query, body) {
+    return itemResults([this.placeAlgoOrder(body || {})]);
+  },
+
+  '/trade/cancel-algos'(query, body) {
+    return requireBatch(body) || itemResults(body.map(request => {
+      const order = this.algoOrders.find(algo => algo.algoId === request.algoId && algo.instId === request.instId && algo.state === 'live');
+      if (!order) {
+        return { algoId: request.algoId || '', sCode: '51000', sMsg: 'Algo order does not exist' };
+      }
+      order.state = 'canceled';
+      return { algoId: order.algoId, sCode: '0', sMsg: '' };
+    }));
+  },
+
+  '/account/balance'(query) {
+    const currencies = query.ccy ? query.ccy.split(',') : [...this.balances.keys()];
+    const now = String(this.clock());
+    const details = currencies.filter(currency => this.balances.has(currency)).map(currency => {
+      const cash = this.balances.get(currency);
+      const available = this.available(currency);
+      return {
+        ccy: currency,
+        eq: String(cash),
+        cashBal: String(cash),
+        availBal: String(available),
+        availEq: String(available),
+        frozenBal: String(cash - available),
+        ordFrozen: String(cash - available),
+        eqUsd: String(cash * this.usdPrice(currency)),
+        upl: '0',
+        uTime: now
+      };
+    });
+    const totalEq = details.reduce((sum, detail) => sum + Number(detail.eqUsd), 0);
+    return { data: [{ totalEq: String(totalEq), uTime: now, details }] };
+  },
+
+  '/account/positions'(query) {
+    const instIds = query.instId ? query.instId.split(',') : null;
+    const positions = [...this.positions.entries()]
+      .filter(([instId, position]) => position.pos !== 0 && (!instIds || instIds.includes(instId)))
+      .map(([instId, position]) => this.buildPosition(this.getInstrument(instId), position))
+      .filter(position => !query.instType || position.instType === query.instType);
+    return { data: positions };
+  },
+
+  '/account/config'() {
+    return {
+      data: [{
+        uid: '44705892343619584',
+        acctLv: '2',
+        posMode: 'net_mode',
+        autoLoan: false,
+        greeksType: 'PA',
+        level: 'Lv1',
+        ctIsoMode: 'automatic',
+        mgnIsoMode: 'automatic',
+        label: 'okx-mock-server',
+        perm: 'read_only,trade'
+      }]
+    };
+  },
+
+  '/account/max-size'(query) {
+    const { instrument, ...error } = this.requireInstrument(query);
+    if (!instrument) return error;
+    if (!query.tdMode) {
+      return { error: '50014', status: 400, msg: 'Parameter tdMode can not be empty' };
+    }
+    const price = Number(query.px) || instrument.price;
+    const lot = Number(instrument.lotSz);
+    const [base, quote] = instrument.instId.split('-');
+    let maxBuy;
+    let maxSell;
+    if (instrument.instType === 'SPOT') {
+      maxBuy = roundToStep(Math.max(0, this.available(quote)) / price, lot, 'down');
+      maxSell = roundToStep(Math.max(0, this.available(base)), lot, 'down');
+    } else {
+      // Margin in the settlement currency, at 1x unless `leverage` is given
+      const leverage = Number(query.leverage) || 1;
+      maxBuy = maxSell = roundToStep(Math.max(0, this.available(quote)) * leverage / (price * Number(instrument.ctVal || 1)), lot, 'down');
+    }
+    return {
+      data: [{
+        instId: instrument.instId,
+        ccy: query.ccy || '',
+        maxBuy: this.formatSize(instrument, maxBuy),
+        maxSell: this.formatSize(instrument, maxSell)
+      }]
+    };
+  },
+
+  '/account/bills'(query) {
+    const bills = this.bills.filter(bill => (!query.ccy || bill.ccy === query.ccy) && (!query.type || bill.type === query.type));
+    return { data: listLatest(bills, query, 'billId') };
+  },
+
+  '/account/bills-archive'(query) {
+    return ROUTES['/account/bills'].call(this, query);
+  },
+
+  '/trade/orders-algo-pending'(query) {
+    if (!query.ordType) {
+      return { error: '50014', status: 400, msg: 'Parameter ordType can not be empty' };
+    }
+    const orders = this.algoOrders.filter(order => order.state === 'live' && query.ordType.split(',').includes(order.ordType));
+    return { data: listLatest(orders, query, 'algoId') };
+  }
+};
+
+/**
+ * Parse `--name value` command line options
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+// Run as a standalone server: node okx-mock-server.js --port 8080 --scenario random-walk --seed 1
+// (also through symlinks and from paths that need escaping in a file URL)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = parseArgs(process.argv.slice(2));
+  const scenario = { ...(SCENARIOS[args.scenario || 'random-walk'] || {}), seed: parseInt(args.seed) || 1 };
+  if (args.scenario && !SCENARIOS[args.scenario]) {
+    console.error(`Unknown scenario: ${args.scenario} (expected ${Object.keys(SCENARIOS).join(', ')})`);
+    process.exit(1);
+  }
+
+  const mock = new OKXMockServer({ port: parseInt(args.port) || 8080, host: args.host, scenario });
+  mock.start()
+    .then(baseURL => {
+      console.log(`🧪 OKX mock server (${args.scenario || 'random-walk'}) listening on ${baseURL}`);
+      console.log(`   new OKXDexAPI({ baseURL: '${baseURL}' })`);
+    })
+    .catch(error => {
+      console.error(`okx-mock-server: cannot listen on ${mock.host}:${mock.port}: ${error.message}`);
+      process.exit(1);
+    });
+
+  process.on('SIGINT', () => {
+    mock.stop().then(() => process.exit(0));
+  });
+}
@@ -0,0 +1,429 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import {
+  normalizeTicker,
+  normalizeOrderBook,
+  normalizeTrade,
+  normalizeCandle
+} from './okx-dex-api.js';
+import { createNumberParser } from './numeric.js';
+
+export const PUBLIC_URL = 'wss://ws.okx.com:8443/ws/v5/public';
+export const BUSINESS_URL = 'wss://ws.okx.com:8443/ws/v5/business';
+
+/**
+ * Build the key used to track a subscription
+ */
+function subscriptionKey(channel, instId) {
+  return `${channel}:${instId}`;
+}
+
+/**
+ * Normalize a channel push into the same shapes the REST methods return
+ * @param {Object} arg - Channel argument ({ channel, instId })
+ * @param {Object} message - Raw push message
+ * @param {Object} numbers - Parser from createNumberParser
+ * @returns {Array<Object>} Normalized data items
+ */
+function normalizePush(arg, message, numbers) {
+  const { channel, instId } = arg;
+
+  if (channel === 'tickers') {
+    return message.data.map(ticker => normalizeTicker(ticker, numbers));
+  }
+  if (channel.startsWith('books') || channel === 'bbo-tbt') {
+    return message.data.map(book => ({
+      ...normalizeOrderBook(instId, book, numbers),
+      action: message.action || 'snapshot',
+      checksum: book.checksum,
+      seqId: book.seqId,
+      prevSeqId: book.prevSeqId
+    }));
+  }
+  if (channel === 'trades' || channel === 'trades-all') {
+    return message.data.map(trade => normalizeTrade(trade, numbers));
+  }
+  if (channel.startsWith('candle')) {
+    return message.data.map(candle => normalizeCandle(candle, numbers));
+  }
+  return message.data;
+}
+
+/**
+ * Event name emitted for each channel type
+ */
+function eventForChannel(channel) {
+  if (channel === 'tickers') return 'ticker';
+  if (channel.startsWith('books') || channel === 'bbo-tbt') return 'book';
+  if (channel.startsWith('trades')) return 'trade';
+  if (channel.startsWith('candle')) return 'candle';
+  return channel;
+}
+
+/**
+ * OKX WebSocket Client
+ * Streams public market data channels (tickers, books, trades and candles)
+ *
+ * Candle channels are served by the business endpoint, so create a second
+ * client with `url: BUSINESS_URL` for them.
+ *
+ * Events:
+ * - `ticker`, `book`, `trade`, `candle` (data, arg) - normalized channel data
+ * - `data` (data, arg) - every normalized item, whatever the channel
+ * - `raw` (message) - every channel push as received, before normalization
+ * - `subscribed` / `unsubscribed` (arg) - server acknowledgements
+ * - `open`, `close`, `reconnect` (attempt) - connection lifecycle
+ * - `error` (error) - only emitted when a listener is attached
+ */
+export default class OKXWebSocket extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - WebSocket endpoint (default: public endpoint)
+   * @param {number} options.pingInterval - Idle time before sending 'ping' (default: 25000ms)
+   * @param {number} options.pongTimeout - Time to wait for 'pong' before reconnecting (default: 10000ms)
+   * @param {boolean} options.autoReconnect - Reconnect and resubscribe after a drop (default: true)
+   * @param {number} options.reconnectDelay - Initial reconnect delay, doubled per attempt (default: 1000ms)
+   * @param {number} options.maxReconnectDelay - Upper bound for the reconnect delay (default: 30000ms)
+   * @param {string} options.numeric - Type of decimal fields: 'number', 'string' or 'decimal' (default: 'number')
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url || PUBLIC_URL;
+    this.pingInterval = options.pingInterval || 25000;
+    this.pongTimeout = options.pongTimeout || 10000;
+    this.autoReconnect = options.autoReconnect !== false;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.numbers = createNumberParser(options.numeric);
+
+    this.socket = null;
+    this.subscriptions = new Map();
+    this.reconnectAttempts = 0;
+    this.closedByUser = false;
+    this.connecting = null;
+    this.pingTimer = null;
+    this.pongTimer = null;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Check whether the socket is open
+   * @returns {boolean} True when messages can be sent
+   */
+  isConnected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Open the connection and resubscribe any tracked channels
+   * @returns {Promise<void>} Resolves once the socket is open
+   */
+  connect() {
+    if (this.isConnected()) {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.closedByUser = false;
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      socket.on('open', () => {
+        this.connecting = null;
+        this.reconnectAttempts = 0;
+        this.resetPing();
+        this.emit('open');
+
+        if (this.subscriptions.size > 0) {
+          this.send({ op: 'subscribe', args: Array.from(this.subscriptions.values(), entry => entry.arg) });
+        }
+        resolve();
+      });
+
+      socket.on('message', raw => this.handleMessage(raw.toString()));
+
+      socket.on('error', error => {
+        if (this.connecting) {
+          this.connecting = null;
+          reject(new Error(`Failed to connect to ${this.url}: ${error.message}`));
+        }
+        this.emitError(error);
+      });
+
+      socket.on('close', () => {
+        this.clearTimers();
+        this.connecting = null;
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+        this.emit('close');
+
+        if (!this.closedByUser && this.autoReconnect) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Subscribe to a channel
+   * Subscriptions are counted per channel and instrument: each call needs a
+   * matching unsubscribe() before the channel is left.
+   * @param {string} channel - Channel name ('tickers', 'books5', 'books', 'trades', 'candle1m', ...)
+   * @param {string} instId - Trading pair (e.g., 'BTC-USDT')
+   * @returns {Promise<void>} Resolves once the request has been sent
+   */
+  async subscribe(channel, instId) {
+    const arg = { channel, instId };
+    const key = subscriptionKey(channel, instId);
+    const existing = this.subscriptions.get(key);
+    if (existing) {
+      existing.users++;
+      if (!this.isConnected()) {
+        await this.connect();
+      }
+      return;
+    }
+
+    this.subscriptions.set(key, { arg, users: 1 });
+    if (this.isConnected()) {
+      this.send({ op: 'subscribe', args: [arg] });
+    } else {
+      // The open handler subscribes everything in this.subscriptions
+      await this.connect();
+    }
+  }
+
+  /**
+   * Unsubscribe from a channel
+   * The channel is only left once every subscribe() call has been matched.
+   * @param {string} channel - Channel name
+   * @param {string} instId - Trading pair (e.g., 'BTC-USDT')
+   */
+  unsubscribe(channel, instId) {
+    const key = subscriptionKey(channel, instId);
+    const existing = this.subscriptions.get(key);
+    if (!existing) {
+      return;
+    }
+    if (--existing.users > 0) {
+      return;
+    }
+    this.subscriptions.delete(key);
+    if (this.isConnected()) {
+      this.send({ op: 'unsubscribe', args: [{ channel, instId }] });
+    }
+  }
+
+  /**
+   * Leave and rejoin a subscribed channel, which makes OKX send a new snapshot
+   * Every user stays subscribed.
+   * @param {string} channel - Channel name
+   * @param {string} instId - Trading pair (e.g., 'BTC-USDT')
+   * @returns {Promise<void>} Resolves once the requests have been sent
+   */
+  async resubscribe(channel, instId) {
+    const existing = this.subscriptions.get(subscriptionKey(channel, instId));
+    if (!existing) {
+      throw new Error(`Not subscribed to ${channel} ${instId}`);
+    }
+    if (this.isConnected()) {
+      this.send({ op: 'unsubscribe', args: [existing.arg] });
+      this.send({ op: 'subscribe', args: [existing.arg] });
+    } else {
+      // The open handler subscribes everything in this.subscriptions
+      await this.connect();
+    }
+  }
+
+  /**
+   * Stream normalized data for one subscription as an async iterator
+   * Ending the iteration (break, return) unsubscribes the channel. If the
+   * connection fails, the first next() rejects with the error and ends the
+   * stream, unless autoReconnect will resubscribe once the socket reopens.
+   * @param {string} channel - Channel name
+   * @param {string} instId - Trading pair (e.g., 'BTC-USDT')
+   * @returns {AsyncIterableIterator<Object>} Normalized channel data
+   */
+  stream(channel, instId) {
+    const queue = [];
+    const waiters = [];
+    let done = false;
+
+    const listener = (data, arg) => {
+      if (arg.channel !== channel || arg.instId !== instId) return;
+      if (waiters.length > 0) {
+        waiters.shift()({ value: data, done: false });
+      } else {
+        queue.push(data);
+      }
+    };
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      this.off('data', listener);
+      this.unsubscribe(channel, instId);
+      while (waiters.length > 0) {
+        waiters.shift()({ value: undefined, done: true });
+      }
+    };
+
+    this.on('data', listener);
+    // Subscribe right away so pushes are queued before the first next(); a failed
+    // connection is reported by next(), not as an unhandled rejection meanwhile
+    let subscribed = this.subscribe(channel, instId).then(() => null, error => (this.autoReconnect ? null : error));
+
+    return {
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+      async next() {
+        if (subscribed) {
+          const error = await subscribed;
+          subscribed = null;
+          if (error) {
+            // for await does not call return() when next() throws
+            finish();
+            throw error;
+          }
+        }
+        if (queue.length > 0) {
+          return { value: queue.shift(), done: false };
+        }
+        if (done) {
+          return { value: undefined, done: true };
+        }
+        return new Promise(resolve => waiters.push(resolve));
+      },
+      async return() {
+        finish();
+        return { value: undefined, done: true };
+      }
+    };
+  }
+
+  /**
+   * Close the connection without reconnecting
+   */
+  close() {
+    this.closedByUser = true;
+    this.clearTimers();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Handle a raw message from the server
+   */
+  handleMessage(raw) {
+    this.resetPing();
+
+    if (raw === 'pong') {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.emitError(new Error(`Invalid message from OKX: ${raw}`));
+      return;
+    }
+
+    if (message.event === 'subscribe') {
+      this.emit('subscribed', message.arg);
+      return;
+    }
+    if (message.event === 'unsubscribe') {
+      this.emit('unsubscribed', message.arg);
+      return;
+    }
+    if (message.event === 'error') {
+      this.emitError(new Error(`OKX error ${message.code}: ${message.msg}`));
+      return;
+    }
+    if (!message.arg || !Array.isArray(message.data)) {
+      return;
+    }
+
+    this.emit('raw', message);
+
+    const event = eventForChannel(message.arg.channel);
+    for (const item of normalizePush(message.arg, message, this.numbers)) {
+      this.emit(event, item, message.arg);
+      this.emit('data', item, message.arg);
+    }
+  }
+
+  /**
+   * Send a JSON payload over the socket
+   */
+  send(payload) {
+    this.socket.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Restart the idle timer; OKX drops connections that are silent for 30s
+   */
+  resetPing() {
+    this.clearTimers();
+    this.pingTimer = setTimeout(() => {
+      if (!this.isConnected()) return;
+      this.socket.send('ping');
+      this.pongTimer = setTimeout(() => {
+        // No pong: treat the connection as dead and let the close handler reconnect
+        if (this.socket) this.socket.terminate();
+      }, this.pongTimeout);
+    }, this.pingInterval);
+  }
+
+  /**
+   * Stop the keepalive timers
+   */
+  clearTimers() {
+    if (this.pingTimer) {
+      clearTimeout(this.pingTimer);
+      this.pingTimer = null;
+    }
+    if (this.pongTimer) {
+      clearTimeout(this.pongTimer);
+      this.pongTimer = null;
+    }
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.emit('reconnect', this.reconnectAttempts);
+      this.connect().catch(() => {
+        // The close handler schedules the next attempt
+      });
+    }, delay);
+  }
+
+  /**
+   * Emit an error without crashing when nobody is listening
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Order Book Analytics
+ *
+ * Pure functions over the `{ bids, asks }` books returned by
+ * OKXDexAPI.getOrderBook and LocalOrderBook.getDepth. Levels are
+ * `{ price, size }` objects, best price first. Prices and sizes may be
+ * numbers, strings or Decimals (see the client's `numeric` option); results
+ * are always numbers.
+ */
+
+const BPS = 10000;
+
+/**
+ * Get the mid price
+ * @param {Object} book - Order book with bids and asks
+ * @returns {number|null} Mid price, or null when a side is empty
+ */
+export function midPrice(book) {
+  if (book.bids.length === 0 || book.asks.length === 0) {
+    return null;
+  }
+  return (Number(book.bids[0].price) + Number(book.asks[0].price)) / 2;
+}
+
+/**
+ * Get the bid/ask spread
+ * @param {Object} book - Order book with bids and asks
+ * @returns {Object|null} Spread as an absolute price difference and in basis points
+ */
+export function spread(book) {
+  const mid = midPrice(book);
+  if (mid === null) {
+    return null;
+  }
+
+  const absolute = Number(book.asks[0].price) - Number(book.bids[0].price);
+  return {
+    absolute,
+    bps: absolute / mid * BPS
+  };
+}
+
+/**
+ * Get the size-weighted microprice of the top of book
+ * Leans towards the side with less resting size, where the next trade is more likely.
+ * @param {Object} book - Order book with bids and asks
+ * @returns {number|null} Microprice, or null when a side is empty
+ */
+export function microprice(book) {
+  if (book.bids.length === 0 || book.asks.length === 0) {
+    return null;
+  }
+
+  const bidPrice = Number(book.bids[0].price);
+  const bidSize = Number(book.bids[0].size);
+  const askPrice = Number(book.asks[0].price);
+  const askSize = Number(book.asks[0].size);
+  const totalSize = bidSize + askSize;
+  if (totalSize === 0) {
+    return midPrice(book);
+  }
+  return (bidPrice * askSize + askPrice * bidSize) / totalSize;
+}
+
+/**
+ * Get the cumulative depth within a distance from the mid price
+ * @param {Object} book - Order book with bids and asks
+ * @param {number} bps - Distance from the mid price in basis points
+ * @returns {Object|null} Base size and quote notional on each side
+ */
+export function depthWithinBps(book, bps) {
+  const mid = midPrice(book);
+  if (mid === null) {
+    return null;
+  }
+
+  const bidFloor = mid * (1 - bps / BPS);
+  const askCeiling = mid * (1 + bps / BPS);
+
+  const sum = levels => levels.reduce((totals, level) => ({
+    size: totals.size + Number(level.size),
+    notional: totals.notional + Number(level.size) * Number(level.price)
+  }), { size: 0, notional: 0 });
+
+  const bids = sum(book.bids.filter(level => Number(level.price) >= bidFloor));
+  const asks = sum(book.asks.filter(level => Number(level.price) <= askCeiling));
+
+  return {
+    bps,
+    bidSize: bids.size,
+    bidNotional: bids.notional,
+    askSize: asks.size,
+    askNotional: asks.notional
+  };
+}
+
+/**
+ * Get the book imbalance over the top levels
+ * @param {Object} book - Order book with bids and asks
+ * @param {number} levels - Levels per side to include (default: 5)
+ * @returns {number|null} Value from -1 (all asks) to 1 (all bids)
+ */
+export function imbalance(book, levels = 5) {
+  const bidSize = book.bids.slice(0, levels).reduce((sum, level) => sum + Number(level.size), 0);
+  const askSize = book.asks.slice(0, levels).reduce((sum, level) => sum + Number(level.size), 0);
+  const total = bidSize + askSize;
+  if (total === 0) {
+    return null;
+  }
+  return (bidSize - askSize) / total;
+}
+
+/**
+ * Walk the book to estimate a market order fill
+ * @param {Object} book - Order book with bids and asks
+ * @param {string} side - 'buy' (takes asks) or 'sell' (takes bids)
+ * @param {number} amount - Order amount
+ * @param {string} amountType - 'base' for a size in the base currency, 'quote' for a notional (default: 'base')
+ * @returns {Object} Average fill price, filled amounts, and slippage against the mid price in basis points
+ */
+export function simulateFill(book, side, amount, amountType = 'base') {
+  if (side !== 'buy' && side !== 'sell') {
+    throw new Error(`Invalid side: ${side}`);
+  }
+  if (amountType !== 'base' && amountType !== 'quote') {
+    throw new Error(`Invalid amount type: ${amountType}`);
+  }
+
+  const levels = side === 'buy' ? book.asks : book.bids;
+  let remaining = amount;
+  let filledBase = 0;
+  let filledQuote = 0;
+  let levelsConsumed = 0;
+  let worstPrice = null;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+
+    const price = Number(level.price);
+    const size = Number(level.size);
+    const levelAmount = amountType === 'base' ? size : size * price;
+    const take = Math.min(remaining, levelAmount);
+    const takeBase = amountType === 'base' ? take : take / price;
+
+    filledBase += takeBase;
+    filledQuote += takeBase * price;
+    remaining -= take;
+    levelsConsumed++;
+    worstPrice = price;
+  }
+
+  const avgPrice = filledBase > 0 ? filledQuote / filledBase : null;
+  const mid = midPrice(book);
+  let slippageBps = null;
+  if (avgPrice !== null && mid !== null) {
+    // Positive slippage is always a cost: paying above mid or selling below it
+    slippageBps = (side === 'buy' ? avgPrice - mid : mid - avgPrice) / mid * BPS;
+  }
+
+  return {
+    side,
+    avgPrice,
+    worstPrice,
+    filledBase,
+    filledQuote,
+    levelsConsumed,
+    fullyFilled: remaining <= amount * 1e-12,
+    slippageBps
+  };
+}
+
+/**
+ * Get the price at which a notional can actually trade
+ * Averages the fill prices of buying and of selling the notional, so the
+ * result moves with liquidity instead of a single last trade.
+ * @param {Object} book - Order book with bids and asks
+ * @param {number} quoteNotional - Trade size in the quote currency
+ * @returns {number|null} Impact-adjusted price, or null when either side cannot fill the notional
+ */
+export function impactAdjustedPrice(book, quoteNotional) {
+  const buy = simulateFill(book, 'buy', quoteNotional, 'quote');
+  const sell = simulateFill(book, 'sell', quoteNotional, 'quote');
+
+  if (!buy.fullyFilled || !sell.fullyFilled) {
+    return null;
+  }
+  return (buy.avgPrice + sell.avgPrice) / 2;
+}
+
+/**
+ * Compute every metric in one pass
+ * @param {Object} book - Order book with bids and asks
+ * @param {Object} options - Analysis options
+ * @param {Array<number>} options.depthBps - Distances for depth buckets (default: [10, 50, 100])
+ * @param {number} options.imbalanceLevels - Levels used for imbalance (default: 5)
+ * @param {number} options.impactNotional - Quote notional for the impact-adjusted price (optional)
+ * @returns {Object} Order book metrics
+ */
+export function analyzeOrderBook(book, options = {}) {
+  const depthBps = options.depthBps || [10, 50, 100];
+
+  return {
+    symbol: book.symbol,
+    midPrice: midPrice(book),
+    spread: spread(book),
+    microprice: microprice(book),
+    imbalance: imbalance(book, options.imbalanceLevels || 5),
+    depth: depthBps.map(bps => depthWithinBps(book, bps)),
+    impactAdjustedPrice: options.impactNotional ? impactAdjustedPrice(book, options.impactNotional) : null,
+    timestamp: book.timestamp
+  };
+}
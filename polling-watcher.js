@@ -0,0 +1,187 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Change detector that passes data on when `select(data)` differs from the previous poll
+ * @param {Function} select - Picks the fields that count as a change (default: the whole value)
+ * @returns {Function} (data, previous) => values to emit
+ */
+export function changedValue(select = data => data) {
+  return (data, previous) => {
+    if (previous !== null && JSON.stringify(select(data)) === JSON.stringify(select(previous))) {
+      return [];
+    }
+    return [data];
+  };
+}
+
+/**
+ * Change detector for trade lists that passes on trades not seen before, oldest first
+ * @param {number} maxSeen - Trade IDs remembered for deduplication (default: 5000)
+ * @returns {Function} (trades) => new trades
+ */
+export function newTrades(maxSeen = 5000) {
+  const seen = new Set();
+  return trades => {
+    const fresh = trades
+      .filter(trade => !seen.has(trade.tradeId))
+      .sort((a, b) => a.timestamp - b.timestamp || Number(a.tradeId) - Number(b.tradeId));
+    for (const trade of fresh) {
+      seen.add(trade.tradeId);
+    }
+    // Sets iterate in insertion order, so the oldest IDs go first
+    for (const tradeId of seen) {
+      if (seen.size <= maxSeen) {
+        break;
+      }
+      seen.delete(tradeId);
+    }
+    return fresh;
+  };
+}
+
+/**
+ * Polling Watcher
+ * Calls a fetch function every `interval` ms and pushes only what changed,
+ * both as events and through async iteration. Failed polls back off
+ * exponentially up to `maxBackoff` and polling continues.
+ *
+ * Each value is delivered to one iterator; use the `data` event to fan out
+ * to several consumers. Values an iterator has not taken yet are buffered up
+ * to `bufferSize`, dropping the oldest.
+ *
+ * Events:
+ * - `data` (value) - a changed value
+ * - `error` (error) - a poll failed (emitted only when there is a listener)
+ * - `stop` - the watcher was stopped
+ */
+export default class PollingWatcher extends EventEmitter {
+  /**
+   * @param {Function} fetch - Async function returning the latest data
+   * @param {Object} options - Watcher options
+   * @param {Function} options.changes - (data, previous) => values to emit; previous is null on the first poll (default: changedValue())
+   * @param {number} options.interval - Delay between polls in ms (default: 1000)
+   * @param {number} options.maxBackoff - Longest delay after repeated failures in ms (default: 30000)
+   * @param {number} options.bufferSize - Values kept for a slow iterator (default: 100)
+   */
+  constructor(fetch, options = {}) {
+    super();
+    this.fetch = fetch;
+    this.changes = options.changes || changedValue();
+    this.interval = options.interval ?? 1000;
+    this.maxBackoff = Math.max(options.maxBackoff ?? 30000, this.interval);
+    this.bufferSize = options.bufferSize ?? 100;
+    if (!(this.interval > 0)) {
+      throw new Error(`Invalid interval: ${options.interval}`);
+    }
+
+    this.running = false;
+    this.timer = null;
+    this.previous = null;
+    this.buffer = [];
+    this.waiters = [];
+    this.polls = 0;
+    this.failures = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling; the first poll runs right away
+   * @returns {PollingWatcher} This watcher
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.timer = setTimeout(() => this.poll(), 0);
+    }
+    return this;
+  }
+
+  /**
+   * Stop polling and end iteration once buffered values are taken
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const resolve of this.waiters.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+    this.emit('stop');
+  }
+
+  /**
+   * Fetch once, push what changed and schedule the next poll
+   * Consecutive failures wait interval * 2^failures, capped at maxBackoff.
+   */
+  async poll() {
+    let delay = this.interval;
+    try {
+      const data = await this.fetch();
+      if (!this.running) {
+        return;
+      }
+      const values = this.changes(data, this.previous);
+      this.previous = data;
+      this.polls++;
+      this.failures = 0;
+      for (const value of values) {
+        this.push(value);
+      }
+    } catch (error) {
+      if (!this.running) {
+        return;
+      }
+      this.failures++;
+      this.lastError = error;
+      delay = Math.min(this.interval * 2 ** this.failures, this.maxBackoff);
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), delay);
+    }
+  }
+
+  /**
+   * Hand a value to a waiting iterator, or buffer it
+   */
+  push(value) {
+    this.emit('data', value);
+    const resolve = this.waiters.shift();
+    if (resolve) {
+      resolve({ value, done: false });
+      return;
+    }
+    this.buffer.push(value);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+  }
+
+  /**
+   * Iterate over changed values until stop() is called; leaving the loop early stops the watcher
+   */
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.buffer.length > 0) {
+          return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (!this.running) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this.waiters.push(resolve));
+      },
+      return: () => {
+        this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+}
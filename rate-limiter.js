@@ -0,0 +1,222 @@
+/**
+ * OKX v5 rate limits per route (requests per interval); public routes are
+ * limited per IP, /trade and /account routes per account
+ */
+export const DEFAULT_LIMITS = {
+  '/market/ticker': { requests: 20, interval: 2000 },
+  '/market/tickers': { requests: 20, interval: 2000 },
+  '/market/books': { requests: 40, interval: 2000 },
+  '/market/trades': { requests: 100, interval: 2000 },
+  '/market/history-trades': { requests: 20, interval: 2000 },
+  '/market/candles': { requests: 40, interval: 2000 },
+  '/market/history-candles': { requests: 20, interval: 2000 },
+  '/market/index-tickers': { requests: 20, interval: 2000 },
+  '/public/instruments': { requests: 20, interval: 2000 },
+  '/public/funding-rate': { requests: 20, interval: 2000 },
+  '/public/funding-rate-history': { requests: 10, interval: 2000 },
+  '/public/open-interest': { requests: 20, interval: 2000 },
+  '/public/mark-price': { requests: 10, interval: 2000 },
+  '/public/price-limit': { requests: 20, interval: 2000 },
+  '/public/opt-summary': { requests: 20, interval: 2000 },
+  '/trade/order': { requests: 60, interval: 2000 },
+  // Batch routes allow 300 orders per 2s, counted here as full batches of 20
+  '/trade/batch-orders': { requests: 15, interval: 2000 },
+  '/trade/amend-order': { requests: 60, interval: 2000 },
+  '/trade/amend-batch-orders': { requests: 15, interval: 2000 },
+  '/trade/cancel-order': { requests: 60, interval: 2000 },
+  '/trade/cancel-batch-orders': { requests: 15, interval: 2000 },
+  '/trade/orders-pending': { requests: 60, interval: 2000 },
+  '/trade/orders-history': { requests: 40, interval: 2000 },
+  '/trade/fills': { requests: 60, interval: 2000 },
+  '/trade/order-algo': { requests: 20, interval: 2000 },
+  '/trade/cancel-algos': { requests: 20, interval: 2000 },
+  '/trade/orders-algo-pending': { requests: 20, interval: 2000 },
+  '/account/balance': { requests: 10, interval: 2000 },
+  '/account/positions': { requests: 10, interval: 2000 },
+  '/account/config': { requests: 5, interval: 2000 },
+  '/account/max-size': { requests: 20, interval: 2000 },
+  '/account/bills': { requests: 5, interval: 1000 },
+  '/account/bills-archive': { requests: 5, interval: 2000 }
+};
+
+/**
+ * Rate Limiter
+ * Token buckets keyed by route group, each with a priority queue of waiting
+ * requests. Routes without a configured limit get their own bucket with the
+ * default limit.
+ */
+export default class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.limits - Route group -> { requests, interval } overrides
+   * @param {Object} options.defaultLimit - Limit for unlisted route groups (default: 20 per 2000ms)
+   * @param {number} options.maxQueueSize - Waiting requests allowed per group before rejecting (default: unlimited)
+   */
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+    this.defaultLimit = options.defaultLimit || { requests: 20, interval: 2000 };
+    this.maxQueueSize = options.maxQueueSize || Infinity;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Set the limit for a route group
+   * @param {string} group - Route group (e.g., '/market/ticker')
+   * @param {number} requests - Requests allowed per interval
+   * @param {number} interval - Interval in milliseconds
+   */
+  setLimit(group, requests, interval) {
+    this.limits[group] = { requests, interval };
+    const bucket = this.buckets.get(group);
+    if (bucket) {
+      bucket.capacity = requests;
+      bucket.refillRate = requests / interval;
+      bucket.tokens = Math.min(bucket.tokens, requests);
+
+      // Reschedule waiting requests against the new refill rate
+      if (bucket.timer) {
+        clearTimeout(bucket.timer);
+        bucket.timer = null;
+      }
+      this.drain(bucket);
+    }
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {string} group - Route group (e.g., '/market/ticker')
+   * @param {number} priority - Higher priorities leave the queue first (default: 0)
+   * @returns {Promise<number>} Time spent waiting in milliseconds
+   */
+  acquire(group, priority = 0) {
+    const bucket = this.getBucket(group);
+
+    if (bucket.queue.length >= this.maxQueueSize) {
+      return Promise.reject(new Error(`Rate limit queue full for ${group} (${bucket.queue.length} waiting)`));
+    }
+
+    return new Promise(resolve => {
+      const entry = { priority, enqueuedAt: Date.now(), resolve };
+
+      // Keep the queue ordered by priority, FIFO within the same priority
+      const index = bucket.queue.findIndex(queued => queued.priority < priority);
+      if (index === -1) {
+        bucket.queue.push(entry);
+      } else {
+        bucket.queue.splice(index, 0, entry);
+      }
+
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Get the number of requests waiting
+   * @param {string} group - Route group (optional, default: all groups)
+   * @returns {number} Queue depth
+   */
+  getQueueDepth(group = null) {
+    if (group) {
+      return this.buckets.get(group)?.queue.length || 0;
+    }
+    let depth = 0;
+    for (const bucket of this.buckets.values()) {
+      depth += bucket.queue.length;
+    }
+    return depth;
+  }
+
+  /**
+   * Get queue and wait time statistics per route group
+   * @returns {Object} Total queue depth and per-group statistics
+   */
+  getStats() {
+    const groups = {};
+    for (const [group, bucket] of this.buckets) {
+      this.refill(bucket);
+      groups[group] = {
+        limit: bucket.capacity,
+        interval: bucket.capacity / bucket.refillRate,
+        availableTokens: Math.floor(bucket.tokens),
+        queueDepth: bucket.queue.length,
+        processed: bucket.processed,
+        delayed: bucket.delayed,
+        averageWait: bucket.processed > 0 ? bucket.totalWait / bucket.processed : 0,
+        maxWait: bucket.maxWait,
+        oldestWaiting: bucket.queue.length > 0
+          ? Date.now() - Math.min(...bucket.queue.map(entry => entry.enqueuedAt))
+          : 0
+      };
+    }
+
+    return {
+      queueDepth: this.getQueueDepth(),
+      groups
+    };
+  }
+
+  /**
+   * Get or create the bucket for a route group
+   */
+  getBucket(group) {
+    let bucket = this.buckets.get(group);
+    if (!bucket) {
+      const { requests, interval } = this.limits[group] || this.defaultLimit;
+      bucket = {
+        group,
+        capacity: requests,
+        refillRate: requests / interval,
+        tokens: requests,
+        lastRefill: Date.now(),
+        queue: [],
+        timer: null,
+        processed: 0,
+        delayed: 0,
+        totalWait: 0,
+        maxWait: 0
+      };
+      this.buckets.set(group, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillRate);
+    bucket.lastRefill = now;
+  }
+
+  /**
+   * Release queued requests while tokens are available, then wait for the next token
+   */
+  drain(bucket) {
+    if (bucket.timer) {
+      return;
+    }
+
+    this.refill(bucket);
+    while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+      const entry = bucket.queue.shift();
+      const wait = Date.now() - entry.enqueuedAt;
+
+      bucket.tokens -= 1;
+      bucket.processed++;
+      bucket.totalWait += wait;
+      bucket.maxWait = Math.max(bucket.maxWait, wait);
+      if (wait > 0) bucket.delayed++;
+
+      entry.resolve(wait);
+    }
+
+    if (bucket.queue.length > 0) {
+      const delay = Math.ceil((1 - bucket.tokens) / bucket.refillRate);
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this.drain(bucket);
+      }, delay);
+    }
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Get a percentile from sorted values using the nearest-rank method
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number|null} The value, or null when there are none
+ */
+export function percentile(sorted, percentile) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Key an error is counted under: the OKX code when there is one, otherwise
+ * the HTTP status or the network error code (e.g. 'HTTP 502', 'ECONNABORTED')
+ * @param {Error} error - Typed error from okx-errors.js
+ * @returns {string} Error key
+ */
+export function errorKey(error) {
+  if (error.code) {
+    return String(error.code);
+  }
+  if (error.httpStatus) {
+    return `HTTP ${error.httpStatus}`;
+  }
+  return error.msg || error.name || 'Error';
+}
+
+/**
+ * Request Metrics
+ * Counts requests and errors per route and keeps a window of recent
+ * latencies for percentiles. Each HTTP attempt is one request, so retries
+ * are counted separately.
+ */
+export default class RequestMetrics {
+  /**
+   * @param {Object} options - Metrics options
+   * @param {number} options.sampleSize - Latencies kept per route for percentiles (default: 1000)
+   * @param {Function} options.clock - Returns the current time in ms (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.sampleSize = options.sampleSize ?? 1000;
+    if (!(this.sampleSize > 0)) {
+      throw new Error(`Invalid sampleSize: ${options.sampleSize}`);
+    }
+    this.clock = options.clock || Date.now;
+    this.routes = new Map();
+    this.since = this.clock();
+  }
+
+  /**
+   * Record one finished request
+   * @param {string} route - Route group (e.g., '/market/ticker')
+   * @param {number|null} latency - Time from sending to the response in ms
+   * @param {Error|null} error - Typed error when the request failed
+   */
+  record(route, latency, error = null) {
+    let stats = this.routes.get(route);
+    if (!stats) {
+      stats = { count: 0, errors: 0, errorCodes: {}, latencies: [], next: 0, lastError: null };
+      this.routes.set(route, stats);
+    }
+
+    stats.count++;
+    if (error) {
+      const key = errorKey(error);
+      stats.errors++;
+      stats.errorCodes[key] = (stats.errorCodes[key] || 0) + 1;
+      stats.lastError = { code: key, message: error.message, time: this.clock() };
+    }
+
+    // Ring buffer of the latest sampleSize latencies
+    if (latency !== null && latency !== undefined) {
+      if (stats.latencies.length < this.sampleSize) {
+        stats.latencies.push(latency);
+      } else {
+        stats.latencies[stats.next] = latency;
+        stats.next = (stats.next + 1) % this.sampleSize;
+      }
+    }
+  }
+
+  /**
+   * Clear all counters and latencies
+   */
+  reset() {
+    this.routes.clear();
+    this.since = this.clock();
+  }
+
+  /**
+   * Get request counts, errors by code and latency percentiles
+   * Latencies cover the last `sampleSize` requests of each route; the totals
+   * combine those windows.
+   * @returns {Object} Totals and per-route statistics
+   */
+  getStats() {
+    const routes = {};
+    const total = { count: 0, errors: 0, errorCodes: {} };
+    const latencies = [];
+
+    for (const [route, stats] of this.routes) {
+      routes[route] = {
+        count: stats.count,
+        errors: stats.errors,
+        errorRate: stats.errors / stats.count,
+        errorCodes: { ...stats.errorCodes },
+        latency: summarize(stats.latencies),
+        lastError: stats.lastError
+      };
+      total.count += stats.count;
+      total.errors += stats.errors;
+      for (const [code, count] of Object.entries(stats.errorCodes)) {
+        total.errorCodes[code] = (total.errorCodes[code] || 0) + count;
+      }
+      latencies.push(...stats.latencies);
+    }
+
+    return {
+      since: this.since,
+      ...total,
+      errorRate: total.count > 0 ? total.errors / total.count : 0,
+      latency: summarize(latencies),
+      routes
+    };
+  }
+}
+
+/**
+ * Summarize latencies as percentiles, mean and maximum
+ */
+function summarize(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const sum = sorted.reduce((acc, value) => acc + value, 0);
+  return {
+    samples: sorted.length,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    mean: sorted.length > 0 ? sum / sorted.length : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Default time to live per OKXDexAPI method, in milliseconds
+ * Methods that are not listed (or have a TTL of 0) are never cached.
+ */
+export const DEFAULT_TTLS = {
+  getTicker: 1000,
+  get24hStats: 1000,
+  getOrderBook: 500,
+  getRecentTrades: 1000,
+  getCandlesticks: 5000,
+  getInstruments: 60000,
+  getFundingRate: 5000,
+  getFundingRateHistory: 60000,
+  getOpenInterest: 5000,
+  getMarkPrice: 1000,
+  getIndexTickers: 1000,
+  getPriceLimit: 1000,
+  getOptionSummary: 5000,
+  getDexChains: 3600000,
+  getDexTokens: 3600000
+};
+
+/**
+ * Response Cache
+ * Caches method results per argument list with a TTL per method. Identical
+ * calls made while a request is in flight share that request, and an expired
+ * value can be served when refreshing it fails.
+ *
+ * Cached values are shared between callers, so treat them as read-only.
+ */
+export default class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.ttl - Method name -> TTL overrides in milliseconds (0 disables caching for a method)
+   * @param {boolean} options.serveStale - Return the expired value when a refresh fails (default: true)
+   * @param {number} options.staleTTL - How long after expiry a value may still be served on failure (default: 60000ms)
+   * @param {number} options.maxEntries - Entries kept before the oldest are evicted (default: 1000)
+   */
+  constructor(options = {}) {
+    this.ttl = { ...DEFAULT_TTLS, ...(options.ttl || {}) };
+    this.serveStale = options.serveStale !== false;
+    this.staleTTL = options.staleTTL ?? 60000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.stats = new Map();
+  }
+
+  /**
+   * Get the methods with caching enabled
+   * @returns {Array<string>} Method names with a TTL above 0
+   */
+  methods() {
+    return Object.keys(this.ttl).filter(method => this.ttl[method] > 0);
+  }
+
+  /**
+   * Return a cached result, join an identical request in flight, or call `fn`
+   * @param {string} method - Method name (e.g., 'getTicker')
+   * @param {Array} args - Method arguments, part of the cache key
+   * @param {Function} fn - Fetches a fresh value
+   * @returns {Promise<*>} Cached or fresh value
+   */
+  wrap(method, args, fn) {
+    const key = `${method}:${JSON.stringify(args)}`;
+    const stats = this.getMethodStats(method);
+    const entry = this.entries.get(key);
+
+    if (entry && Date.now() < entry.expiresAt) {
+      stats.hits++;
+      return Promise.resolve(entry.value);
+    }
+
+    if (this.pending.has(key)) {
+      stats.coalesced++;
+      return this.pending.get(key);
+    }
+
+    stats.misses++;
+    const promise = fn()
+      .then(value => {
+        this.set(key, value, this.ttl[method] ?? 0);
+        return value;
+      }, error => {
+        stats.errors++;
+        if (this.serveStale && entry && Date.now() - entry.expiresAt <= this.staleTTL) {
+          stats.stale++;
+          return entry.value;
+        }
+        throw error;
+      })
+      .finally(() => this.pending.delete(key));
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Store a value, evicting the oldest entries beyond maxEntries
+   */
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop cached values
+   * @param {string} method - Only drop values of this method (optional, default: all)
+   */
+  clear(method = null) {
+    if (!method) {
+      this.entries.clear();
+      return;
+    }
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${method}:`)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get or create the counters for a method
+   */
+  getMethodStats(method) {
+    let stats = this.stats.get(method);
+    if (!stats) {
+      stats = { hits: 0, misses: 0, coalesced: 0, stale: 0, errors: 0 };
+      this.stats.set(method, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Get hit and miss counters per method
+   * `hitRate` counts coalesced calls as hits, since they did not send a request.
+   * @returns {Object} Total counters, entry count and per-method counters
+   */
+  getStats() {
+    const methods = {};
+    const total = { hits: 0, misses: 0, coalesced: 0, stale: 0, errors: 0 };
+
+    for (const [method, stats] of this.stats) {
+      const calls = stats.hits + stats.coalesced + stats.misses;
+      methods[method] = {
+        ...stats,
+        ttl: this.ttl[method] ?? 0,
+        hitRate: calls > 0 ? (stats.hits + stats.coalesced) / calls : 0
+      };
+      for (const counter of Object.keys(total)) {
+        total[counter] += stats[counter];
+      }
+    }
+
+    const calls = total.hits + total.coalesced + total.misses;
+    return {
+      ...total,
+      hitRate: calls > 0 ? (total.hits + total.coalesced) / calls : 0,
+      entries: this.entries.size,
+      methods
+    };
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Retry Policy
+ * Exponential backoff with jitter for errors marked `retryable`
+ */
+export default class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+   * @param {number} options.baseDelay - Delay before the first retry (default: 500ms)
+   * @param {number} options.maxDelay - Upper bound for any delay (default: 10000ms)
+   * @param {boolean} options.jitter - Randomize each delay between half and all of its value (default: true)
+   * @param {Function} options.shouldRetry - Custom check (error, attempt) => boolean (default: error.retryable)
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.jitter = options.jitter !== false;
+    this.shouldRetry = options.shouldRetry || (error => error.retryable === true);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {Error} error - Error from the last attempt
+   * @param {number} attempt - Retries already made (0 for the first failure)
+   * @returns {number|null} Delay in milliseconds, or null when the request should not be retried
+   */
+  getDelay(error, attempt) {
+    if (attempt >= this.maxRetries || !this.shouldRetry(error, attempt)) {
+      return null;
+    }
+
+    let delay = Math.min(this.baseDelay * 2 ** attempt, this.maxDelay);
+    if (this.jitter) {
+      delay = delay / 2 + Math.random() * delay / 2;
+    }
+    if (error.retryAfter) {
+      delay = Math.max(delay, Math.min(error.retryAfter, this.maxDelay));
+    }
+    return Math.round(delay);
+  }
+
+  /**
+   * Run a function, retrying it according to the policy
+   * @param {Function} fn - Async function receiving the attempt number
+   * @returns {Promise<*>} Result of the first successful attempt
+   */
+  async execute(fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        const delay = this.getDelay(error, attempt);
+        if (delay === null) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
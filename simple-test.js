@@ -1,11 +1,12 @@
 import OKXDexAPI from './okx-dex-api.js';
+import { transportFromEnv } from './transport.js';
 
 /**
  * Simple test to demonstrate basic usage
  */
 
 async function simpleTest() {
-  const okxApi = new OKXDexAPI();
+  const okxApi = new OKXDexAPI({ transport: transportFromEnv() });
   
   console.log('🧪 Simple OKX DEX API Test\n');
 
@@ -14,7 +15,7 @@ async function simpleTest() {
     console.log('1. Getting BTC-USDT price...');
     const btcPrice = await okxApi.getTicker('BTC-USDT');
     console.log(`   BTC Price: $${btcPrice.lastPrice.toLocaleString()}`);
-    console.log(`   24h Change: ${btcPrice.changePercent24h}%\n`);
+    console.log(`   24h Change: ${btcPrice.changePercent24h.toFixed(2)}%\n`);
 
     // Test 2: Get ETH order book
     console.log('2. Getting ETH-USDT order book...');
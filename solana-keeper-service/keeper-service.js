@@ -14,6 +14,19 @@ import axios from 'axios';
 import Decimal from 'decimal.js';
 import bs58 from 'bs58';
 import { PriceUpdateInstructionFactory } from './update-price-instruction.js';
+import { impactAdjustedPrice } from '../orderbook-analytics.js';
+
+/**
+ * Convert a price from any source (number, numeric string or Decimal) to a Decimal
+ * Returns a NaN Decimal for values that are not numeric.
+ */
+function toDecimal(value) {
+  try {
+    return new Decimal(value);
+  } catch {
+    return new Decimal(NaN);
+  }
+}
 
 /**
  * Solana Keeper Service
@@ -42,6 +55,12 @@ export default class KeeperService {
       enableBinance: config.enableBinance !== false,
       enableCoinGecko: config.enableCoinGecko !== false,
       
+      // OKX price selection: 'last' trade or 'impact' (order book fill price for okxImpactNotional)
+      okxPriceMode: config.okxPriceMode || 'last',
+      okxImpactNotional: config.okxImpactNotional || 10000, // quote currency
+      okxBookDepth: config.okxBookDepth || 400, // order book levels per side for impact prices (max 400)
+      okxBaseURL: config.okxBaseURL || 'https://www.okx.com/api/v5', // e.g. a local okx-mock-server
+      
       // Logging
       enableLogging: config.enableLogging !== false,
       
@@ -270,14 +289,15 @@ export default class KeeperService {
       for (const [token, priceData] of prices) {
         if (priceData.length > 0) {
           // Simple average for now (could use VWAP/TWAP from price aggregation service)
+          // Summed as Decimals so exact source prices stay exact
           const avgPrice = priceData.reduce((sum, data) => {
-            const price = typeof data.price === 'number' ? data.price : parseFloat(data.price);
-            return sum + (isNaN(price) ? 0 : price);
-          }, 0) / priceData.length;
+            const price = toDecimal(data.price);
+            return price.isNaN() ? sum : sum.plus(price);
+          }, new Decimal(0)).dividedBy(priceData.length);
           
-          if (!isNaN(avgPrice) && avgPrice > 0) {
+          if (avgPrice.isFinite() && avgPrice.greaterThan(0)) {
             aggregatedPrices.set(token, {
-              price: new Decimal(avgPrice),
+              price: avgPrice,
               sources: priceData.map(d => d.source),
               dataPoints: priceData.length,
               timestamp: Date.now()
@@ -302,7 +322,7 @@ export default class KeeperService {
     const prices = new Map();
     
     try {
-      const response = await axios.get('https://www.okx.com/api/v5/market/tickers', {
+      const response = await axios.get(`${this.config.okxBaseURL}/market/tickers`, {
         params: { instType: 'SPOT' },
         timeout: 10000
       });
@@ -318,12 +338,30 @@ export default class KeeperService {
           'ETH-USDT': 'ETH/USDT'
         };
         
+        const instruments = new Map();
         for (const ticker of tickers) {
           const mappedPair = pairMapping[ticker.instId];
           if (mappedPair && ticker.last) {
-            prices.set(mappedPair, parseFloat(ticker.last));
+            prices.set(mappedPair, new Decimal(ticker.last));
+            instruments.set(mappedPair, ticker.instId);
           }
         }
+        
+        if (this.config.okxPriceMode === 'impact') {
+          // A failed or thin book only falls back to that instrument's last price
+          const pairs = [...instruments];
+          const results = await Promise.allSettled(pairs.map(([, instId]) => this.fetchOKXImpactPrice(instId)));
+          results.forEach((result, index) => {
+            const [pair, instId] = pairs[index];
+            if (result.status === 'rejected') {
+              this.log(`Impact price failed for ${instId}, using last price: ${result.reason.message}`, 'warn');
+            } else if (result.value === null) {
+              this.log(`Order book too thin for impact price on ${instId}, using last price`, 'warn');
+            } else {
+              prices.set(pair, new Decimal(result.value));
+            }
+          });
+        }
       }
       
     } catch (error) {
@@ -333,6 +371,28 @@ export default class KeeperService {
     return prices;
   }
   
+  /**
+   * Fetch the OKX order book and price okxImpactNotional against it
+   * @returns {Promise<number|null>} Impact price, or null when the book is empty or too thin
+   */
+  async fetchOKXImpactPrice(instId) {
+    const response = await axios.get(`${this.config.okxBaseURL}/market/books`, {
+      params: { instId, sz: this.config.okxBookDepth },
+      timeout: 10000
+    });
+    
+    const book = response.data?.data?.[0];
+    if (!book) {
+      return null;
+    }
+    
+    const toLevel = level => ({ price: parseFloat(level[0]), size: parseFloat(level[1]) });
+    return impactAdjustedPrice(
+      { bids: book.bids.map(toLevel), asks: book.asks.map(toLevel) },
+      this.config.okxImpactNotional
+    );
+  }
+  
   /**
    * Fetch prices from Binance
    */
@@ -425,19 +485,15 @@ export default class KeeperService {
       lastPriceValue = lastPrice.price || lastPrice.value || lastPrice;
     }
     
-    // Convert to numbers first, then to Decimal
-    const newPriceNum = typeof newPrice === 'number' ? newPrice : parseFloat(newPrice);
-    const lastPriceNum = typeof lastPriceValue === 'number' ? lastPriceValue : parseFloat(lastPriceValue);
+    // Compare as Decimals so string and Decimal prices are not rounded through floats
+    const newPriceDecimal = toDecimal(newPrice);
+    const lastPriceDecimal = toDecimal(lastPriceValue);
     
-    if (isNaN(newPriceNum) || isNaN(lastPriceNum)) {
+    if (newPriceDecimal.isNaN() || lastPriceDecimal.isNaN()) {
       this.log(`Invalid price data for ${token}: new=${newPrice}, last=${lastPriceValue}`, 'warn');
       return false;
     }
     
-    // Ensure both are Decimal objects
-    const newPriceDecimal = new Decimal(newPriceNum);
-    const lastPriceDecimal = new Decimal(lastPriceNum);
-    
     const priceChange = Math.abs(newPriceDecimal.minus(lastPriceDecimal).dividedBy(lastPriceDecimal).toNumber());
     
     return priceChange >= this.config.priceThreshold;
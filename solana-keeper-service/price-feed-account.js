@@ -235,6 +235,8 @@ export class PriceFeedAccount {
   
   /**
    * Update the current price
+   * The price may be a Decimal, a numeric string or a number; strings such as
+   * the OKX `string` numeric mode returns are stored without float rounding.
    */
   updatePrice(priceData) {
     if (!this.isInitialized) {
@@ -243,24 +245,26 @@ export class PriceFeedAccount {
     
     const now = Date.now();
     const oldPrice = this.currentPrice.price;
+    const price = new Decimal(priceData.price);
     
     // Update current price
     this.currentPrice = {
       ...this.currentPrice,
       ...priceData,
+      price,
       lastUpdateSlot: priceData.slot || 0
     };
     
     // Add to history
     this.addToHistory({
-      price: priceData.price,
+      price,
       timestamp: now,
       sources: priceData.sources,
       confidence: priceData.confidence
     });
     
     // Update statistics
-    this.updateStatistics(priceData.price, oldPrice, now);
+    this.updateStatistics(price, oldPrice, now);
     
     // Update performance metrics
     this.updatePerformanceMetrics(now);
@@ -0,0 +1,323 @@
+/**
+ * Test suite for the alert engine
+ *
+ * Threshold and percent-change rules run against the local OKX mock server
+ * and deliver to a local webhook receiver; moving average crosses use a
+ * stand-in API with hand-made candles.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AlertEngine, { createConsoleSink, createWebhookSink, createFileSink, normalizeRule } from './alert-engine.js';
+import OKXMockServer from './okx-mock-server.js';
+import OKXDexAPI from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const HOUR = 3600000;
+
+/**
+ * Start a webhook receiver that records JSON bodies and answers with `status()`
+ */
+async function startReceiver(status = () => 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const code = status();
+      if (code === 200) {
+        received.push({ headers: req.headers, alert: JSON.parse(body) });
+      }
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks/okx`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Stand-in API with one fixed ticker and candle series per symbol
+ */
+function createStubApi(markets) {
+  return {
+    async getTickersBulk(symbols) {
+      const tickers = [];
+      const errors = {};
+      for (const symbol of symbols) {
+        if (markets[symbol]) {
+          tickers.push({ symbol, lastPrice: markets[symbol].price });
+        } else {
+          errors[symbol] = `No SPOT ticker found for ${symbol}`;
+        }
+      }
+      return { tickers, errors };
+    },
+    async getCandlesticks(symbol) {
+      return [...markets[symbol].candles].reverse();
+    }
+  };
+}
+
+/**
+ * Build oldest-first hourly candles from closes, plus an open candle
+ */
+function candlesFromCloses(closes) {
+  return [...closes, closes[closes.length - 1]].map((close, index) => ({
+    timestamp: index * HOUR,
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 1,
+    confirmed: index < closes.length
+  }));
+}
+
+/**
+ * Test runner
+ */
+async function runAlertEngineTests() {
+  console.log('🧪 Alert Engine Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'okx-alerts-'));
+  const mock = new OKXMockServer();
+  const baseURL = await mock.start();
+  const api = new OKXDexAPI({ baseURL, rateLimiter: false, retry: false });
+  let status = 200;
+  const receiver = await startReceiver(() => status);
+
+  try {
+    // Test 1: Threshold alerts through a webhook
+    await test('Threshold Alerts Reach The Webhook Once', async () => {
+      mock.setScenario('random-walk');
+      const printed = [];
+      const engine = new AlertEngine(api, {
+        sinks: [createWebhookSink(receiver.url, { headers: { Authorization: 'Bearer test' } }), createConsoleSink({ log: line => printed.push(line) })],
+        rules: [
+          { id: 'btc-high', type: 'above', symbol: 'BTC-USDT', price: 69000 },
+          { id: 'eth-low', type: 'below', symbol: 'eth/usdt', price: 3000 }
+        ]
+      });
+
+      if ((await engine.check()).alerts.length !== 0) throw new Error('Nothing should fire at the starting prices');
+
+      mock.setPrice('BTC-USDT', 70000);
+      const fired = await engine.check();
+      if (fired.alerts.length !== 1 || fired.alerts[0].ruleId !== 'btc-high') throw new Error(`Unexpected alerts: ${JSON.stringify(fired)}`);
+      if ((await engine.check()).alerts.length !== 0) throw new Error('A price that stays above should not alert again');
+
+      mock.setPrice('BTC-USDT', 68000);
+      await engine.check();
+      mock.setPrice('BTC-USDT', 70000);
+      mock.setPrice('ETH-USDT', 2900);
+      const again = await engine.check();
+      if (again.alerts.map(alert => alert.ruleId).join() !== 'btc-high,eth-low') throw new Error('Rules should re-arm after the condition clears');
+
+      const [first] = receiver.received;
+      if (receiver.received.length !== 3 || first.alert.symbol !== 'BTC-USDT' || first.headers.authorization !== 'Bearer test') {
+        throw new Error(`Unexpected webhook calls: ${JSON.stringify(receiver.received)}`);
+      }
+      if (!(first.alert.price >= 69000) || first.alert.id !== fired.alerts[0].id) throw new Error('Webhook body should be the alert');
+      if (printed.length !== 3 || !printed[2].includes('ETH-USDT is below 3000')) throw new Error(`Unexpected console output: ${printed}`);
+    });
+
+    // Test 2: Percent change over a window
+    await test('Percent Change Over N Minutes', async () => {
+      mock.setScenario('random-walk');
+      const alerts = [];
+      const engine = new AlertEngine(api, {
+        sinks: [async alert => alerts.push(alert)],
+        rules: [
+          { id: 'sol-drop', type: 'change', symbol: 'SOL-USDT', percent: 5, minutes: 15, direction: 'down' },
+          { id: 'sol-pump', type: 'change', symbol: 'SOL-USDT', percent: 5, minutes: 15, direction: 'up' }
+        ]
+      });
+
+      mock.shock('SOL-USDT', -8);
+      const { alerts: fired } = await engine.check();
+      if (fired.length !== 1 || fired[0].ruleId !== 'sol-drop' || !(fired[0].changePercent < -7)) throw new Error(`Unexpected alerts: ${JSON.stringify(fired)}`);
+      if (!fired[0].message.includes('in 15m')) throw new Error(`Unexpected message: ${fired[0].message}`);
+
+      const requests = mock.requests.filter(request => request.route === '/market/candles');
+      if (requests.length !== 1 || requests[0].query.limit !== '16') throw new Error('Rules on the same symbol and bar should share one candle request');
+    });
+
+    // Test 3: Cooldowns, persistence and the file sink
+    await test('Cooldowns, Persistence And File Sink', async () => {
+      mock.setScenario('random-walk');
+      const file = path.join(directory, 'rules.json');
+      const log = path.join(directory, 'alerts', 'alerts.ndjson');
+      let now = 1000000;
+      const options = { file, sinks: [createFileSink(log)], clock: () => now };
+
+      const engine = new AlertEngine(api, options);
+      await engine.addRule({ id: 'btc-cool', type: 'above', symbol: 'BTC-USDT', price: 69000, cooldown: 60000 });
+      mock.setPrice('BTC-USDT', 70000);
+      await engine.check();
+
+      // Dips and recovers within the cooldown
+      mock.setPrice('BTC-USDT', 68000);
+      now += 1000;
+      await engine.check();
+      mock.setPrice('BTC-USDT', 70000);
+      now += 1000;
+      if ((await engine.check()).alerts.length !== 0) throw new Error('The cooldown should hold back the second alert');
+
+      // A restarted engine keeps the rule and its state
+      const restarted = new AlertEngine(api, options);
+      if (restarted.getRules()[0]?.cooldown !== 60000) throw new Error('Rules should be loaded from the file');
+      now += 60000;
+      const { alerts } = await restarted.check();
+      if (alerts.length !== 1) throw new Error('The alert should fire once the cooldown is over');
+
+      const lines = fs.readFileSync(log, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      if (lines.length !== 2 || lines[1].timestamp !== now) throw new Error(`Unexpected alert log: ${lines.length} lines`);
+      if (!(await restarted.removeRule('btc-cool')) || new AlertEngine(api, options).getRules().length !== 0) throw new Error('Removed rules should be saved');
+    });
+
+    // Test 4: Failures
+    await test('Sink And Data Errors', async () => {
+      mock.setScenario('random-walk');
+      const engine = new AlertEngine(api, {
+        sinks: [createWebhookSink(receiver.url)],
+        rules: [
+          { id: 'btc', type: 'above', symbol: 'BTC-USDT', price: 1 },
+          { id: 'missing', type: 'above', symbol: 'NOPE-USDT', price: 1 }
+        ]
+      });
+      const events = [];
+      engine.on('error', (error, rule) => events.push(`${rule?.id}: ${error.message}`));
+
+      status = 500;
+      const { alerts, errors } = await engine.check();
+      status = 200;
+      if (alerts.length !== 1 || !errors.btc?.includes('HTTP 500')) throw new Error(`Sink failures should be reported: ${JSON.stringify(errors)}`);
+      if (!errors.missing || events.length !== 2) throw new Error(`Unexpected errors: ${JSON.stringify(errors)} ${events}`);
+
+      const invalid = [
+        { type: 'above', symbol: 'BTC-USDT' },
+        { type: 'sideways', symbol: 'BTC-USDT' },
+        { type: 'change', symbol: 'BTC-USDT', percent: 5, minutes: 7, bar: '5m' },
+        { type: 'change', symbol: 'BTC-USDT', percent: 5, minutes: 600 },
+        { type: 'cross', symbol: 'BTC-USDT', fast: 50, slow: 20 },
+        { type: 'cross', symbol: 'BTC-USDT', fast: 5, slow: 20, average: 'wma' }
+      ];
+      for (const rule of invalid) {
+        let threw = false;
+        try {
+          normalizeRule(rule);
+        } catch {
+          threw = true;
+        }
+        if (!threw) throw new Error(`Should reject ${JSON.stringify(rule)}`);
+      }
+    });
+  } finally {
+    await mock.stop();
+    await receiver.close();
+  }
+
+  // Test 5: Moving average crosses
+  await test('Moving Average Cross', async () => {
+    const markets = { 'AAA-USDT': { price: 13, candles: candlesFromCloses([10, 10, 10, 10, 8, 13]) } };
+    const engine = new AlertEngine(createStubApi(markets), {
+      sinks: [],
+      rules: [
+        { id: 'golden', type: 'cross', symbol: 'AAA-USDT', fast: 2, slow: 4, direction: 'up' },
+        { id: 'death', type: 'cross', symbol: 'AAA-USDT', fast: 2, slow: 4, direction: 'down' }
+      ]
+    });
+
+    const { alerts } = await engine.check();
+    if (alerts.length !== 1 || alerts[0].ruleId !== 'golden' || alerts[0].fastValue !== 10.5 || alerts[0].slowValue !== 10.25) {
+      throw new Error(`Unexpected alerts: ${JSON.stringify(alerts)}`);
+    }
+    if (alerts[0].candleTimestamp !== 5 * HOUR || !alerts[0].message.includes('SMA2 crossed above SMA4')) throw new Error(`Unexpected message: ${alerts[0].message}`);
+    if ((await engine.check()).alerts.length !== 0) throw new Error('A crossing candle should only alert once');
+
+    markets['AAA-USDT'].candles = candlesFromCloses([10, 10, 10, 10, 8, 13, 4]);
+    const crossDown = await engine.check();
+    if (crossDown.alerts.length !== 1 || crossDown.alerts[0].ruleId !== 'death') throw new Error('The cross back down should alert');
+  });
+
+  // Test 6: Polling
+  await test('Start And Stop Polling', async () => {
+    const markets = { 'AAA-USDT': { price: 5, candles: [] } };
+    const engine = new AlertEngine(createStubApi(markets), { sinks: [], rules: [{ type: 'below', symbol: 'AAA-USDT', price: 10 }] });
+
+    const alert = await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('No alert while polling')), 2000);
+      engine.once('alert', value => {
+        clearTimeout(timeout);
+        resolve(value);
+      });
+      engine.start(10);
+    });
+    engine.stop();
+    if (alert.symbol !== 'AAA-USDT' || engine.timer !== null) throw new Error('Polling should alert and stop');
+  });
+
+  // Test 7: Restarting while a check is running
+  await test('Restart During A Pending Check', async () => {
+    const engine = new AlertEngine(createStubApi({}), { sinks: [] });
+    let checks = 0;
+    let release;
+    const pending = new Promise(resolve => {
+      release = resolve;
+    });
+    engine.check = async () => {
+      checks++;
+      if (checks === 1) await pending;
+      return { alerts: [] };
+    };
+
+    engine.start(10);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    engine.stop();
+    engine.start(60000);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    release();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    engine.stop();
+
+    // The first loop ended with its check; only the restarted loop's first check ran since
+    if (checks !== 2) throw new Error(`Expected 2 checks, got ${checks}`);
+  });
+
+  fs.rmSync(directory, { recursive: true, force: true });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Alert engine is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAlertEngineTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAlertEngineTests };
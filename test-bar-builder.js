@@ -0,0 +1,188 @@
+/**
+ * Test suite for the trade bar builder
+ *
+ * Feeds hand-made trades through each bar type, then checks duplicate and
+ * out-of-order handling and a round trip through the local OKX mock server.
+ */
+
+import BarBuilder, { buildBars, BAR_TYPES } from './bar-builder.js';
+import OKXMockServer from './okx-mock-server.js';
+import OKXDexAPI from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const MINUTE = 60000;
+
+let nextTradeId = 1;
+
+/**
+ * Build a normalized trade; IDs increase with every call
+ */
+function trade(timestamp, price, size, side = 'buy', tradeId = String(nextTradeId++)) {
+  return { tradeId, price, size, side, timestamp };
+}
+
+/**
+ * Test runner
+ */
+async function runBarBuilderTests() {
+  console.log('🧪 Bar Builder Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Time bars
+  await test('Time Bars', async () => {
+    const builder = new BarBuilder({ type: 'time', size: '1m' });
+    const emitted = [];
+    builder.on('bar', bar => emitted.push(bar));
+
+    builder.add(trade(MINUTE + 1000, 100, 1, 'buy'));
+    builder.add(trade(MINUTE + 2000, 104, 2, 'sell'));
+    builder.add(trade(MINUTE + 3000, 98, 1, 'buy'));
+    const completed = builder.add(trade(2 * MINUTE, 101, 1, 'sell'));
+
+    if (completed.length !== 1 || emitted.length !== 1) throw new Error('The first bar should close when the next minute starts');
+    const bar = completed[0];
+    if (bar.timestamp !== MINUTE || bar.closeTime !== 2 * MINUTE) throw new Error(`Unexpected bounds: ${bar.timestamp}-${bar.closeTime}`);
+    if (bar.open !== 100 || bar.high !== 104 || bar.low !== 98 || bar.close !== 98) throw new Error(`Unexpected OHLC: ${JSON.stringify(bar)}`);
+    if (bar.volume !== 4 || bar.vwap !== 101.5 || bar.buyVolume !== 2 || bar.sellVolume !== 2 || bar.trades !== 3) {
+      throw new Error(`Unexpected totals: ${JSON.stringify(bar)}`);
+    }
+
+    const open = builder.current();
+    if (open.closed || open.open !== 101 || open.trades !== 1) throw new Error('Open bar not tracked');
+    if (new BarBuilder({ size: '30s' }).size !== 30000) throw new Error('Seconds not parsed');
+  });
+
+  // Test 2: Threshold bars
+  await test('Volume, Tick And Dollar Bars', async () => {
+    const trades = [
+      trade(1, 10, 1),
+      trade(2, 11, 2),
+      trade(3, 12, 1),
+      trade(4, 10, 3),
+      trade(5, 9, 1)
+    ];
+
+    const volume = buildBars(trades, { type: 'volume', size: 3 });
+    if (volume.map(bar => bar.trades).join() !== '2,2,1' || volume[1].volume !== 4) throw new Error(`Unexpected volume bars: ${JSON.stringify(volume)}`);
+    if (!volume[0].closed || volume[2].closed) throw new Error('Only the last bar should be partial');
+
+    const ticks = buildBars(trades, { type: 'tick', size: 2 });
+    if (ticks.map(bar => bar.close).join() !== '11,10,9' || ticks[1].timestamp !== 3 || ticks[1].closeTime !== 4) {
+      throw new Error(`Unexpected tick bars: ${JSON.stringify(ticks)}`);
+    }
+
+    const dollars = buildBars(trades, { type: 'dollar', size: 30 });
+    if (dollars.map(bar => bar.notional).join() !== '32,42,9') throw new Error(`Unexpected dollar bars: ${dollars.map(bar => bar.notional)}`);
+
+    const contracts = buildBars([trade(1, 100, 5)], { type: 'volume', size: 1, contractValue: 0.1 });
+    if (contracts[0].volume !== 0.5 || contracts[0].closed) throw new Error('Contract value not applied');
+
+    for (const options of [{ type: 'range', size: 1 }, { type: 'tick', size: 0 }, { type: 'time', size: '7q' }]) {
+      let threw = false;
+      try {
+        new BarBuilder(options);
+      } catch {
+        threw = true;
+      }
+      if (!threw) throw new Error(`Should reject ${JSON.stringify(options)}`);
+    }
+    if (BAR_TYPES.length !== 4) throw new Error('Unexpected bar types');
+  });
+
+  // Test 3: Duplicates and out-of-order trades
+  await test('Duplicates And Late Trades', async () => {
+    const builder = new BarBuilder({ type: 'tick', size: 10, lateness: 1000 });
+    const late = [];
+    builder.on('late', dropped => late.push(dropped));
+
+    const first = trade(5000, 100, 1, 'buy', 'a1');
+    builder.add(first);
+    builder.add(trade(5400, 102, 1, 'buy', 'a3'));
+    // Arrives after a newer trade but within the lateness window
+    builder.add(trade(5200, 101, 1, 'sell', 'a2'));
+    builder.add({ ...first, tradeId: 'a1' });
+
+    if (builder.current() !== null) throw new Error('Trades inside the lateness window should be held back');
+    builder.add(trade(6300, 103, 1, 'buy', 'a4'));
+    const open = builder.current();
+    if (open.open !== 100 || open.close !== 101 || open.trades !== 2 || open.sellVolume !== 1) {
+      throw new Error(`Trades not reordered: ${JSON.stringify(open)}`);
+    }
+
+    builder.add(trade(4000, 99, 1, 'buy', 'a0'));
+    if (late.length !== 1 || late[0].tradeId !== 'a0') throw new Error('Trades older than released ones should be late');
+
+    const [bar] = builder.flush();
+    if (bar.trades !== 4 || bar.close !== 103 || bar.lastTradeId !== 'a4') throw new Error(`Flush should release held trades: ${JSON.stringify(bar)}`);
+    const stats = builder.getStats();
+    if (stats.trades !== 4 || stats.duplicates !== 1 || stats.late !== 1 || stats.bars !== 1) throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+  });
+
+  // Test 4: Gaps, batches and numeric modes
+  await test('Gap Filling And Newest-First Batches', async () => {
+    const newestFirst = [
+      trade(3 * MINUTE + 5, '101.5', '1', 'sell', '9'),
+      trade(MINUTE + 5, '100', '2', 'buy', '8')
+    ];
+    const bars = buildBars(newestFirst, { size: MINUTE, fillGaps: true });
+    if (bars.length !== 3) throw new Error(`Expected 3 bars, got ${bars.length}`);
+    const gap = bars[1];
+    if (gap.timestamp !== 2 * MINUTE || gap.trades !== 0 || gap.close !== 100 || gap.vwap !== null) throw new Error(`Unexpected gap bar: ${JSON.stringify(gap)}`);
+    if (bars[2].close !== 101.5 || bars[0].volume !== 2) throw new Error('String trades should be read as numbers');
+
+    if (buildBars(newestFirst, { size: MINUTE }).length !== 2) throw new Error('Gaps should be skipped by default');
+
+    // Overlapping polls only add new trades
+    const builder = new BarBuilder({ size: MINUTE });
+    builder.addAll(newestFirst);
+    builder.addAll([trade(3 * MINUTE + 9, '102', '1', 'buy', '10'), ...newestFirst]);
+    if (builder.getStats().duplicates !== 2 || builder.current().trades !== 2) throw new Error('Overlapping polls should be deduplicated');
+  });
+
+  // Test 5: Trades from the API
+  await test('Bars From getRecentTrades', async () => {
+    const mock = new OKXMockServer({ scenario: 'random-walk' });
+    const baseURL = await mock.start();
+    try {
+      const api = new OKXDexAPI({ baseURL, rateLimiter: false, retry: false });
+      for (let i = 0; i < 5; i++) {
+        await api.getTicker('BTC-USDT');
+      }
+      const trades = await api.getRecentTrades('BTC-USDT', 100);
+      const bars = buildBars(trades, { type: 'tick', size: 2 });
+
+      const counted = bars.reduce((sum, bar) => sum + bar.trades, 0);
+      if (trades.length < 2 || counted !== trades.length) throw new Error(`Expected ${trades.length} trades in bars, got ${counted}`);
+      const volume = bars.reduce((sum, bar) => sum + bar.volume, 0);
+      const expected = trades.reduce((sum, entry) => sum + Number(entry.size), 0);
+      if (Math.abs(volume - expected) > 1e-9) throw new Error('Volume not preserved');
+    } finally {
+      await mock.stop();
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Bar builder is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBarBuilderTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runBarBuilderTests };
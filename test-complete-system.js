@@ -11,6 +11,7 @@
  */
 
 import OKXDexAPI from './okx-dex-api.js';
+import { transportFromEnv } from './transport.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -39,7 +40,7 @@ async function testOKXDexAPI() {
     console.log('==================================================');
     
     try {
-        const api = new OKXDexAPI();
+        const api = new OKXDexAPI({ transport: transportFromEnv() });
         
         // Test 1: API initialization
         logTest('OKX API Initialization', api !== null);
@@ -172,7 +173,7 @@ async function testEndToEndWorkflow() {
     
     try {
         // Test 1: OKX API → Keeper Service → Price Update
-        const api = new OKXDexAPI();
+        const api = new OKXDexAPI({ transport: transportFromEnv() });
         const KeeperService = (await import('./solana-keeper-service/keeper-service.js')).default;
         
         // Get real price data from OKX
@@ -220,7 +221,7 @@ async function testSystemPerformance() {
     console.log('==================================================');
     
     try {
-        const api = new OKXDexAPI();
+        const api = new OKXDexAPI({ transport: transportFromEnv() });
         
         // Test 1: API response time
         const start1 = Date.now();
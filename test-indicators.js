@@ -0,0 +1,170 @@
+/**
+ * Test suite for the technical indicators
+ *
+ * Uses small hand-computed series, then checks that incremental updates
+ * agree with full-series results.
+ */
+
+import {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  vwap,
+  computeIndicator,
+  IncrementalIndicator,
+  INDICATORS
+} from './indicators.js';
+import { createTestRunner } from './test-utils.js';
+
+const MINUTE = 60000;
+
+/**
+ * Build oldest-first candles from closes; high/low sit one unit around the close
+ */
+function candlesFromCloses(closes) {
+  return closes.map((close, index) => ({
+    timestamp: (index + 1) * MINUTE,
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1
+  }));
+}
+
+const near = (a, b, epsilon = 1e-9) => Math.abs(a - b) < epsilon;
+
+/**
+ * Test runner
+ */
+async function runIndicatorTests() {
+  console.log('🧪 Technical Indicator Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const linear = candlesFromCloses([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+  // Test 1: Moving averages
+  await test('SMA And EMA', async () => {
+    const simple = sma(linear, 3);
+    const exponential = ema(linear, 3);
+
+    if (simple[1] !== null || simple[2] !== 2 || simple[9] !== 9) throw new Error(`Unexpected SMA: ${simple}`);
+    // On a straight line the EMA lags by (period - 1) / 2
+    if (exponential[1] !== null || exponential[2] !== 2 || exponential[9] !== 9) throw new Error(`Unexpected EMA: ${exponential}`);
+    if (sma(linear, 2, { source: 'high' })[1] !== 2.5) throw new Error('Price source ignored');
+  });
+
+  // Test 2: RSI
+  await test('RSI', async () => {
+    const values = rsi(candlesFromCloses([1, 2, 1, 2]), 2);
+    if (values[1] !== null || values[2] !== 50 || values[3] !== 75) throw new Error(`Unexpected RSI: ${values}`);
+    if (rsi(linear, 3)[9] !== 100) throw new Error('Only gains should give 100');
+    if (rsi(candlesFromCloses([5, 5, 5, 5]), 2)[3] !== 50) throw new Error('A flat series should give 50');
+  });
+
+  // Test 3: MACD and Bollinger bands
+  await test('MACD And Bollinger Bands', async () => {
+    const values = macd(linear, { fast: 2, slow: 4, signal: 2 });
+    if (values[2] !== null || values[3].signal !== null) throw new Error('Warm-up not respected');
+    if (!near(values[9].macd, 1) || !near(values[9].signal, 1) || !near(values[9].histogram, 0)) {
+      throw new Error(`Unexpected MACD: ${JSON.stringify(values[9])}`);
+    }
+
+    const bands = bollinger(candlesFromCloses([1, 2, 3]), { period: 3 });
+    const deviation = Math.sqrt(2 / 3);
+    if (!near(bands[2].middle, 2) || !near(bands[2].upper, 2 + 2 * deviation) || !near(bands[2].lower, 2 - 2 * deviation)) {
+      throw new Error(`Unexpected bands: ${JSON.stringify(bands[2])}`);
+    }
+    if (bollinger(candlesFromCloses([4, 4, 4]), { period: 3 })[2].bandwidth !== 0) throw new Error('Flat series should have no width');
+  });
+
+  // Test 4: ATR and VWAP
+  await test('ATR And VWAP', async () => {
+    const candles = [
+      { timestamp: MINUTE, high: 10, low: 8, close: 9, volume: 1 },
+      { timestamp: 2 * MINUTE, high: 11, low: 9, close: 10, volume: 3 },
+      { timestamp: 3 * MINUTE, high: 14, low: 10, close: 13, volume: 0 }
+    ];
+    const ranges = atr(candles, 2);
+    if (ranges[0] !== null || ranges[1] !== 2 || ranges[2] !== 3) throw new Error(`Unexpected ATR: ${ranges}`);
+
+    const prices = vwap(candles);
+    if (prices[0] !== 9 || prices[1] !== 9.75 || prices[2] !== 9.75) throw new Error(`Unexpected VWAP: ${prices}`);
+    if (vwap(candles, { period: 1 })[2] !== null) throw new Error('A window without volume has no VWAP');
+  });
+
+  // Test 5: Input order and numeric modes
+  await test('Newest-First And String Candles', async () => {
+    const newestFirst = [...linear].reverse();
+    const values = sma(newestFirst, 3);
+    if (values[0] !== 9 || values[9] !== null || values[7] !== 2) throw new Error('Values should line up with the input order');
+
+    const strings = linear.map(candle => ({ ...candle, close: String(candle.close), high: String(candle.high), low: String(candle.low), volume: '1' }));
+    for (const name of INDICATORS) {
+      if (JSON.stringify(computeIndicator(name, strings)) !== JSON.stringify(computeIndicator(name, linear))) {
+        throw new Error(`${name} differs for string candles`);
+      }
+    }
+  });
+
+  // Test 6: Incremental updates
+  await test('Incremental Matches Full Series', async () => {
+    const closes = [44, 44.3, 44.1, 43.6, 44.3, 44.8, 45.1, 45.4, 45.8, 46.1, 45.9, 46.2, 45.6, 46.3, 46.2, 46, 46.4, 46.2, 45.6, 46.2];
+    const candles = candlesFromCloses(closes);
+    const options = { rsi: { period: 5 }, macd: { fast: 3, slow: 6, signal: 3 }, bollinger: { period: 5 }, atr: { period: 5 }, sma: { period: 5 }, ema: { period: 5 }, vwap: {} };
+
+    for (const name of INDICATORS) {
+      const full = computeIndicator(name, candles, options[name]);
+      const stream = new IncrementalIndicator(name, options[name]);
+      stream.updateAll(candles.slice(0, 10));
+
+      for (const candle of candles.slice(10)) {
+        // The open candle is revised a few times before it closes
+        stream.update({ ...candle, close: candle.close + 5, high: candle.high + 5 });
+        stream.update({ ...candle, close: candle.close - 3, low: candle.low - 3 });
+        stream.update(candle);
+      }
+      stream.update(candles[3]);
+
+      if (JSON.stringify(stream.value) !== JSON.stringify(full[full.length - 1])) {
+        throw new Error(`${name}: ${JSON.stringify(stream.value)} !== ${JSON.stringify(full[full.length - 1])}`);
+      }
+    }
+
+    let threw = false;
+    try {
+      new IncrementalIndicator('ichimoku');
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error('Unknown indicators should be rejected');
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Indicators are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runIndicatorTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runIndicatorTests };
@@ -0,0 +1,208 @@
+/**
+ * Test suite for the instrument registry
+ *
+ * A local HTTP stand-in serves /public/instruments; tests swap the list
+ * between refreshes to simulate listings, delistings and suspensions.
+ */
+
+import http from 'http';
+import OKXDexAPI from './okx-dex-api.js';
+import InstrumentRegistry, { normalizeSymbol, roundToStep, stepDecimals } from './instrument-registry.js';
+import { InvalidInstrumentError, OrderValidationError } from './okx-errors.js';
+import { createTestRunner, expectError } from './test-utils.js';
+
+const spot = (instId, tickSz, lotSz, minSz, state = 'live') => {
+  const [baseCcy, quoteCcy] = instId.split('-');
+  return { instType: 'SPOT', instId, baseCcy, quoteCcy, tickSz, lotSz, minSz, state, listTime: '1600000000000', ctVal: '', expTime: '' };
+};
+
+const SWAPS = [{
+  instType: 'SWAP', instId: 'BTC-USDT-SWAP', baseCcy: '', quoteCcy: '', instFamily: 'BTC-USDT', settleCcy: 'USDT',
+  ctVal: '0.01', tickSz: '0.1', lotSz: '0.01', minSz: '0.01', state: 'live', listTime: '1600000000000', expTime: ''
+}];
+
+/**
+ * Start a local stand-in serving a mutable instrument list
+ */
+function startInstrumentServer() {
+  const state = {
+    spot: [
+      spot('BTC-USDT', '0.1', '0.00000001', '0.00001'),
+      spot('ETH-USDT', '0.01', '0.000001', '0.0001'),
+      spot('SOL-USDC', '0.001', '0.0001', '0.01'),
+      spot('OLD-USDT', '0.0001', '1', '10')
+    ],
+    hits: 0
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.hits++;
+    const data = url.searchParams.get('instType') === 'SWAP' ? SWAPS : state.spot;
+    // Delay the reply a little so concurrent loads overlap
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: '0', msg: '', data }));
+    }, 20);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runInstrumentRegistryTests() {
+  console.log('🧪 Instrument Registry Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Pure helpers
+  await test('Symbol And Step Helpers', async () => {
+    if (normalizeSymbol('btc/usdt') !== 'BTC-USDT' || normalizeSymbol(' eth_usdt ') !== 'ETH-USDT') throw new Error('Separators not normalized');
+    if (stepDecimals(0.1) !== 1 || stepDecimals(1e-8) !== 8 || stepDecimals(5) !== 0) throw new Error('Wrong decimals');
+    if (roundToStep(0.3, 0.1, 'down') !== 0.3) throw new Error('Float division should not round 0.3 down to 0.2');
+    if (roundToStep(36123.456, 0.1) !== 36123.5) throw new Error('Nearest rounding failed');
+    if (roundToStep(1.23456789, 0.0001, 'down') !== 1.2345) throw new Error('Down rounding failed');
+    if (roundToStep(1.00001, 0.01, 'up') !== 1.01) throw new Error('Up rounding failed');
+  });
+
+  const { server, state, baseURL } = await startInstrumentServer();
+  const api = new OKXDexAPI({ rateLimiter: false, retry: false });
+  api.baseURL = baseURL;
+
+  try {
+    // Test 2: Resolving symbol formats
+    await test('Resolve Any Symbol Format', async () => {
+      const registry = new InstrumentRegistry(api);
+      const results = await Promise.all(['BTC-USDT', 'BTCUSDT', 'BTC/USDT', 'btc_usdt'].map(symbol => registry.resolve(symbol)));
+
+      if (results.some(instrument => instrument.symbol !== 'BTC-USDT')) throw new Error('Formats resolved differently');
+      if (state.hits !== 1) throw new Error(`Concurrent loads should share one request, got ${state.hits}`);
+      if (results[0].tickSize !== 0.1 || results[0].instType !== 'SPOT') throw new Error('Instrument fields missing');
+
+      await registry.resolve('ETHUSDT');
+      if (state.hits !== 1) throw new Error('Fresh cache should not refetch');
+    });
+
+    // Test 3: TTL expiry
+    await test('Cache Expiry', async () => {
+      state.hits = 0;
+      const registry = new InstrumentRegistry(api, { ttl: 0 });
+      await registry.resolve('BTC-USDT');
+      await registry.resolve('BTC-USDT');
+      if (state.hits !== 2) throw new Error('Stale cache should refetch');
+    });
+
+    // Test 4: Unknown and non-live instruments
+    await test('Unknown And Non-Live Instruments', async () => {
+      const registry = new InstrumentRegistry(api);
+      const unknown = await expectError(() => registry.resolve('DOGE-USDT'));
+      if (!(unknown instanceof InvalidInstrumentError)) throw new Error(`Got ${unknown.name}`);
+
+      state.spot[3].state = 'suspend';
+      await registry.refresh();
+      const suspended = await expectError(() => registry.resolve('OLDUSDT'));
+      state.spot[3].state = 'live';
+      if (!(suspended instanceof InvalidInstrumentError) || !suspended.message.includes('suspend')) throw new Error('Suspended instrument accepted');
+
+      const notLoaded = await expectError(() => new InstrumentRegistry(api).roundPrice('BTC-USDT', 1));
+      if (!notLoaded.message.includes('refresh()')) throw new Error('Sync lookups should require a load');
+    });
+
+    // Test 5: Tick and lot rounding
+    await test('Tick And Lot Rounding', async () => {
+      const registry = new InstrumentRegistry(api);
+      await registry.refresh();
+
+      if (registry.roundPrice('BTC/USDT', 36123.456) !== 36123.5) throw new Error('Price not rounded to tick');
+      if (registry.roundPrice('BTC/USDT', 36123.456, 'down') !== 36123.4) throw new Error('Price not rounded down');
+      if (registry.roundSize('ETHUSDT', 1.23456789) !== 1.234567) throw new Error('Size not rounded to lot');
+      if (registry.roundSize('OLD-USDT', 19.9) !== 19) throw new Error('Whole lot sizes not handled');
+    });
+
+    // Test 6: Order validation
+    await test('Order Validation', async () => {
+      const registry = new InstrumentRegistry(api);
+      await registry.refresh();
+
+      const order = registry.validateOrder('solusdc', { price: 101.23456, size: 2.56789 });
+      if (order.symbol !== 'SOL-USDC' || order.price !== 101.235 || order.size !== 2.5678) {
+        throw new Error(`Unexpected order: ${JSON.stringify(order)}`);
+      }
+
+      const market = registry.validateOrder('BTC-USDT', { size: 0.5 });
+      if (market.price !== null) throw new Error('Market orders should have no price');
+
+      const tooSmall = await expectError(() => registry.validateOrder('SOL-USDC', { price: 100, size: 0.009 }));
+      if (!(tooSmall instanceof OrderValidationError)) throw new Error(`Got ${tooSmall.name}`);
+
+      const belowTick = await expectError(() => registry.validateOrder('BTC-USDT', { price: 0.01, size: 1 }));
+      if (!(belowTick instanceof OrderValidationError)) throw new Error('Price below one tick accepted');
+    });
+
+    // Test 7: Listings and delistings
+    await test('Listing And Delisting Events', async () => {
+      const registry = new InstrumentRegistry(api);
+      const first = await registry.refresh();
+      if (first.listed.length !== 0) throw new Error('First load should report no listings');
+
+      const events = [];
+      registry.on('listed', instrument => events.push(`listed:${instrument.symbol}`));
+      registry.on('delisted', instrument => events.push(`delisted:${instrument.symbol}`));
+      registry.on('stateChange', (instrument, previous) => events.push(`state:${instrument.symbol}:${previous}->${instrument.state}`));
+
+      const saved = state.spot;
+      state.spot = [...saved.slice(0, 2), spot('SOL-USDC', '0.001', '0.0001', '0.01', 'suspend'), spot('NEW-USDT', '0.001', '1', '1')];
+      const changes = await registry.refresh();
+      state.spot = saved;
+
+      if (changes.listed.map(i => i.symbol).join() !== 'NEW-USDT') throw new Error('Listing not reported');
+      if (changes.delisted.map(i => i.symbol).join() !== 'OLD-USDT') throw new Error('Delisting not reported');
+      if (changes.stateChanges[0]?.previousState !== 'live') throw new Error('State change not reported');
+      if (events.join() !== 'state:SOL-USDC:live->suspend,listed:NEW-USDT,delisted:OLD-USDT') throw new Error(`Unexpected events: ${events}`);
+    });
+
+    // Test 8: Several instrument types
+    await test('Multiple Instrument Types', async () => {
+      const registry = new InstrumentRegistry(api, { instTypes: ['SPOT', 'SWAP'] });
+      await registry.refresh();
+
+      const swap = registry.get('BTCUSDTSWAP', 'SWAP');
+      if (!swap || swap.symbol !== 'BTC-USDT-SWAP' || swap.contractValue !== 0.01 || swap.settleCurrency !== 'USDT') {
+        throw new Error('Swap instrument not loaded');
+      }
+      if (registry.get('BTC-USDT-SWAP') !== null) throw new Error('Lookups should default to the first type');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Instrument registry is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInstrumentRegistryTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runInstrumentRegistryTests };
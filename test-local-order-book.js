@@ -0,0 +1,228 @@
+/**
+ * Test suite for LocalOrderBook
+ *
+ * Covers snapshot/update sequencing, CRC32 checksum verification and
+ * automatic resync through a local WebSocket stand-in.
+ */
+
+import { WebSocketServer } from 'ws';
+import LocalOrderBook, { crc32, computeChecksum } from './local-order-book.js';
+import OKXWebSocket from './okx-websocket.js';
+import { createTestRunner } from './test-utils.js';
+
+/**
+ * Build a raw book message with a correct checksum for the resulting book
+ */
+function withChecksum(book, resultingBids, resultingAsks) {
+  return { ...book, checksum: computeChecksum(resultingBids, resultingAsks) };
+}
+
+const SNAPSHOT_BIDS = [['100.5', '2', '0', '3'], ['100.4', '1.5', '0', '1'], ['100.0', '10', '0', '7']];
+const SNAPSHOT_ASKS = [['100.6', '1', '0', '2'], ['100.8', '3', '0', '4']];
+const SNAPSHOT = withChecksum(
+  { bids: SNAPSHOT_BIDS, asks: SNAPSHOT_ASKS, ts: '1700000000000', seqId: 100, prevSeqId: -1 },
+  SNAPSHOT_BIDS,
+  SNAPSHOT_ASKS
+);
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Test runner
+ */
+async function runLocalOrderBookTests() {
+  console.log('🧪 Local Order Book Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: CRC32 matches the OKX documentation example
+  await test('CRC32 Checksum', async () => {
+    if (crc32('123456789') !== -873187034) throw new Error('CRC32 check value mismatch');
+    if (crc32('3366.1:7:3366.8:9:3368:8:3372:8') !== 831078360) throw new Error('OKX example checksum mismatch');
+
+    const interleaved = computeChecksum([['3366.1', '7'], ['3368', '8']], [['3366.8', '9'], ['3372', '8']]);
+    if (interleaved !== 831078360) throw new Error('Levels not interleaved bid:ask');
+  });
+
+  // Test 2: Snapshot
+  await test('Apply Snapshot', async () => {
+    const book = new LocalOrderBook('BTC-USDT');
+    if (!book.applySnapshot(SNAPSHOT)) throw new Error('Valid snapshot rejected');
+
+    const bestBid = book.getBestBid();
+    const bestAsk = book.getBestAsk();
+    if (bestBid.price !== 100.5 || bestBid.size !== 2) throw new Error('Invalid best bid');
+    if (bestAsk.price !== 100.6 || bestAsk.total !== 2) throw new Error('Invalid best ask');
+
+    const depth = book.getDepth(2);
+    if (depth.symbol !== 'BTC-USDT' || depth.bids.length !== 2) throw new Error('Invalid depth');
+    if (depth.timestamp !== 1700000000000) throw new Error('Invalid timestamp');
+  });
+
+  // Test 3: Incremental update
+  await test('Apply Incremental Update', async () => {
+    const book = new LocalOrderBook('BTC-USDT');
+    book.applySnapshot(SNAPSHOT);
+
+    const bids = [['100.5', '2', '0', '3'], ['100.45', '4', '0', '1'], ['100.0', '10', '0', '7']];
+    const asks = [['100.6', '1', '0', '2'], ['100.8', '3', '0', '4']];
+    const update = withChecksum({
+      bids: [['100.4', '0', '0', '0'], ['100.45', '4', '0', '1']],
+      asks: [],
+      ts: '1700000000100',
+      seqId: 101,
+      prevSeqId: 100
+    }, bids, asks);
+
+    if (!book.applyUpdate(update)) throw new Error('Valid update rejected');
+
+    const depth = book.getDepth();
+    if (depth.bids.length !== 3) throw new Error('Zero-size level not removed');
+    if (depth.bids[1].price !== 100.45) throw new Error('New level not inserted in order');
+    if (book.seqId !== 101) throw new Error('seqId not advanced');
+  });
+
+  // Test 4: Sequence gap
+  await test('Sequence Gap Triggers Resync', async () => {
+    let resyncs = 0;
+    const book = new LocalOrderBook('BTC-USDT', { resync: () => { resyncs++; } });
+    book.applySnapshot(SNAPSHOT);
+
+    let reason = null;
+    book.on('resync', r => { reason = r; });
+
+    const applied = book.applyUpdate({ bids: [], asks: [], ts: '1700000000200', seqId: 105, prevSeqId: 103 });
+    await delay(10);
+
+    if (applied) throw new Error('Gapped update should be rejected');
+    if (!reason || !reason.includes('sequence gap')) throw new Error('Resync reason missing');
+    if (resyncs !== 1) throw new Error('Resync callback not called');
+    if (book.synced || book.getBestBid() !== null) throw new Error('Book should be cleared');
+    if (book.applyUpdate({ bids: [], asks: [], seqId: 106, prevSeqId: 105 })) {
+      throw new Error('Updates must wait for a snapshot after resync');
+    }
+  });
+
+  // Test 5: Checksum mismatch
+  await test('Checksum Mismatch Triggers Resync', async () => {
+    const book = new LocalOrderBook('BTC-USDT');
+    book.applySnapshot(SNAPSHOT);
+
+    let reason = null;
+    book.on('resync', r => { reason = r; });
+
+    const applied = book.applyUpdate({
+      bids: [['100.5', '3', '0', '3']],
+      asks: [],
+      ts: '1700000000300',
+      seqId: 101,
+      prevSeqId: 100,
+      checksum: 12345
+    });
+
+    if (applied) throw new Error('Update with a bad checksum should be rejected');
+    if (!reason || !reason.includes('checksum mismatch')) throw new Error('Resync reason missing');
+    if (book.resyncCount !== 1) throw new Error('Resync not counted');
+  });
+
+  // Test 6: Sequence resets after maintenance
+  await test('Sequence Reset And Snapshot After Reset', async () => {
+    const book = new LocalOrderBook('BTC-USDT');
+    book.applySnapshot(SNAPSHOT);
+
+    // No change keeps the seqId; a reset drops it and the next update follows the new value
+    const heartbeat = withChecksum({ bids: [], asks: [], ts: '1700000000500', seqId: 100, prevSeqId: 100 }, SNAPSHOT_BIDS, SNAPSHOT_ASKS);
+    const resetBids = [['100.5', '3', '0', '3'], ...SNAPSHOT_BIDS.slice(1)];
+    const reset = withChecksum({ bids: [['100.5', '3', '0', '3']], asks: [], ts: '1700000000600', seqId: 3, prevSeqId: 100 }, resetBids, SNAPSHOT_ASKS);
+    const after = withChecksum({ bids: [], asks: [], ts: '1700000000700', seqId: 5, prevSeqId: 3 }, resetBids, SNAPSHOT_ASKS);
+    if (!book.applyUpdate(heartbeat) || !book.applyUpdate(reset) || !book.applyUpdate(after)) throw new Error('Reset sequence rejected');
+    if (book.seqId !== 5 || book.resyncCount !== 0 || book.getBestBid().size !== 3) throw new Error(`Unexpected book after reset: seqId ${book.seqId}`);
+
+    // An update with prevSeqId -1 carries the full book
+    const bids = [['99.9', '1', '0', '1']];
+    const asks = [['100.1', '2', '0', '1']];
+    book.handleMessage({
+      arg: { channel: 'books', instId: 'BTC-USDT' },
+      action: 'update',
+      data: [withChecksum({ bids, asks, ts: '1700000000800', seqId: 1, prevSeqId: -1 }, bids, asks)]
+    });
+    const depth = book.getDepth();
+    if (book.resyncCount !== 0 || book.seqId !== 1 || depth.bids.length !== 1 || depth.asks[0].price !== 100.1) {
+      throw new Error(`Full-book update not applied as a snapshot: ${JSON.stringify(depth)}`);
+    }
+
+    // It also brings an out-of-sync book back
+    book.applyUpdate({ bids: [], asks: [], seqId: 9, prevSeqId: 7 });
+    if (book.synced) throw new Error('Gap not detected');
+    if (!book.applyUpdate(withChecksum({ bids, asks, seqId: 2, prevSeqId: -1 }, bids, asks)) || !book.synced) throw new Error('Full-book update should resync the book');
+  });
+
+  // Test 7: WebSocket attach resubscribes on mismatch
+  await test('WebSocket Resync', async () => {
+    const received = [];
+    const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => wss.on('listening', resolve));
+
+    wss.on('connection', socket => {
+      socket.on('message', raw => {
+        const message = JSON.parse(raw.toString());
+        received.push(message.op);
+        if (message.op !== 'subscribe') return;
+
+        const arg = message.args[0];
+        socket.send(JSON.stringify({ arg, action: 'snapshot', data: [SNAPSHOT] }));
+        if (received.filter(op => op === 'subscribe').length === 1) {
+          // First subscription: follow up with a corrupt update
+          socket.send(JSON.stringify({
+            arg,
+            action: 'update',
+            data: [{ bids: [['100.5', '9', '0', '1']], asks: [], ts: '1700000000400', seqId: 101, prevSeqId: 100, checksum: 1 }]
+          }));
+        }
+      });
+    });
+
+    const ws = new OKXWebSocket({ url: `ws://127.0.0.1:${wss.address().port}`, autoReconnect: false });
+    const book = new LocalOrderBook('BTC-USDT');
+
+    try {
+      const handle = await book.attach(ws);
+      await delay(150);
+      handle.stop();
+      await delay(50);
+
+      if (book.resyncCount !== 1) throw new Error(`Expected one resync, got ${book.resyncCount}`);
+      if (received.join(',') !== 'subscribe,unsubscribe,subscribe,unsubscribe') {
+        throw new Error(`Unexpected ops: ${received.join(',')}`);
+      }
+      if (!book.synced || book.getBestBid().size !== 2) throw new Error('Book not restored from fresh snapshot');
+    } finally {
+      ws.close();
+      wss.close();
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Local order book is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runLocalOrderBookTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runLocalOrderBookTests };
@@ -0,0 +1,227 @@
+/**
+ * Test suite for the market scanner
+ *
+ * Movers and spreads run against the local OKX mock server; volume spikes
+ * and new listings use a small stand-in API with hand-made candles.
+ */
+
+import MarketScanner, { SCANNER_RULES } from './market-scanner.js';
+import OKXMockServer from './okx-mock-server.js';
+import OKXDexAPI from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const MINUTE = 60000;
+
+/**
+ * Stand-in API serving fixed tickers, candles and instruments
+ */
+function createStubApi({ tickers, candles = {}, instruments = [] }) {
+  return {
+    calls: [],
+    async get24hStats(instType) {
+      this.calls.push(['get24hStats', instType]);
+      return tickers;
+    },
+    async getCandlesticks(symbol, bar, limit) {
+      this.calls.push(['getCandlesticks', symbol, bar, limit]);
+      if (!candles[symbol]) {
+        throw new Error(`Failed to fetch candlesticks: no candles for ${symbol}`);
+      }
+      // Newest first, like the API
+      return [...candles[symbol]].reverse();
+    },
+    async getInstruments(instType) {
+      this.calls.push(['getInstruments', instType]);
+      return instruments;
+    }
+  };
+}
+
+/**
+ * Build oldest-first 5m candles from volumes; the last one is still open
+ */
+function candlesFromVolumes(volumes) {
+  return volumes.map((volume, index) => ({
+    timestamp: index * 5 * MINUTE,
+    open: 10,
+    high: 10,
+    low: 10,
+    close: 10,
+    volume,
+    confirmed: index < volumes.length - 1
+  }));
+}
+
+const ticker = (symbol, volumeCcy24h) => ({
+  symbol,
+  lastPrice: 10,
+  bidPrice: 9.99,
+  askPrice: 10.01,
+  open24h: 10,
+  volumeCcy24h
+});
+
+/**
+ * Test runner
+ */
+async function runMarketScannerTests() {
+  console.log('🧪 Market Scanner Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const mock = new OKXMockServer();
+  const baseURL = await mock.start();
+  const api = new OKXDexAPI({ baseURL, rateLimiter: false, retry: false });
+
+  try {
+    // Test 1: 24h movers and the diff between scans
+    await test('24h Movers And Scan Diffs', async () => {
+      mock.setScenario('random-walk');
+      const scanner = new MarketScanner(api, { rules: { volumeSpikes: false, spreads: false, newListings: false } });
+
+      const first = await scanner.scan();
+      if (first.results.movers.length !== 0 || first.diff.added.length !== 0) throw new Error('Nothing should move 5% on a quiet walk');
+
+      mock.shock('SOL-USDT', -12);
+      mock.shock('ETH-USDT', 8);
+      const second = await scanner.scan();
+      const movers = second.results.movers;
+      if (movers.map(finding => finding.symbol).join() !== 'SOL-USDT,ETH-USDT') throw new Error(`Unexpected movers: ${JSON.stringify(movers)}`);
+      if (movers[0].rank !== 1 || Math.abs(movers[0].changePercent + 12) > 0.5) throw new Error(`Unexpected change: ${movers[0].changePercent}`);
+      if (second.diff.added.length !== 2 || second.diff.removed.length !== 0) throw new Error('Both movers should be new');
+
+      mock.shock('SOL-USDT', 14);
+      mock.shock('ETH-USDT', 10);
+      const third = await scanner.scan();
+      if (third.diff.removed[0]?.symbol !== 'SOL-USDT' || third.diff.changed[0]?.symbol !== 'ETH-USDT' || third.diff.changed[0].previousRank !== 2) {
+        throw new Error(`Unexpected diff: ${JSON.stringify(third.diff)}`);
+      }
+    });
+
+    // Test 2: Movers over a candle window
+    await test('Movers Over A Candle Window', async () => {
+      mock.setScenario('random-walk');
+      const scanner = new MarketScanner(api, {
+        bar: '1m',
+        rules: { movers: { window: '15m', minPercent: 5 }, volumeSpikes: false, spreads: false, newListings: false }
+      });
+
+      mock.shock('BTC-USDT', 7);
+      const { results } = await scanner.scan();
+      if (results.movers.length !== 1 || results.movers[0].symbol !== 'BTC-USDT' || results.movers[0].window !== '15m') {
+        throw new Error(`Unexpected movers: ${JSON.stringify(results.movers)}`);
+      }
+
+      const candleRequests = mock.requests.filter(request => request.route === '/market/candles');
+      if (candleRequests.length !== 4 || candleRequests[0].query.limit !== '16') throw new Error('Expected 16 candles for each spot symbol');
+    });
+
+    // Test 3: Spread blowouts
+    await test('Spread Blowouts', async () => {
+      mock.setScenario('random-walk');
+      const scanner = new MarketScanner(api, { rules: { movers: false, volumeSpikes: false, newListings: false } });
+
+      const quiet = await scanner.scan();
+      if (quiet.results.spreads.length !== 0) throw new Error('One-tick spreads should not be flagged');
+
+      // 20 wide on 65000 is only ~3 bps, but 100 times the usual spread
+      mock.setBook('BTC-USDT', { bids: [['64990', '1']], asks: [['65010', '1']] });
+      mock.setBook('ETH-USDT', { bids: [['3490', '1']], asks: [['3510', '1']] });
+      const { results } = await scanner.scan();
+      const [eth, btc] = results.spreads;
+      if (eth?.symbol !== 'ETH-USDT' || Math.abs(eth.spreadBps - 57.14) > 0.01) throw new Error(`Unexpected spreads: ${JSON.stringify(results.spreads)}`);
+      if (btc?.symbol !== 'BTC-USDT' || !(btc.spreadBps < 50) || !(btc.baselineBps < 0.1)) throw new Error('Spreads far above their usual width should be flagged');
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  // Test 4: Volume spikes
+  await test('Volume Z-Score Spikes', async () => {
+    const quiet = [10, 12, 8, 10, 12, 8, 10, 12, 8, 10];
+    const stub = createStubApi({
+      tickers: [ticker('AAA-USDT', 3000), ticker('BBB-USDT', 2000), ticker('CCC-USDT', 1000), ticker('DDD-USDC', 5000), ticker('EEE-USDT', 10)],
+      candles: {
+        'AAA-USDT': candlesFromVolumes([...quiet, 40, 500]),
+        'BBB-USDT': candlesFromVolumes([...quiet, 11, 0])
+      }
+    });
+    const scanner = new MarketScanner(stub, {
+      quoteCurrency: 'USDT',
+      maxCandleSymbols: 3,
+      rules: { movers: false, spreads: false, newListings: false, volumeSpikes: { lookback: 10, minZScore: 3 } }
+    });
+
+    const { results, errors } = await scanner.scan();
+    const [spike] = results.volumeSpikes;
+    if (results.volumeSpikes.length !== 1 || spike.symbol !== 'AAA-USDT' || spike.volume !== 40 || spike.mean !== 10) {
+      throw new Error(`Unexpected spikes: ${JSON.stringify(results.volumeSpikes)}`);
+    }
+    if (Math.abs(spike.zScore - 30 / Math.sqrt(2.4)) > 1e-9) throw new Error(`Unexpected z-score: ${spike.zScore}`);
+    if (!errors['CCC-USDT'] || errors['DDD-USDC'] || errors['EEE-USDT']) throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+    if (stub.calls.filter(call => call[0] === 'getCandlesticks').length !== 3) throw new Error('Candles should only be fetched for the 3 most traded symbols');
+    if (stub.calls.find(call => call[0] === 'getCandlesticks')[3] !== 12) throw new Error('Candle limit should cover the lookback');
+  });
+
+  // Test 5: New listings and options
+  await test('New Listings And Options', async () => {
+    const now = 100 * 86400000;
+    const instruments = [
+      { symbol: 'OLD-USDT', listTime: now - 30 * 86400000, state: 'live' },
+      { symbol: 'NEW-USDT', listTime: now - 3600000, state: 'live' }
+    ];
+    const stub = createStubApi({ tickers: [], instruments });
+    const scanner = new MarketScanner(stub, { clock: () => now, rules: { movers: false, volumeSpikes: false, spreads: false } });
+
+    const first = await scanner.scan();
+    if (first.results.newListings.map(finding => finding.symbol).join() !== 'NEW-USDT') throw new Error('Recent listings should be flagged');
+
+    instruments.push({ symbol: 'PRE-USDT', listTime: null, state: 'preopen' });
+    const second = await scanner.scan();
+    const symbols = second.results.newListings.map(finding => finding.symbol);
+    if (symbols.join() !== 'PRE-USDT,NEW-USDT' || second.diff.added.length !== 1 || second.diff.changed[0].previousRank !== 1) {
+      throw new Error(`Unexpected listings: ${symbols} ${JSON.stringify(second.diff)}`);
+    }
+
+    const invalid = [
+      { rules: { momentum: {} } },
+      { bar: '7m' },
+      { bar: '1H', rules: { movers: { window: '15m' } } },
+      { bar: '1m', rules: { movers: { window: '1D' } } }
+    ];
+    for (const options of invalid) {
+      let threw = false;
+      try {
+        new MarketScanner(stub, options);
+      } catch {
+        threw = true;
+      }
+      if (!threw) throw new Error(`Should reject ${JSON.stringify(options)}`);
+    }
+    if (Object.keys(SCANNER_RULES).length !== 4) throw new Error('Unexpected rules');
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Market scanner is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMarketScannerTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runMarketScannerTests };
@@ -0,0 +1,137 @@
+/**
+ * Test suite for account endpoints
+ *
+ * Trades against the local OKX mock server, then checks balances, positions,
+ * maximum order sizes and bills through the account methods.
+ */
+
+import Decimal from 'decimal.js';
+import OKXDexAPI, { BILL_TYPES } from './okx-dex-api.js';
+import OKXMockServer from './okx-mock-server.js';
+import { AuthenticationError } from './okx-errors.js';
+import { createTestRunner } from './test-utils.js';
+
+const CREDENTIALS = { apiKey: 'test-key', secretKey: 'test-secret', passphrase: 'test-pass' };
+
+/**
+ * Test runner
+ */
+async function runAccountTests() {
+  console.log('🧪 Account Endpoint Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const mock = new OKXMockServer({ scenario: { priceModel: 'fixed' } });
+  const baseURL = await mock.start();
+  const api = new OKXDexAPI({ baseURL, ...CREDENTIALS, env: false, rateLimiter: false, retry: false });
+
+  try {
+    // Test 1: Balances
+    await test('Balances With Frozen Funds', async () => {
+      mock.setScenario({ priceModel: 'fixed', balances: { USDT: 10000, BTC: 0.5, SOL: 0 } });
+      await api.placeOrder({ symbol: 'SOL-USDT', side: 'buy', size: 10, price: 140 });
+
+      const { totalEquityUsd, balances } = await api.getBalances();
+      const usdt = balances.find(balance => balance.currency === 'USDT');
+      if (usdt.cash !== 10000 || usdt.available !== 8600 || usdt.frozen !== 1400 || usdt.equityUsd !== 10000) throw new Error(`Unexpected USDT balance: ${JSON.stringify(usdt)}`);
+      if (totalEquityUsd !== 10000 + 0.5 * 65000) throw new Error(`Unexpected total equity: ${totalEquityUsd}`);
+
+      const filtered = await api.getBalances(['BTC', 'SOL']);
+      if (filtered.balances.map(balance => balance.currency).join() !== 'BTC,SOL') throw new Error('Currency filter not applied');
+      const request = mock.requests.filter(entry => entry.route === '/account/balance').pop();
+      if (request.query.ccy !== 'BTC,SOL') throw new Error(`Unexpected query: ${JSON.stringify(request.query)}`);
+
+      const exact = new OKXDexAPI({ baseURL, ...CREDENTIALS, numeric: 'decimal', env: false, rateLimiter: false, retry: false });
+      const [btc] = (await exact.getBalances('BTC')).balances;
+      if (!(btc.cash instanceof Decimal) || !btc.cash.equals(0.5)) throw new Error('Decimal mode should return Decimal balances');
+    });
+
+    // Test 2: Positions
+    await test('Positions And Realized PnL', async () => {
+      mock.setScenario({ priceModel: 'fixed', balances: { USDT: 10000 } });
+      await api.placeOrder({ symbol: 'BTC-USDT-SWAP', side: 'buy', type: 'market', size: 2 });
+      mock.setPrice('BTC-USDT-SWAP', 66000);
+
+      const [position] = await api.getPositions({ instType: 'SWAP' });
+      if (position.symbol !== 'BTC-USDT-SWAP' || position.size !== 2 || position.averagePrice !== 65000 || position.markPrice !== 66000) {
+        throw new Error(`Unexpected position: ${JSON.stringify(position)}`);
+      }
+      // 2 contracts of 0.01 BTC, up 1000
+      if (Math.abs(position.unrealizedPnl - 20) > 1e-9 || position.marginMode !== 'cross') throw new Error(`Unexpected PnL: ${position.unrealizedPnl}`);
+
+      await api.placeOrder({ symbol: 'BTC-USDT-SWAP', side: 'sell', type: 'market', size: 1 });
+      const [reduced] = await api.getPositions({ symbols: ['btc-usdt-swap'] });
+      if (reduced.size !== 1 || Math.abs(reduced.realizedPnl - 10) > 1e-9) throw new Error(`Unexpected reduced position: ${JSON.stringify(reduced)}`);
+
+      await api.placeOrder({ symbol: 'BTC-USDT-SWAP', side: 'sell', type: 'market', size: 1 });
+      if ((await api.getPositions()).length !== 0) throw new Error('Closed positions should not be listed');
+      const [usdt] = (await api.getBalances('USDT')).balances;
+      if (Math.abs(usdt.cash - 10020) > 1e-9) throw new Error(`Realized PnL not credited: ${usdt.cash}`);
+    });
+
+    // Test 3: Configuration and maximum sizes
+    await test('Account Config And Max Size', async () => {
+      mock.setScenario({ priceModel: 'fixed', balances: { USDT: 100000, BTC: 1 } });
+      const config = await api.getAccountConfig();
+      if (config.positionMode !== 'net_mode' || config.accountLevel !== 2 || config.permissions.join() !== 'read_only,trade' || config.autoLoan !== false) {
+        throw new Error(`Unexpected config: ${JSON.stringify(config)}`);
+      }
+
+      const spot = await api.getMaxSize('BTC-USDT');
+      if (spot.maxBuy !== 1.53846153 || spot.maxSell !== 1) throw new Error(`Unexpected spot max size: ${JSON.stringify(spot)}`);
+      const atPrice = await api.getMaxSize('BTC-USDT', { price: 50000 });
+      if (atPrice.maxBuy !== 2) throw new Error(`Unexpected max size at price: ${atPrice.maxBuy}`);
+
+      const swap = await api.getMaxSize('BTC-USDT-SWAP', { leverage: 3 });
+      const request = mock.requests.filter(entry => entry.route === '/account/max-size').pop();
+      if (request.query.tdMode !== 'cross' || request.query.leverage !== '3' || swap.maxBuy !== 461.53) throw new Error(`Unexpected swap max size: ${JSON.stringify(swap)}`);
+
+      const anonymous = new OKXDexAPI({ baseURL, env: false, rateLimiter: false, retry: false });
+      let error = null;
+      await anonymous.getBalances().catch(caught => { error = caught; });
+      if (!(error instanceof AuthenticationError)) throw new Error('Account methods need credentials');
+    });
+
+    // Test 4: Bills
+    await test('Bills History', async () => {
+      mock.setScenario({ priceModel: 'fixed', balances: { USDT: 10000, ETH: 0 } });
+      await api.placeOrder({ symbol: 'ETH-USDT', side: 'buy', type: 'market', size: 3500 });
+      await api.placeOrder({ symbol: 'ETH-USDT', side: 'sell', size: 0.5, price: 3400 });
+
+      const bills = await api.getBills();
+      if (bills.length !== 4 || bills[0].type !== 'trade' || bills[0].billId !== '4') throw new Error(`Unexpected bills: ${JSON.stringify(bills)}`);
+      const [usdt] = await api.getBills({ currency: 'USDT', limit: 1 });
+      if (usdt.balanceChange !== 1750 || usdt.balance !== 8250 || usdt.orderId === null || usdt.symbol !== 'ETH-USDT') throw new Error(`Unexpected USDT bill: ${JSON.stringify(usdt)}`);
+
+      const archived = await api.getBills({ archive: true, type: 'trade', currency: 'ETH' });
+      const request = mock.requests.filter(entry => entry.route === '/account/bills-archive').pop();
+      if (archived.length !== 2 || request.query.type !== BILL_TYPES.trade || archived[1].balanceChange !== 1) throw new Error(`Unexpected archive: ${JSON.stringify(archived)}`);
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Account endpoints are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAccountTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAccountTests };
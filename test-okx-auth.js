@@ -0,0 +1,194 @@
+/**
+ * Test suite for OKXDexAPI request signing
+ *
+ * Runs the client against a local HTTP stand-in that recomputes the
+ * OK-ACCESS-SIGN header the same way the OKX servers do.
+ */
+
+import http from 'http';
+import OKXDexAPI, { createSignature } from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const CREDENTIALS = {
+  apiKey: 'test-api-key',
+  secretKey: 'test-secret-key',
+  passphrase: 'test-passphrase'
+};
+
+/**
+ * Start a local stand-in that verifies signed requests and records what it received
+ */
+function startSigningServer() {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const reply = payload => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const sign = req.headers['ok-access-sign'];
+      if (sign) {
+        const expected = createSignature(
+          req.headers['ok-access-timestamp'],
+          req.method,
+          req.url,
+          body,
+          CREDENTIALS.secretKey
+        );
+        if (sign !== expected || req.headers['ok-access-passphrase'] !== CREDENTIALS.passphrase) {
+          return reply({ code: '50113', msg: 'Invalid Sign', data: [] });
+        }
+      }
+
+      reply({ code: '0', msg: '', data: [{ path: req.url, body }] });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, received, baseURL: `http://127.0.0.1:${port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runAuthTests() {
+  console.log('🧪 OKXDexAPI Authentication Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const { server, received, baseURL } = await startSigningServer();
+  const lastRequest = () => received[received.length - 1];
+
+  try {
+    // Test 1: Public client sends no auth headers
+    await test('Public Requests Are Unsigned', async () => {
+      const api = new OKXDexAPI();
+      api.baseURL = baseURL;
+
+      await api.request('GET', '/market/ticker', { params: { instId: 'BTC-USDT' } });
+
+      const { headers } = lastRequest();
+      if (api.hasCredentials()) throw new Error('Client should not report credentials');
+      if (headers['ok-access-key']) throw new Error('OK-ACCESS-KEY should not be sent');
+      if (headers['ok-access-sign']) throw new Error('OK-ACCESS-SIGN should not be sent');
+      if (headers['x-simulated-trading']) throw new Error('Demo header should not be sent');
+    });
+
+    // Test 2: Signed GET with query string
+    await test('Signed GET Request', async () => {
+      const api = new OKXDexAPI(CREDENTIALS);
+      api.baseURL = baseURL;
+
+      const data = await api.request('GET', '/account/balance', { params: { ccy: 'BTC,ETH' } });
+
+      const { headers } = lastRequest();
+      if (headers['ok-access-key'] !== CREDENTIALS.apiKey) throw new Error('Invalid OK-ACCESS-KEY');
+      if (!headers['ok-access-timestamp']) throw new Error('OK-ACCESS-TIMESTAMP missing');
+      if (Number.isNaN(Date.parse(headers['ok-access-timestamp']))) throw new Error('Timestamp is not ISO formatted');
+      if (!data[0].path.startsWith('/api/v5/account/balance?ccy=')) throw new Error(`Unexpected path: ${data[0].path}`);
+    });
+
+    // Test 3: Signed POST with JSON body
+    await test('Signed POST Request', async () => {
+      const api = new OKXDexAPI(CREDENTIALS);
+      api.baseURL = baseURL;
+
+      const order = { instId: 'BTC-USDT', tdMode: 'cash', side: 'buy', ordType: 'limit', px: '30000', sz: '0.01' };
+      const data = await api.request('POST', '/trade/order', { data: order });
+
+      if (data[0].body !== JSON.stringify(order)) throw new Error('Body was not sent as signed');
+      if (lastRequest().method !== 'POST') throw new Error('Wrong HTTP method');
+    });
+
+    // Test 4: Market data methods are signed too
+    await test('Market Methods Are Signed', async () => {
+      const api = new OKXDexAPI(CREDENTIALS);
+      api.baseURL = baseURL;
+
+      await api.getInstruments('SPOT');
+
+      const { headers, url } = lastRequest();
+      if (!headers['ok-access-sign']) throw new Error('OK-ACCESS-SIGN missing');
+      if (url !== '/api/v5/public/instruments?instType=SPOT') throw new Error(`Unexpected path: ${url}`);
+    });
+
+    // Test 5: Demo trading header
+    await test('Demo Trading Header', async () => {
+      const api = new OKXDexAPI({ ...CREDENTIALS, demoTrading: true });
+      api.baseURL = baseURL;
+
+      await api.request('GET', '/account/balance');
+
+      if (lastRequest().headers['x-simulated-trading'] !== '1') throw new Error('x-simulated-trading header missing');
+    });
+
+    // Test 6: Wrong secret is rejected by the stand-in
+    await test('Invalid Signature Rejected', async () => {
+      const api = new OKXDexAPI({ ...CREDENTIALS, secretKey: 'wrong-secret' });
+      api.baseURL = baseURL;
+
+      let error = null;
+      try {
+        await api.request('GET', '/account/balance');
+      } catch (e) {
+        error = e;
+      }
+
+      if (!error) throw new Error('Request with a wrong secret should fail');
+      if (!error.message.includes('50113')) throw new Error(`Unexpected error: ${error.message}`);
+    });
+
+    // Test 7: Incomplete credentials
+    await test('Incomplete Credentials Rejected', async () => {
+      let threw = false;
+      try {
+        new OKXDexAPI({ apiKey: 'key-only' });
+      } catch (error) {
+        threw = true;
+      }
+      if (!threw) throw new Error('Constructor should reject partial credentials');
+    });
+
+    // Test 8: Known signature vector
+    await test('Signature Generation', async () => {
+      const signature = createSignature('2020-12-08T09:08:57.715Z', 'GET', '/api/v5/account/balance?ccy=BTC', '', 'secret');
+      if (signature !== 'wpDvCwYCprcMQsQkxWJiWy+YADoQE4ep+OEKKLimMoY=') throw new Error(`Unexpected signature: ${signature}`);
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Request signing is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAuthTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAuthTests };
@@ -0,0 +1,212 @@
+/**
+ * Test suite for the okx command-line interface
+ *
+ * Runs the CLI in process against the local OKX mock server and captures
+ * what it writes.
+ */
+
+import OKXMockServer from './okx-mock-server.js';
+import { runCli, COMMANDS, diffRecords, formatTable, formatCsv } from './okx-cli.js';
+import { createTestRunner } from './test-utils.js';
+
+/**
+ * Collect everything written to a stream
+ */
+function createOutput() {
+  const output = { text: '', isTTY: false };
+  output.write = chunk => {
+    output.text += chunk;
+    return true;
+  };
+  return output;
+}
+
+/**
+ * Test runner
+ */
+async function runCliTests() {
+  console.log('🧪 OKX CLI Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Formatting helpers
+  await test('Table, CSV And Diff Helpers', async () => {
+    const table = formatTable(['Symbol', 'Last'], [['BTC-USDT', 65000], ['SOL-USDC', 150.5]]);
+    const lines = table.split('\n');
+    if (lines[0] !== 'Symbol    Last' || lines[3] !== 'SOL-USDC  150.5') throw new Error(`Unexpected table:\n${table}`);
+
+    const csv = formatCsv(['a', 'b'], [['x,y', 'say "hi"']]);
+    if (csv !== 'a,b\n"x,y","say ""hi"""') throw new Error(`Unexpected CSV: ${csv}`);
+
+    const diff = diffRecords(
+      [{ symbol: 'A', lastPrice: 1 }, { symbol: 'B', lastPrice: 2 }],
+      [{ symbol: 'A', lastPrice: 1.5 }, { symbol: 'C', lastPrice: 3 }],
+      COMMANDS.ticker
+    );
+    if (diff.added[0].symbol !== 'C' || diff.removed[0].symbol !== 'B') throw new Error('Added/removed not found');
+    if (diff.changed.get('A').last.to !== 1.5 || diff.changed.size !== 1) throw new Error('Changed cells not found');
+  });
+
+  const mock = new OKXMockServer({ scenario: 'fixed-books' });
+  const baseURL = await mock.start();
+
+  const run = async (args, options = {}) => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const code = await runCli([...args, '--base-url', baseURL], { stdout, stderr, ...options });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  try {
+    // Test 2: Every subcommand
+    await test('Subcommands', async () => {
+      const outputs = {
+        ticker: await run(['ticker', 'BTC-USDT', 'ETH-USDT-SWAP']),
+        tickers: await run(['tickers', '--sort', 'symbol', '--limit', '2']),
+        book: await run(['book', 'BTC-USDT', '--depth', '2']),
+        trades: await run(['trades', 'BTC-USDT', '--limit', '1']),
+        candles: await run(['candles', 'BTC-USDT', '--bar', '15m', '--limit', '3']),
+        instruments: await run(['instruments', '--type', 'swap']),
+        stats: await run(['stats', 'BTC-USDT'])
+      };
+
+      for (const [name, output] of Object.entries(outputs)) {
+        if (output.code !== 0 || output.stderr) throw new Error(`${name} failed: ${output.stderr}`);
+      }
+      if (!outputs.ticker.stdout.includes('ETH-USDT-SWAP')) throw new Error('Ticker row missing');
+      if (!/BTC-USDT\s+65000/.test(outputs.tickers.stdout) || outputs.tickers.stdout.includes('SOL-USDC')) throw new Error('Tickers not sorted and limited');
+
+      const ladder = outputs.book.stdout.trim().split('\n').slice(2).map(line => line.split(/\s+/).slice(0, 2).join(' '));
+      if (ladder.join('|') !== 'ask 65001|ask 65000.1|bid 64999.9|bid 64999') throw new Error(`Unexpected ladder: ${ladder}`);
+
+      if (outputs.candles.stdout.trim().split('\n').length !== 5) throw new Error('Expected 3 candles');
+      if (!outputs.instruments.stdout.includes('BTC-USDT-SWAP')) throw new Error('Instrument missing');
+
+      const aliases = await run(['ticker', 'BTC-USDT', 'BTCUSDT', 'btc/usdt']);
+      if (aliases.code !== 0 || aliases.stdout.match(/BTC-USDT/g).length !== 1) throw new Error(`Symbol spellings should print one row:\n${aliases.stdout}`);
+
+      const spot = await run(['instruments']);
+      if (!/BTC-USDT\s+SPOT\s+0\.1\s+0\.00000001\s+0\.00001000\s/.test(spot.stdout) || spot.stdout.includes('e-')) {
+        throw new Error(`Sizes should use the instrument's precision:\n${spot.stdout}`);
+      }
+      if (!/spreadBps\s+0\.03/.test(outputs.stats.stdout)) throw new Error('Book statistics missing');
+    });
+
+    // Test 3: Output formats
+    await test('JSON And CSV Output', async () => {
+      const json = await run(['book', 'BTC-USDT', '--depth', '1', '--format', 'json']);
+      const levels = JSON.parse(json.stdout);
+      if (levels.length !== 2 || levels[0].side !== 'ask' || levels[0].price !== 65000.1) throw new Error('Unexpected JSON');
+
+      const csv = await run(['instruments', '-f', 'csv']);
+      const lines = csv.stdout.trim().split('\n');
+      if (lines[0] !== 'symbol,instType,tickSize,lotSize,minSize,state' || lines[1] !== 'BTC-USDT,SPOT,0.1,1e-8,0.00001,live') {
+        throw new Error(`Unexpected CSV:\n${csv.stdout}`);
+      }
+    });
+
+    // Test 4: Watch mode diffs
+    await test('Watch Mode Shows Changes', async () => {
+      mock.setScenario('fixed-books');
+      const polls = [];
+      const stdout = createOutput();
+      stdout.write = chunk => {
+        polls.push(chunk);
+        // Move the price between polls
+        if (polls.length === 1) mock.shock('BTC-USDT', 10);
+        return true;
+      };
+
+      const code = await runCli(['ticker', 'BTC-USDT', '--watch', '-i', '0.01', '-n', '3', '-f', 'json', '--base-url', baseURL], { stdout, stderr: createOutput() });
+      const lines = polls.map(line => JSON.parse(line));
+
+      if (code !== 0 || lines.length !== 3) throw new Error(`Expected 3 lines, got ${lines.length}`);
+      if (lines[0].added[0].lastPrice !== 65000) throw new Error('First poll should list every record');
+      if (lines[1].changed['BTC-USDT'].last.to !== 71500) throw new Error('Price change not reported');
+
+      const table = await run(['instruments', '-w', '-i', '0.01', '-n', '3']);
+      if (table.stdout.match(/Symbol/g).length !== 1) throw new Error('Unchanged polls should print nothing');
+
+      mock.setScenario('fixed-books');
+      const ladder = createOutput();
+      let printed = 0;
+      ladder.write = chunk => {
+        ladder.text += chunk;
+        if (++printed === 1) mock.setBook('BTC-USDT', { bids: [['64999.9', '2']], asks: [['65000.2', '1']] });
+        return true;
+      };
+      await runCli(['book', 'BTC-USDT', '-d', '1', '-w', '-i', '0.01', '-n', '2', '--base-url', baseURL], { stdout: ladder, stderr: createOutput() });
+      const second = ladder.text.split('\n\n')[1];
+      if (!/bid\s+64999.9\s+2 ▲/.test(second) || !/\+\s+ask\s+65000.2/.test(second) || !/-\s+ask\s+65000.1/.test(second)) {
+        throw new Error(`Unexpected diff table:\n${second}`);
+      }
+    });
+
+    // Test 5: Errors and exit codes
+    await test('Errors And Exit Codes', async () => {
+      const usage = [
+        await run([]),
+        await run(['bogus']),
+        await run(['book']),
+        await run(['trades', 'BTC-USDT', '--limit', 'lots']),
+        await run(['ticker', 'BTC-USDT', '--format', 'xml']),
+        await run(['ticker', 'BTC-USDT', '--nope'])
+      ];
+      if (usage.some(output => output.code !== 2 || !output.stderr)) throw new Error(`Usage errors should exit 2: ${usage.map(o => o.code)}`);
+
+      const help = await run(['--help']);
+      if (help.code !== 0 || !help.stdout.includes('Usage: okx')) throw new Error('Help not printed');
+
+      const failed = await run(['book', 'NOPE-USDT']);
+      if (failed.code !== 1 || !failed.stderr.includes("doesn't exist")) throw new Error('Request errors should exit 1');
+
+      const partial = await run(['ticker', 'BTC-USDT', 'NOPE-USDT']);
+      if (partial.code !== 0 || !partial.stderr.includes('NOPE-USDT')) throw new Error('Missing symbols should be warned about');
+
+      mock.inject({ route: '/market/trades', code: '50005', msg: 'API is offline or unavailable', times: 1 });
+      const watching = await run(['trades', 'BTC-USDT', '-w', '-i', '0.01', '-n', '2']);
+      if (watching.code !== 0 || !watching.stderr.includes('offline') || !watching.stdout.includes('Trade ID')) {
+        throw new Error(`Watch mode should keep polling after errors: ${JSON.stringify(watching)}`);
+      }
+
+      mock.inject({ route: '/market/trades', code: '50005', msg: 'API is offline or unavailable', times: 2 });
+      const offline = await run(['trades', 'BTC-USDT', '-w', '-i', '0.01', '-n', '2']);
+      if (offline.code !== 1 || offline.stderr.match(/offline/g).length !== 2) throw new Error(`Watch mode should fail when every poll failed: ${JSON.stringify(offline)}`);
+    });
+
+    // Test 6: Stopping watch mode
+    await test('Watch Stops On Abort', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+      const started = Date.now();
+      const output = await run(['ticker', 'BTC-USDT', '-w', '-i', '30'], { signal: controller.signal });
+      if (output.code !== 0 || Date.now() - started > 5000) throw new Error('Abort should end watch mode');
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! CLI is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCliTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runCliTests };
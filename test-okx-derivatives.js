@@ -0,0 +1,192 @@
+/**
+ * Test suite for derivatives market data
+ *
+ * A local HTTP stand-in serves recorded-shape responses for the funding rate,
+ * open interest, mark price, index, price limit and option summary routes.
+ */
+
+import http from 'http';
+import OKXDexAPI from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const FIXTURES = {
+  '/api/v5/public/funding-rate': [{
+    instId: 'BTC-USDT-SWAP', instType: 'SWAP', fundingRate: '0.0001', nextFundingRate: '',
+    minFundingRate: '-0.00375', maxFundingRate: '0.00375', method: 'current_period',
+    fundingTime: '1700006400000', nextFundingTime: '1700035200000', ts: '1700000000000'
+  }],
+  '/api/v5/public/funding-rate-history': [
+    { instId: 'BTC-USDT-SWAP', instType: 'SWAP', fundingRate: '0.0001', realizedRate: '0.00009', method: 'current_period', fundingTime: '1700006400000' },
+    { instId: 'BTC-USDT-SWAP', instType: 'SWAP', fundingRate: '-0.0002', realizedRate: '-0.0002', method: 'current_period', fundingTime: '1699977600000' }
+  ],
+  '/api/v5/public/open-interest': [
+    { instId: 'BTC-USDT-SWAP', instType: 'SWAP', oi: '2500000', oiCcy: '25000', oiUsd: '900000000', ts: '1700000000000' }
+  ],
+  '/api/v5/public/mark-price': [
+    { instId: 'BTC-USDT-SWAP', instType: 'SWAP', markPx: '36012.5', ts: '1700000000000' },
+    { instId: 'ETH-USDT-SWAP', instType: 'SWAP', markPx: '2001.25', ts: '1700000000000' }
+  ],
+  '/api/v5/market/index-tickers': [
+    { instId: 'BTC-USDT', idxPx: '36000', high24h: '36500', low24h: '35000', open24h: '35200', sodUtc0: '35300', sodUtc8: '35400', ts: '1700000000000' }
+  ],
+  '/api/v5/public/price-limit': [
+    { instId: 'BTC-USDT-SWAP', instType: 'SWAP', buyLmt: '36700', sellLmt: '35300', enabled: true, ts: '1700000000000' }
+  ],
+  '/api/v5/public/opt-summary': [{
+    instId: 'BTC-USD-250328-40000-C', instType: 'OPTION', uly: 'BTC-USD',
+    delta: '0.52', gamma: '1.8', theta: '-0.0012', vega: '0.0006',
+    deltaBS: '0.55', gammaBS: '0.00004', thetaBS: '-45.2', vegaBS: '21.3',
+    realVol: '', bidVol: '0.48', askVol: '0.5', markVol: '0.49', lever: '12.5', fwdPx: '36500', volLv: '0.49',
+    ts: '1700000000000'
+  }]
+};
+
+/**
+ * Start a local stand-in that replies with the fixture for each route
+ */
+function startDerivativesServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const data = FIXTURES[url.pathname];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (!data) {
+      res.end(JSON.stringify({ code: '51001', msg: 'Instrument ID does not exist', data: [] }));
+      return;
+    }
+    res.end(JSON.stringify({ code: '0', msg: '', data }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runDerivativesTests() {
+  console.log('🧪 OKX Derivatives Market Data Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const { server, requests, baseURL } = await startDerivativesServer();
+  const api = new OKXDexAPI({ rateLimiter: false, retry: false });
+  api.baseURL = baseURL;
+  const lastQuery = () => requests[requests.length - 1].query;
+
+  try {
+    // Test 1: Current funding rate
+    await test('Funding Rate', async () => {
+      const rate = await api.getFundingRate('BTC-USDT-SWAP');
+
+      if (rate.symbol !== 'BTC-USDT-SWAP' || rate.fundingRate !== 0.0001) throw new Error('Funding rate not parsed');
+      if (rate.nextFundingRate !== null) throw new Error('Empty next rate should be null');
+      if (rate.fundingTime !== 1700006400000 || rate.nextFundingTime !== 1700035200000) throw new Error('Funding times not parsed');
+      if (rate.maxFundingRate !== 0.00375 || rate.timestamp !== 1700000000000) throw new Error('Bounds or timestamp not parsed');
+      if (lastQuery().instId !== 'BTC-USDT-SWAP') throw new Error('instId not sent');
+    });
+
+    // Test 2: Funding history with cursor
+    await test('Funding Rate History', async () => {
+      const history = await api.getFundingRateHistory('BTC-USDT-SWAP', { limit: 2, after: '1700010000000' });
+
+      if (history.length !== 2) throw new Error(`Expected 2 rates, got ${history.length}`);
+      if (history[1].fundingRate !== -0.0002 || history[0].realizedRate !== 0.00009) throw new Error('Rates not parsed');
+      const query = lastQuery();
+      if (query.limit !== '2' || query.after !== '1700010000000' || query.before !== undefined) throw new Error('Paging parameters not sent');
+    });
+
+    // Test 3: Open interest
+    await test('Open Interest', async () => {
+      const [entry] = await api.getOpenInterest('SWAP', { instId: 'BTC-USDT-SWAP' });
+
+      if (entry.openInterest !== 2500000 || entry.openInterestCcy !== 25000 || entry.openInterestUsd !== 900000000) {
+        throw new Error('Open interest not parsed');
+      }
+      if (lastQuery().instType !== 'SWAP' || lastQuery().instId !== 'BTC-USDT-SWAP') throw new Error('Filters not sent');
+    });
+
+    // Test 4: Mark prices
+    await test('Mark Price', async () => {
+      const prices = await api.getMarkPrice('SWAP', { instFamily: 'BTC-USDT' });
+
+      if (prices.length !== 2 || prices[1].markPrice !== 2001.25) throw new Error('Mark prices not parsed');
+      if (lastQuery().instFamily !== 'BTC-USDT' || 'uly' in lastQuery()) throw new Error('Only given filters should be sent');
+    });
+
+    // Test 5: Index tickers
+    await test('Index Tickers', async () => {
+      const [index] = await api.getIndexTickers('USDT');
+
+      if (index.indexPrice !== 36000 || index.change24h !== 800) throw new Error('Index price not parsed');
+      if (index.changePercent24h.toFixed(2) !== '2.27') throw new Error(`Unexpected change: ${index.changePercent24h}`);
+      if (lastQuery().quoteCcy !== 'USDT') throw new Error('quoteCcy not sent');
+
+      await api.getIndexTickers('USDT', 'BTC-USDT');
+      if (lastQuery().instId !== 'BTC-USDT' || 'quoteCcy' in lastQuery()) throw new Error('instId should replace quoteCcy');
+    });
+
+    // Test 6: Price limits
+    await test('Price Limit', async () => {
+      const limit = await api.getPriceLimit('BTC-USDT-SWAP');
+
+      if (limit.buyLimit !== 36700 || limit.sellLimit !== 35300 || !limit.enabled) throw new Error('Price limit not parsed');
+    });
+
+    // Test 7: Option greeks
+    await test('Option Summary', async () => {
+      const [option] = await api.getOptionSummary('BTC-USD', '250328');
+
+      if (option.symbol !== 'BTC-USD-250328-40000-C' || option.underlying !== 'BTC-USD') throw new Error('Instrument not parsed');
+      if (option.delta !== 0.52 || option.thetaBS !== -45.2 || option.markVol !== 0.49) throw new Error('Greeks not parsed');
+      if (option.realVol !== null || option.forwardPrice !== 36500) throw new Error('Optional fields not parsed');
+      if (lastQuery().instFamily !== 'BTC-USD' || lastQuery().expTime !== '250328') throw new Error('Parameters not sent');
+    });
+
+    // Test 8: Errors keep their context
+    await test('Missing Data Errors', async () => {
+      const saved = FIXTURES['/api/v5/public/funding-rate'];
+      FIXTURES['/api/v5/public/funding-rate'] = [];
+      try {
+        await api.getFundingRate('BTC-USDT');
+        throw new Error('Expected the call to fail');
+      } catch (error) {
+        if (!error.message.startsWith('Failed to fetch funding rate')) throw error;
+      } finally {
+        FIXTURES['/api/v5/public/funding-rate'] = saved;
+      }
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Derivatives market data is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDerivativesTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runDerivativesTests };
@@ -0,0 +1,245 @@
+/**
+ * Test suite for the OKX DEX aggregator methods
+ *
+ * Serves canned aggregator responses from a local HTTP stand-in and checks
+ * the request parameters and the normalized results.
+ */
+
+import http from 'http';
+import OKXDexAPI, { DEX_CHAIN_IDS } from './okx-dex-api.js';
+import { AuthenticationError } from './okx-errors.js';
+import { createTestRunner } from './test-utils.js';
+
+const CREDENTIALS = { apiKey: 'test-key', secretKey: 'test-secret', passphrase: 'test-pass', projectId: 'test-project' };
+
+const SOL = '11111111111111111111111111111111';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+const QUOTE = {
+  chainId: '501',
+  fromToken: { tokenSymbol: 'SOL', tokenContractAddress: SOL, decimal: '9', tokenUnitPrice: '150.25' },
+  toToken: { tokenSymbol: 'BONK', tokenContractAddress: BONK, decimal: '5', tokenUnitPrice: '0.0000215' },
+  fromTokenAmount: '1000000000',
+  toTokenAmount: '698834000000',
+  priceImpactPercentage: '-0.12',
+  estimateGasFee: '5000',
+  tradeFee: '0.0008',
+  dexRouterList: [{
+    router: `${SOL}--${BONK}`,
+    routerPercent: '100',
+    subRouterList: [{
+      dexProtocol: [{ dexName: 'Raydium', percent: '60' }, { dexName: 'Orca', percent: '40' }],
+      fromToken: { tokenSymbol: 'SOL', tokenContractAddress: SOL, decimal: '9' },
+      toToken: { tokenSymbol: 'BONK', tokenContractAddress: BONK, decimal: '5' }
+    }]
+  }],
+  quoteCompareList: [{ dexName: 'Raydium', amountOut: '698000000000', tradeFee: '0.001' }]
+};
+
+const ROUTES = {
+  'GET /api/v5/dex/aggregator/supported/chain': () => [
+    { chainId: '1', chainName: 'Ethereum', dexTokenApproveAddress: '0x40aA958dd87FC8305b97f2BA922CDdCa374bcD7f' },
+    { chainId: '501', chainName: 'Solana', dexTokenApproveAddress: '' }
+  ],
+  'GET /api/v5/dex/aggregator/all-tokens': () => [
+    { tokenSymbol: 'BONK', tokenName: 'Bonk', tokenContractAddress: BONK, decimals: '5', tokenLogoUrl: 'https://example.com/bonk.png' }
+  ],
+  'POST /api/v5/dex/market/price': body => body.map(token => ({
+    chainIndex: token.chainIndex,
+    tokenContractAddress: token.tokenContractAddress,
+    time: '1700000000000',
+    price: '0.0000215'
+  })),
+  'GET /api/v5/dex/aggregator/quote': () => [QUOTE],
+  'GET /api/v5/dex/aggregator/approve-transaction': () => [
+    { data: '0x095ea7b3', dexContractAddress: '0x40aA958dd87FC8305b97f2BA922CDdCa374bcD7f', gasLimit: '50000', gasPrice: '110000000' }
+  ],
+  'GET /api/v5/dex/aggregator/swap': () => [{
+    routerResult: QUOTE,
+    tx: { from: 'Wallet111', to: 'Router111', data: 'base58tx', value: '0', gas: '0', gasPrice: '0', minReceiveAmount: '695339830000', slippage: '0.005' }
+  }]
+};
+
+/**
+ * Start a local stand-in for the DEX aggregator routes
+ */
+function startDexServer() {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      received.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+      const handler = ROUTES[`${req.method} ${url.pathname}`];
+      const payload = handler
+        ? { code: '0', msg: '', data: handler(body ? JSON.parse(body) : null) }
+        : { code: '51000', msg: 'Parameter error', data: [] };
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, received, dexBaseURL: `http://127.0.0.1:${port}/api/v5/dex` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runDexTests() {
+  console.log('🧪 OKX DEX Aggregator Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const { server, received, dexBaseURL } = await startDexServer();
+  const api = new OKXDexAPI({ dexBaseURL, ...CREDENTIALS, env: false, rateLimiter: false, retry: false });
+  const lastRequest = () => received[received.length - 1];
+
+  try {
+    // Test 1: Supported chains
+    await test('Supported Chains', async () => {
+      const chains = await api.getDexChains();
+      const solana = chains.find(chain => chain.chainId === DEX_CHAIN_IDS.SOLANA);
+
+      if (chains.length !== 2) throw new Error('Expected 2 chains');
+      if (!solana || solana.chainName !== 'Solana') throw new Error('Solana chain missing');
+      if (solana.approveAddress !== null) throw new Error('Empty approve address should be null');
+    });
+
+    // Test 2: Token list
+    await test('Token List', async () => {
+      const tokens = await api.getDexTokens(DEX_CHAIN_IDS.SOLANA);
+
+      if (lastRequest().query.chainId !== '501') throw new Error('chainId not sent');
+      if (tokens[0].symbol !== 'BONK' || tokens[0].address !== BONK) throw new Error('Invalid token');
+      if (tokens[0].decimals !== 5) throw new Error('Decimals should be a number');
+    });
+
+    // Test 3: Token price by mint address
+    await test('Token Price By Mint', async () => {
+      const price = await api.getDexTokenPrice(DEX_CHAIN_IDS.SOLANA, BONK);
+
+      const body = JSON.parse(lastRequest().body);
+      if (lastRequest().method !== 'POST') throw new Error('Price lookup should POST');
+      if (body[0].chainIndex !== '501' || body[0].tokenContractAddress !== BONK) throw new Error('Invalid request body');
+      if (price.price !== 0.0000215) throw new Error('Invalid price');
+      if (price.timestamp !== 1700000000000) throw new Error('Invalid timestamp');
+    });
+
+    // Test 4: Swap quote with routes
+    await test('Swap Quote', async () => {
+      const quote = await api.getDexQuote({
+        chainId: DEX_CHAIN_IDS.SOLANA,
+        fromTokenAddress: SOL,
+        toTokenAddress: BONK,
+        amount: 1000000000
+      });
+
+      if (lastRequest().query.amount !== '1000000000') throw new Error('Amount not sent');
+      if (quote.fromToken.symbol !== 'SOL' || quote.fromToken.unitPrice !== 150.25) throw new Error('Invalid from token');
+      if (quote.toAmount !== '698834000000') throw new Error('Amounts should stay in minimal units');
+      if (quote.priceImpactPercent !== -0.12) throw new Error('Invalid price impact');
+      if (quote.routes[0].hops[0].dexes.length !== 2) throw new Error('Route breakdown missing');
+      if (quote.routes[0].hops[0].dexes[0].name !== 'Raydium') throw new Error('Invalid DEX name');
+      if (quote.comparisons[0].dexName !== 'Raydium') throw new Error('Comparison missing');
+    });
+
+    // Test 5: Approve transaction
+    await test('Approve Transaction', async () => {
+      const approval = await api.getDexApproveTransaction(DEX_CHAIN_IDS.ETHEREUM, '0xdAC17F958D2ee523a2206206994597C13D831ec7', '1000000');
+
+      if (lastRequest().query.tokenContractAddress !== '0xdAC17F958D2ee523a2206206994597C13D831ec7') throw new Error('Token not sent');
+      if (approval.spender !== '0x40aA958dd87FC8305b97f2BA922CDdCa374bcD7f') throw new Error('Invalid spender');
+      if (approval.data !== '0x095ea7b3') throw new Error('Invalid approve data');
+    });
+
+    // Test 6: Swap transaction
+    await test('Swap Transaction', async () => {
+      const swap = await api.getDexSwap({
+        chainId: DEX_CHAIN_IDS.SOLANA,
+        fromTokenAddress: SOL,
+        toTokenAddress: BONK,
+        amount: '1000000000',
+        slippage: '0.005',
+        userWalletAddress: 'Wallet111'
+      });
+
+      if (lastRequest().query.userWalletAddress !== 'Wallet111') throw new Error('Wallet not sent');
+      if (swap.tx.minReceiveAmount !== '695339830000') throw new Error('Invalid min receive amount');
+      if (swap.tx.slippage !== 0.005) throw new Error('Invalid slippage');
+      if (swap.quote.toToken.symbol !== 'BONK') throw new Error('Router result not normalized');
+    });
+
+    // Test 7: API errors are surfaced
+    await test('API Error Handling', async () => {
+      api.dexBaseURL = `${dexBaseURL}/missing`;
+      let error = null;
+      try {
+        await api.getDexTokens(DEX_CHAIN_IDS.SOLANA);
+      } catch (e) {
+        error = e;
+      } finally {
+        api.dexBaseURL = dexBaseURL;
+      }
+
+      if (!error) throw new Error('Unknown route should fail');
+      if (!error.message.startsWith('Failed to fetch DEX tokens')) throw new Error(`Unexpected error: ${error.message}`);
+    });
+
+    // Test 8: Requests are signed for the project
+    await test('Credentials And Project ID', async () => {
+      await api.getDexChains();
+      const { headers } = lastRequest();
+      if (headers['ok-access-project'] !== 'test-project' || !headers['ok-access-sign'] || headers['ok-access-key'] !== 'test-key') {
+        throw new Error(`Missing DEX headers: ${JSON.stringify(headers)}`);
+      }
+
+      const sent = received.length;
+      const failures = [];
+      const anonymous = new OKXDexAPI({ dexBaseURL, env: false, rateLimiter: false, retry: false });
+      const noProject = new OKXDexAPI({ dexBaseURL, ...CREDENTIALS, projectId: undefined, env: false, rateLimiter: false, retry: false });
+      await anonymous.getDexTokens(DEX_CHAIN_IDS.SOLANA).catch(error => failures.push(error));
+      await noProject.getDexQuote({ chainId: DEX_CHAIN_IDS.SOLANA, fromTokenAddress: SOL, toTokenAddress: BONK, amount: '1' }).catch(error => failures.push(error));
+      if (failures.length !== 2 || !failures.every(error => error instanceof AuthenticationError) || !failures[1].message.includes('projectId')) {
+        throw new Error(`Expected authentication errors, got ${failures.map(error => error.message)}`);
+      }
+
+      const empty = await api.getDexTokenPrices(DEX_CHAIN_IDS.SOLANA, []).then(() => null, error => error);
+      if (!empty || !empty.message.includes('at least one token') || received.length !== sent) throw new Error('Empty token lists should be rejected before sending');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! DEX aggregator methods are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDexTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runDexTests };
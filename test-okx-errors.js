@@ -0,0 +1,228 @@
+/**
+ * Test suite for typed OKX errors and the retry policy
+ *
+ * Uses a local HTTP stand-in that replies with scripted error codes, HTTP
+ * statuses and delays.
+ */
+
+import http from 'http';
+import OKXDexAPI from './okx-dex-api.js';
+import RetryPolicy from './retry-policy.js';
+import {
+  OKXError,
+  RateLimitError,
+  InvalidInstrumentError,
+  ServerBusyError,
+  NetworkTimeoutError,
+  SystemMaintenanceError,
+  AuthenticationError,
+  errorFromResponse,
+  errorFromAxios
+} from './okx-errors.js';
+import { createTestRunner, expectError } from './test-utils.js';
+
+const TICKER = {
+  instId: 'BTC-USDT', last: '100', open24h: '90', high24h: '110', low24h: '80',
+  vol24h: '1000', volCcy24h: '100000', ts: '1700000000000'
+};
+
+/**
+ * Start a local stand-in that plays back a script of replies, one per request
+ * Each step is { code, msg } for an OKX error, { status, headers } for an HTTP
+ * error, { delay } to stall, or null for a successful ticker.
+ */
+function startScriptedServer() {
+  const state = { script: [], hits: 0 };
+
+  const server = http.createServer((req, res) => {
+    const step = state.script[state.hits] ?? null;
+    state.hits++;
+
+    const reply = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (step === null) {
+      return reply(200, { code: '0', msg: '', data: [TICKER] });
+    }
+    if (step.delay) {
+      return setTimeout(() => reply(200, { code: '0', msg: '', data: [TICKER] }), step.delay);
+    }
+    if (step.status) {
+      return reply(step.status, { code: step.code || '', msg: step.msg || 'error', data: [] }, step.headers);
+    }
+    reply(200, { code: step.code, msg: step.msg, data: [] });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        state,
+        baseURL: `http://127.0.0.1:${server.address().port}/api/v5`,
+        play: script => {
+          state.script = script;
+          state.hits = 0;
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runErrorTests() {
+  console.log('🧪 OKX Errors And Retry Policy Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Code mapping
+  await test('Error Code Classification', async () => {
+    const cases = [
+      [{ code: '50011', msg: 'Too Many Requests' }, {}, RateLimitError],
+      [{ code: '51001', msg: 'Instrument ID does not exist' }, {}, InvalidInstrumentError],
+      [{ code: '50013', msg: 'Systems are busy' }, {}, ServerBusyError],
+      [{ code: '50005', msg: 'API is offline or unavailable' }, {}, SystemMaintenanceError],
+      [{ code: '50113', msg: 'Invalid Sign' }, {}, AuthenticationError],
+      [{ code: '51000', msg: 'Parameter instId error' }, {}, OKXError],
+      [{}, { httpStatus: 429 }, RateLimitError],
+      [{}, { httpStatus: 502 }, ServerBusyError],
+      [{}, { httpStatus: 503 }, SystemMaintenanceError]
+    ];
+
+    for (const [body, details, ErrorClass] of cases) {
+      const error = errorFromResponse(body, details);
+      if (error.constructor !== ErrorClass) {
+        throw new Error(`${body.code || details.httpStatus} mapped to ${error.name}, expected ${ErrorClass.name}`);
+      }
+    }
+
+    const limited = errorFromResponse({ code: '50011', msg: 'Too Many Requests' }, { httpStatus: 429, route: '/market/ticker' });
+    if (!limited.retryable || limited.httpStatus !== 429 || limited.route !== '/market/ticker') {
+      throw new Error('Error details not kept');
+    }
+  });
+
+  // Test 2: Network failures
+  await test('Network Error Classification', async () => {
+    const timeout = errorFromAxios(Object.assign(new Error('timeout of 50ms exceeded'), { code: 'ECONNABORTED' }));
+    if (!(timeout instanceof NetworkTimeoutError) || !timeout.retryable) throw new Error('Timeout not retryable');
+
+    const unknown = errorFromAxios(new Error('boom'));
+    if (unknown.constructor !== OKXError || unknown.retryable) throw new Error('Unknown errors should not be retried');
+  });
+
+  // Test 3: Backoff schedule
+  await test('Exponential Backoff With Jitter', async () => {
+    const policy = new RetryPolicy({ maxRetries: 5, baseDelay: 100, maxDelay: 1000 });
+    const retryable = new ServerBusyError('busy');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const expected = Math.min(100 * 2 ** attempt, 1000);
+      const delay = policy.getDelay(retryable, attempt);
+      if (delay < expected / 2 || delay > expected) throw new Error(`Attempt ${attempt} delay ${delay} outside [${expected / 2}, ${expected}]`);
+    }
+
+    if (policy.getDelay(retryable, 5) !== null) throw new Error('Should stop after maxRetries');
+    if (policy.getDelay(new InvalidInstrumentError('bad'), 0) !== null) throw new Error('Non-retryable errors must not retry');
+
+    const withRetryAfter = new RateLimitError('slow down', { retryAfter: 800 });
+    if (policy.getDelay(withRetryAfter, 0) < 800) throw new Error('Retry-After not honoured');
+  });
+
+  const { server, state, baseURL, play } = await startScriptedServer();
+  const createApi = (options = {}) => {
+    const api = new OKXDexAPI({ rateLimiter: false, retry: { baseDelay: 10, maxDelay: 50 }, ...options });
+    api.baseURL = baseURL;
+    return api;
+  };
+
+  try {
+    // Test 4: Transient errors are retried
+    await test('Retry Transient Errors', async () => {
+      play([{ code: '50011', msg: 'Too Many Requests' }, { code: '50013', msg: 'Systems are busy' }]);
+      const ticker = await createApi().getTicker('BTC-USDT');
+
+      if (ticker.lastPrice !== 100) throw new Error('Retry did not return the ticker');
+      if (state.hits !== 3) throw new Error(`Expected 3 requests, got ${state.hits}`);
+    });
+
+    // Test 5: Bad symbols fail fast
+    await test('Invalid Instrument Not Retried', async () => {
+      play([{ code: '51001', msg: 'Instrument ID does not exist' }]);
+      const error = await expectError(createApi().getTicker('NOPE-USDT'));
+
+      if (!(error instanceof InvalidInstrumentError)) throw new Error(`Got ${error.name}`);
+      if (state.hits !== 1) throw new Error('Invalid instrument should not be retried');
+      if (error.code !== '51001' || error.route !== '/market/ticker') throw new Error('Error details lost');
+      if (!error.message.startsWith('Failed to fetch ticker: OKX error 51001')) throw new Error(`Unexpected message: ${error.message}`);
+    });
+
+    // Test 6: Retries are bounded
+    await test('HTTP 429 Retries Exhausted', async () => {
+      play([1, 2, 3, 4].map(() => ({ status: 429, code: '50011', msg: 'Too Many Requests', headers: { 'Retry-After': '0.02' } })));
+      const error = await expectError(createApi({ retry: { maxRetries: 2, baseDelay: 5 } }).getOrderBook('BTC-USDT'));
+
+      if (!(error instanceof RateLimitError)) throw new Error(`Got ${error.name}`);
+      if (error.httpStatus !== 429) throw new Error('HTTP status lost');
+      if (error.attempts !== 3 || state.hits !== 3) throw new Error(`Expected 3 attempts, got ${error.attempts}`);
+    });
+
+    // Test 7: Timeouts
+    await test('Network Timeout', async () => {
+      play([{ delay: 200 }, { delay: 200 }]);
+      const api = createApi({ retry: { maxRetries: 1, baseDelay: 5 } });
+      api.client.defaults.timeout = 50;
+
+      const error = await expectError(api.getTicker('BTC-USDT'));
+      if (!(error instanceof NetworkTimeoutError)) throw new Error(`Got ${error.name}`);
+      if (error.attempts !== 2) throw new Error('Timeout should be retried once');
+    });
+
+    // Test 8: Maintenance is not retried
+    await test('System Maintenance Not Retried', async () => {
+      play([{ status: 503, msg: 'Service Unavailable' }]);
+      const error = await expectError(createApi().get24hStats('SPOT'));
+
+      if (!(error instanceof SystemMaintenanceError)) throw new Error(`Got ${error.name}`);
+      if (state.hits !== 1) throw new Error('Maintenance should not be retried');
+    });
+
+    // Test 9: Retries can be disabled
+    await test('Retries Disabled', async () => {
+      play([{ code: '50013', msg: 'Systems are busy' }]);
+      const error = await expectError(createApi({ retry: false }).getTicker('BTC-USDT'));
+
+      if (!(error instanceof ServerBusyError) || !error.retryable) throw new Error('Error should still be typed as retryable');
+      if (state.hits !== 1) throw new Error('No retry expected');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Typed errors and retries are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runErrorTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runErrorTests };
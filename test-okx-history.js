@@ -0,0 +1,177 @@
+/**
+ * Test suite for paginated candle and trade history
+ *
+ * A local HTTP stand-in serves synthetic history with the same `after`
+ * cursor semantics as /market/history-candles and /market/history-trades.
+ */
+
+import http from 'http';
+import OKXDexAPI, { findCandleGaps, findTradeGaps } from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const MINUTE = 60000;
+const START = 1700000000000 - (1700000000000 % MINUTE);
+const CANDLE_COUNT = 250;
+const MISSING_MINUTE = START + 120 * MINUTE;
+
+// One candle per minute, except MISSING_MINUTE
+const CANDLES = [];
+for (let i = 0; i < CANDLE_COUNT; i++) {
+  const ts = START + i * MINUTE;
+  if (ts === MISSING_MINUTE) continue;
+  CANDLES.push([String(ts), '100', '101', '99', String(100 + i / 100), '5', '500', '500', '1']);
+}
+CANDLES.reverse();
+
+// Three trades per second sharing timestamps, trade IDs 1000-1299 except 1150-1152
+const TRADES = [];
+for (let id = 1000; id < 1300; id++) {
+  if (id >= 1150 && id <= 1152) continue;
+  TRADES.push({ instId: 'BTC-USDT', tradeId: String(id), px: '100', sz: '0.1', side: id % 2 ? 'buy' : 'sell', ts: String(START + Math.floor((id - 1000) / 3) * 1000) });
+}
+TRADES.reverse();
+
+/**
+ * Start a local stand-in for the history routes
+ * Pages overlap by one row to exercise de-duplication.
+ */
+function startHistoryServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    requests.push({ path: url.pathname, query });
+
+    const limit = parseInt(query.limit) || 100;
+    let data = [];
+
+    if (url.pathname === '/api/v5/market/history-candles') {
+      const after = parseInt(query.after);
+      const index = CANDLES.findIndex(candle => parseInt(candle[0]) < after);
+      data = index === -1 ? [] : CANDLES.slice(Math.max(0, index - 1), index - 1 + limit);
+    } else if (url.pathname === '/api/v5/market/history-trades') {
+      const after = parseInt(query.after);
+      const index = query.type === '1'
+        ? TRADES.findIndex(trade => parseInt(trade.tradeId) < after)
+        : TRADES.findIndex(trade => parseInt(trade.ts) < after);
+      data = index === -1 ? [] : TRADES.slice(Math.max(0, index - 1), index - 1 + limit);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code: '0', msg: '', data }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runHistoryTests() {
+  console.log('🧪 OKX Paginated History Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Gap helpers
+  await test('Gap Detection Helpers', async () => {
+    const gaps = findCandleGaps([{ timestamp: 0 }, { timestamp: MINUTE }, { timestamp: 4 * MINUTE }], '1m');
+    if (gaps.length !== 1 || gaps[0].missing !== 2 || gaps[0].from !== 2 * MINUTE || gaps[0].to !== 3 * MINUTE) {
+      throw new Error(`Unexpected candle gaps: ${JSON.stringify(gaps)}`);
+    }
+    if (findCandleGaps([{ timestamp: 0 }, { timestamp: 1e10 }], '1M').length !== 0) throw new Error('Monthly bars should be skipped');
+
+    const tradeGaps = findTradeGaps([{ tradeId: '10' }, { tradeId: '14' }, { tradeId: '11' }]);
+    if (tradeGaps.length !== 1 || tradeGaps[0].missing !== 2 || tradeGaps[0].afterTradeId !== '11') {
+      throw new Error(`Unexpected trade gaps: ${JSON.stringify(tradeGaps)}`);
+    }
+  });
+
+  const { server, requests, baseURL } = await startHistoryServer();
+  const api = new OKXDexAPI({ rateLimiter: false });
+  api.baseURL = baseURL;
+
+  try {
+    // Test 2: Candle range across pages
+    await test('Candle Range Pagination', async () => {
+      requests.length = 0;
+      const from = START + 10 * MINUTE;
+      const to = START + 240 * MINUTE;
+      const { candles, gaps } = await api.getCandlesticksRange('BTC-USDT', '1m', from, to);
+
+      if (candles.length !== 230) throw new Error(`Expected 230 candles, got ${candles.length}`);
+      if (candles[0].timestamp !== to) throw new Error('First candle should be the range end');
+      if (candles[candles.length - 1].timestamp !== from) throw new Error('Last candle should be the range start');
+      if (new Set(candles.map(candle => candle.timestamp)).size !== candles.length) throw new Error('Duplicate candles');
+      if (requests.length < 3) throw new Error('Range should span several pages');
+      if (requests.some(request => request.path !== '/api/v5/market/history-candles')) throw new Error('Wrong route');
+      if (gaps.length !== 1 || gaps[0].from !== MISSING_MINUTE || gaps[0].missing !== 1) {
+        throw new Error(`Unexpected gaps: ${JSON.stringify(gaps)}`);
+      }
+    });
+
+    // Test 3: Streaming can stop early
+    await test('Candle Stream Early Exit', async () => {
+      requests.length = 0;
+      let count = 0;
+      for await (const candle of api.streamCandlesticksRange('BTC-USDT', '1m', START, START + 249 * MINUTE)) {
+        if (candle.timestamp === undefined) throw new Error('Invalid candle');
+        if (++count === 5) break;
+      }
+      if (requests.length !== 1) throw new Error('Breaking out should stop fetching pages');
+    });
+
+    // Test 4: Trade range with cursor switch
+    await test('Trade Range Pagination', async () => {
+      requests.length = 0;
+      const from = START + 10 * 1000;
+      const to = START + 90 * 1000;
+      const { trades, gaps } = await api.getTradesRange('BTC-USDT', from, to);
+
+      const expected = TRADES.filter(trade => parseInt(trade.ts) >= from && parseInt(trade.ts) <= to).length;
+      if (trades.length !== expected) throw new Error(`Expected ${expected} trades, got ${trades.length}`);
+      if (new Set(trades.map(trade => trade.tradeId)).size !== trades.length) throw new Error('Duplicate trades');
+      if (requests[0].query.type !== '2') throw new Error('First page should use the timestamp cursor');
+      if (requests[1].query.type !== '1') throw new Error('Later pages should use the trade ID cursor');
+      if (gaps.length !== 1 || gaps[0].afterTradeId !== '1149' || gaps[0].missing !== 3) {
+        throw new Error(`Unexpected gaps: ${JSON.stringify(gaps)}`);
+      }
+    });
+
+    // Test 5: Empty range
+    await test('Range Before Available History', async () => {
+      const { candles, gaps } = await api.getCandlesticksRange('BTC-USDT', '1m', START - 100 * MINUTE, START - MINUTE);
+      if (candles.length !== 0 || gaps.length !== 0) throw new Error('Expected no candles');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Paginated history is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runHistoryTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runHistoryTests };
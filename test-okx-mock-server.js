@@ -0,0 +1,298 @@
+/**
+ * Test suite for the local OKX mock server
+ *
+ * Points OKXDexAPI and the keeper service at the mock and drives them
+ * through price shocks, fixed books, injected errors, latency and 429s.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import OKXDexAPI from './okx-dex-api.js';
+import OKXMockServer, { SCENARIOS } from './okx-mock-server.js';
+import {
+  InvalidInstrumentError,
+  NetworkTimeoutError,
+  RateLimitError,
+  ServerBusyError
+} from './okx-errors.js';
+import { createTestRunner, expectError } from './test-utils.js';
+
+/**
+ * Find a free local port
+ */
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run a script until it prints `pattern`, then stop it with SIGINT
+ * @returns {Promise<string>} Output printed before the pattern matched
+ */
+function runUntil(script, args, pattern, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGINT');
+      reject(new Error(`No output matching ${pattern} from ${script}: ${output}`));
+    }, timeout);
+    const collect = chunk => {
+      output += chunk;
+      if (pattern.test(output)) {
+        clearTimeout(timer);
+        child.kill('SIGINT');
+        resolve(output);
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      // No-op once the pattern matched
+      reject(new Error(`${script} exited with code ${code} before printing ${pattern}: ${output}`));
+    });
+  });
+}
+
+/**
+ * Run a script to completion
+ * @returns {Promise<Object>} { code, output } with stdout and stderr combined
+ */
+function runToExit(script, args, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGINT');
+      reject(new Error(`${script} did not exit: ${output}`));
+    }, timeout);
+    child.stdout.on('data', chunk => (output += chunk));
+    child.stderr.on('data', chunk => (output += chunk));
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runMockServerTests() {
+  console.log('🧪 OKX Mock Server Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const mock = new OKXMockServer({ scenario: { seed: 7 } });
+  const baseURL = await mock.start();
+  const api = new OKXDexAPI({ baseURL, rateLimiter: false, retry: false });
+
+  try {
+    // Test 1: Every market route the client uses
+    await test('Market Routes', async () => {
+      const ticker = await api.getTicker('BTC-USDT');
+      const book = await api.getOrderBook('BTC-USDT', 5);
+      const trades = await api.getRecentTrades('BTC-USDT', 10);
+      const candles = await api.getCandlesticks('ETH-USDT', '1H', 24);
+      const instruments = await api.getInstruments('SWAP');
+      const { tickers, errors } = await api.getTickersBulk(['BTC-USDT', 'SOL/USDC', 'ETH-USDT-SWAP']);
+
+      if (ticker.symbol !== 'BTC-USDT' || !(ticker.lastPrice > 0)) throw new Error('Ticker not served');
+      if (book.bids.length !== 5 || book.bids[0].price >= book.asks[0].price) throw new Error('Book not served');
+      if (trades.length !== 3 || trades[0].tradeId !== '3') throw new Error('Each read should add a trade, newest first');
+      if (candles.length !== 24 || candles[0].timestamp <= candles[1].timestamp) throw new Error('Candles should be newest first');
+      if (candles[0].confirmed || !candles[1].confirmed) throw new Error('Only the current candle is unconfirmed');
+      if (instruments.map(i => i.symbol).join() !== 'BTC-USDT-SWAP,ETH-USDT-SWAP') throw new Error('Instruments not filtered');
+      if (tickers.length !== 3 || Object.keys(errors).length !== 0) throw new Error('Bulk tickers not served');
+
+      const unknown = await expectError(api.getTicker('NOPE-USDT'));
+      if (!(unknown instanceof InvalidInstrumentError)) throw new Error('Unknown instruments should get code 51001');
+    });
+
+    // Test 2: Seeded random walk
+    await test('Deterministic Random Walk', async () => {
+      const other = new OKXMockServer({ scenario: { seed: 7 } });
+      const otherApi = new OKXDexAPI({ baseURL: await other.start(), rateLimiter: false, retry: false });
+      mock.setScenario({ seed: 7 });
+
+      const prices = [];
+      const otherPrices = [];
+      for (let i = 0; i < 5; i++) {
+        prices.push((await api.getTicker('BTC-USDT')).lastPrice);
+        otherPrices.push((await otherApi.getTicker('BTC-USDT')).lastPrice);
+      }
+      const candles = await api.getCandlesticks('BTC-USDT', '1D', 5);
+      const otherCandles = await otherApi.getCandlesticks('BTC-USDT', '1D', 5);
+      await other.stop();
+
+      if (prices.join() !== otherPrices.join()) throw new Error('Same seed should give the same walk');
+      if (new Set(prices).size < 2) throw new Error('Prices should move');
+      if (JSON.stringify(candles.slice(1)) !== JSON.stringify(otherCandles.slice(1))) throw new Error('Closed candles should match');
+    });
+
+    // Test 3: Fixed books and price shocks
+    await test('Fixed Books And Price Shocks', async () => {
+      mock.setScenario('fixed-books');
+      const book = await api.getOrderBook('BTC-USDT', 2);
+      if (book.bids.map(level => level.price).join() !== '64999.9,64999' || book.asks[0].size !== 0.5) {
+        throw new Error('Fixed book not served');
+      }
+
+      const before = await api.getTicker('ETH-USDT');
+      const steady = await api.getTicker('ETH-USDT');
+      mock.shock('ETH-USDT', -20);
+      const after = await api.getTicker('ETH-USDT');
+
+      if (steady.lastPrice !== before.lastPrice) throw new Error('Fixed prices should not move');
+      if (after.lastPrice !== 2800 || after.low24h !== 2800 || after.changePercent24h !== -20) throw new Error(`Shock not applied: ${after.lastPrice}`);
+    });
+
+    // Test 4: Injected errors
+    await test('Injected Error Codes', async () => {
+      mock.setScenario({ seed: 7 });
+      mock.inject({ route: '/market/ticker', instId: 'BTC-USDT', code: '50013', msg: 'Systems are busy', times: 2 });
+
+      const first = await expectError(api.getTicker('BTC-USDT'));
+      const other = await api.getTicker('ETH-USDT');
+      const second = await expectError(api.getTicker('BTC-USDT'));
+      const recovered = await api.getTicker('BTC-USDT');
+
+      if (!(first instanceof ServerBusyError) || !(second instanceof ServerBusyError)) throw new Error('Expected ServerBusyError');
+      if (other.symbol !== 'ETH-USDT' || recovered.symbol !== 'BTC-USDT') throw new Error('Rule should only match its instrument and times');
+
+      const retrying = new OKXDexAPI({ baseURL, rateLimiter: false, retry: { baseDelay: 1, jitter: false } });
+      mock.inject({ route: '/market/books', code: '50001', times: 2 });
+      const book = await retrying.getOrderBook('BTC-USDT');
+      if (book.bids.length !== 20) throw new Error(`Retries should recover, got ${book.bids.length} levels`);
+
+      mock.setScenario('outage');
+      const outage = await expectError(api.getOrderBook('BTC-USDT'));
+      if (!(outage instanceof ServerBusyError) || outage.httpStatus !== 503) throw new Error(`Unexpected outage error: ${outage.name}`);
+    });
+
+    // Test 5: 429s and latency
+    await test('Rate Limits And Latency', async () => {
+      mock.setScenario({ rateLimit: { requests: 2, interval: 60000 } });
+      await api.getTicker('BTC-USDT');
+      await api.getTicker('BTC-USDT');
+      const limited = await expectError(api.getTicker('BTC-USDT'));
+      if (!(limited instanceof RateLimitError) || limited.httpStatus !== 429) throw new Error('Expected HTTP 429');
+      await api.getOrderBook('BTC-USDT');
+
+      mock.setScenario({ latency: { '/market/books': 200 } });
+      const impatient = new OKXDexAPI({ baseURL, rateLimiter: false, retry: false });
+      impatient.client.defaults.timeout = 50;
+      await impatient.getTicker('BTC-USDT');
+      const slow = await expectError(impatient.getOrderBook('BTC-USDT'));
+      if (!(slow instanceof NetworkTimeoutError)) throw new Error(`Expected a timeout, got ${slow.name}`);
+    });
+
+    // Test 6: Control routes for out-of-process use
+    await test('HTTP Control Routes', async () => {
+      const origin = baseURL.replace('/api/v5', '');
+      const post = (path, body) => fetch(`${origin}${path}`, { method: 'POST', body: JSON.stringify(body) });
+
+      await post('/__mock/scenario', { name: 'fixed-books' });
+      await post('/__mock/price', { instId: 'SOL-USDT', price: 123.45 });
+      await post('/__mock/inject', { route: '/market/trades', code: '51001', times: 1 });
+      const unknown = await post('/__mock/scenario', { name: 'nope' });
+
+      if ((await api.getTicker('SOL-USDT')).lastPrice !== 123.45) throw new Error('Price not set');
+      if (!((await expectError(api.getRecentTrades('SOL-USDT'))) instanceof InvalidInstrumentError)) throw new Error('Error not injected');
+      if (unknown.status !== 400) throw new Error('Unknown scenarios should be rejected');
+      if (Object.keys(SCENARIOS).length !== 5) throw new Error('Built-in scenarios missing');
+    });
+
+    // Test 7: Keeper service end to end
+    await test('Keeper Service Against The Mock', async () => {
+      const KeeperService = (await import('./solana-keeper-service/keeper-service.js')).default;
+      const createKeeper = config => new KeeperService({
+        okxBaseURL: baseURL, enableBinance: false, enableCoinGecko: false, enableLogging: false, ...config
+      });
+
+      mock.setScenario('fixed-books');
+      const keeper = createKeeper();
+      const prices = await keeper.fetchPrices();
+      if (!prices.get('BTC/USDT').price.equals(65000)) throw new Error('Keeper should read the mock price');
+
+      mock.shock('BTC-USDT', 5);
+      const shocked = await keeper.fetchPrices();
+      if (!keeper.shouldUpdatePrice('BTC/USDT', shocked.get('BTC/USDT'), prices.get('BTC/USDT'))) {
+        throw new Error('A 5% shock should trigger an update');
+      }
+
+      mock.setBook('BTC-USDT', { bids: [['64990', '10']], asks: [['65100', '10']] });
+      const impact = await createKeeper({ okxPriceMode: 'impact' }).fetchOKXPrices();
+      if (Math.abs(impact.get('BTC/USDT') - 65045) > 1e-6) throw new Error(`Impact price should come from the book, got ${impact.get('BTC/USDT')}`);
+
+      mock.setScenario('outage');
+      const outage = await keeper.fetchPrices();
+      if (outage.size !== 0) throw new Error('An OKX outage should leave no prices');
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  // Test 8: Standalone server started through a symlink
+  await test('Standalone Through A Symlink', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'okx mock '));
+    try {
+      const link = path.join(directory, 'okx mock.js');
+      fs.symlinkSync(fileURLToPath(new URL('./okx-mock-server.js', import.meta.url)), link);
+      const port = await freePort();
+      const output = await runUntil(link, ['--port', String(port), '--scenario', 'fixed-books'], /listening on/);
+      if (!output.includes(`http://127.0.0.1:${port}/api/v5`)) throw new Error(`Unexpected output: ${output}`);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  // Test 9: A busy port is reported instead of crashing
+  await test('Standalone On A Busy Port', async () => {
+    const busy = net.createServer();
+    await new Promise(resolve => busy.listen(0, '127.0.0.1', resolve));
+    try {
+      const { port } = busy.address();
+      const script = fileURLToPath(new URL('./okx-mock-server.js', import.meta.url));
+      const { code, output } = await runToExit(script, ['--port', String(port)]);
+      if (code !== 1 || !output.includes(`cannot listen on 127.0.0.1:${port}`) || !output.includes('EADDRINUSE') || output.includes('Unhandled')) {
+        throw new Error(`Unexpected exit ${code}: ${output}`);
+      }
+    } finally {
+      busy.close();
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Mock server is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMockServerTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runMockServerTests };
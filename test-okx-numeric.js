@@ -0,0 +1,155 @@
+/**
+ * Test suite for the numeric modes
+ *
+ * A local HTTP stand-in serves small-cap prices that do not survive a round
+ * trip through floats.
+ */
+
+import http from 'http';
+import Decimal from 'decimal.js';
+import OKXDexAPI, { normalizeBookLevel } from './okx-dex-api.js';
+import LocalOrderBook from './local-order-book.js';
+import { createNumberParser } from './numeric.js';
+import { createTestRunner } from './test-utils.js';
+
+const TICKER = {
+  instId: 'PEPE-USDT', last: '0.000012345678901234', open24h: '0.000012', high24h: '0.0000125',
+  low24h: '0.0000119', vol24h: '123456789012345.123456', volCcy24h: '1500000.1', ts: '1700000000000'
+};
+
+const BOOK = {
+  bids: [['0.000012345', '1000000000.5', '0', '3']],
+  asks: [['0.000012346', '2000000000.25', '0', '4']],
+  ts: '1700000000000'
+};
+
+/**
+ * Start a local stand-in for the ticker and books routes
+ */
+function startNumericServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const data = url.pathname.endsWith('/market/books') ? [BOOK] : [TICKER];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code: '0', msg: '', data }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runNumericTests() {
+  console.log('🧪 Numeric Mode Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Parser behaviour per mode
+  await test('Number Parser Modes', async () => {
+    const number = createNumberParser();
+    const string = createNumberParser('string');
+    const decimal = createNumberParser('Decimal');
+
+    if (number.parse('0.1') !== 0.1 || string.parse('0.10') !== '0.10' || !decimal.parse('0.1').equals('0.1')) throw new Error('Parse failed');
+    if (number.parseOptional('') !== null || string.parseOptional('', '0') !== '0') throw new Error('Empty fields not handled');
+    if (string.subtract('0.3', '0.1') !== '0.2') throw new Error('Subtraction not exact');
+    if (number.subtract('0.3', '0.1') !== 0.2) throw new Error('Number mode should round only once');
+    if (string.percentChange('110', '100') !== '10') throw new Error('Percentage not exact');
+
+    let threw = false;
+    try {
+      createNumberParser('bigint');
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error('Unknown modes should be rejected');
+  });
+
+  const { server, baseURL } = await startNumericServer();
+  const createApi = numeric => {
+    const api = new OKXDexAPI({ rateLimiter: false, retry: false, numeric });
+    api.baseURL = baseURL;
+    return api;
+  };
+
+  try {
+    // Test 2: Default mode keeps numbers, including the percentage
+    await test('Number Mode Ticker', async () => {
+      const ticker = await createApi().getTicker('PEPE-USDT');
+
+      if (typeof ticker.lastPrice !== 'number' || typeof ticker.changePercent24h !== 'number') throw new Error('Expected numbers');
+      if (ticker.changePercent24h.toFixed(6) !== '2.880658') throw new Error(`Unexpected change: ${ticker.changePercent24h}`);
+      if (ticker.timestamp !== 1700000000000) throw new Error('Timestamp should stay a number');
+    });
+
+    // Test 3: String mode is lossless
+    await test('String Mode Ticker', async () => {
+      const ticker = await createApi('string').getTicker('PEPE-USDT');
+
+      if (ticker.lastPrice !== '0.000012345678901234') throw new Error(`Price changed: ${ticker.lastPrice}`);
+      if (ticker.volume24h !== '123456789012345.123456') throw new Error('Volume changed');
+      if (ticker.change24h !== '0.000000345678901234') throw new Error(`Unexpected change: ${ticker.change24h}`);
+      if (!new Decimal(ticker.changePercent24h).equals(new Decimal('0.000000345678901234').dividedBy('0.000012').times(100))) {
+        throw new Error(`Percentage not exact: ${ticker.changePercent24h}`);
+      }
+    });
+
+    // Test 4: Decimal mode
+    await test('Decimal Mode Ticker And Book', async () => {
+      const api = createApi('decimal');
+      const ticker = await api.getTicker('PEPE-USDT');
+      if (!Decimal.isDecimal(ticker.lastPrice) || !ticker.lastPrice.equals('0.000012345678901234')) throw new Error('Expected a Decimal price');
+      if (!ticker.high24h.minus(ticker.low24h).equals('0.0000006')) throw new Error('Decimal arithmetic lost precision');
+
+      const book = await api.getOrderBook('PEPE-USDT');
+      if (!book.bids[0].size.equals('1000000000.5') || book.asks[0].orders !== 0) throw new Error('Book levels not parsed');
+
+      // Levels without an order count get a zero of the same type as the other fields
+      const decimalLevel = normalizeBookLevel(['0.1', '2'], createNumberParser('decimal'));
+      const stringLevel = normalizeBookLevel(['0.1', '2'], createNumberParser('string'));
+      if (!Decimal.isDecimal(decimalLevel.total) || !decimalLevel.total.isZero() || stringLevel.total !== '0' || normalizeBookLevel(['0.1', '2']).total !== 0) {
+        throw new Error(`Missing totals should be zero: ${JSON.stringify([decimalLevel, stringLevel])}`);
+      }
+    });
+
+    // Test 5: Local order book output
+    await test('Local Order Book Numeric Mode', async () => {
+      const local = new LocalOrderBook('PEPE-USDT', { verifyChecksum: false, numeric: 'string' });
+      local.applySnapshot(BOOK);
+      if (local.getBestBid().price !== '0.000012345' || local.getDepth(1).asks[0].size !== '2000000000.25') {
+        throw new Error('Levels should keep the exact strings');
+      }
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Numeric modes are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runNumericTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runNumericTests };
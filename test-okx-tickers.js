@@ -0,0 +1,151 @@
+/**
+ * Test suite for bulk ticker fetching
+ *
+ * A local HTTP stand-in serves /market/tickers per instrument type and can
+ * fail one type to check per-symbol error reporting.
+ */
+
+import http from 'http';
+import OKXDexAPI, { inferInstType } from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const ticker = (instId, last) => ({
+  instId, last, open24h: '100', high24h: '110', low24h: '90', vol24h: '1', volCcy24h: '1', ts: '1700000000000'
+});
+
+const TICKERS = {
+  SPOT: [ticker('BTC-USDT', '100'), ticker('ETH-USDT', '101'), ticker('SOL-USDC', '102')],
+  SWAP: [ticker('BTC-USDT-SWAP', '103'), ticker('ETH-USDT-SWAP', '104')],
+  OPTION: [ticker('BTC-USD-250328-40000-C', '0.05')]
+};
+
+/**
+ * Start a local stand-in for /market/tickers
+ */
+function startTickersServer() {
+  const state = { requests: [], failing: null };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    state.requests.push({ path: url.pathname, query });
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (query.instType === state.failing) {
+      res.end(JSON.stringify({ code: '50013', msg: 'Systems are busy', data: [] }));
+      return;
+    }
+    if (query.instType === 'OPTION' && !query.uly) {
+      res.end(JSON.stringify({ code: '51000', msg: 'Parameter uly error', data: [] }));
+      return;
+    }
+    res.end(JSON.stringify({ code: '0', msg: '', data: TICKERS[query.instType] || [] }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runTickersTests() {
+  console.log('🧪 OKX Bulk Tickers Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Type inference
+  await test('Instrument Type Inference', async () => {
+    const cases = {
+      'BTC-USDT': 'SPOT',
+      'btc/usdt': 'SPOT',
+      'BTC-USDT-SWAP': 'SWAP',
+      'BTC-USD-250328': 'FUTURES',
+      'BTC-USD-250328-40000-C': 'OPTION'
+    };
+    for (const [instId, expected] of Object.entries(cases)) {
+      if (inferInstType(instId) !== expected) throw new Error(`${instId} inferred as ${inferInstType(instId)}`);
+    }
+  });
+
+  const { server, state, baseURL } = await startTickersServer();
+  const api = new OKXDexAPI({ rateLimiter: false, retry: false });
+  api.baseURL = baseURL;
+
+  try {
+    // Test 2: One request per type
+    await test('Mixed Types In One Call Per Type', async () => {
+      state.requests = [];
+      const symbols = ['ETH-USDT-SWAP', 'BTC-USDT', 'BTCUSDT', 'SOL/USDC', 'BTC-USD-250328-40000-C'];
+      const { tickers, errors } = await api.getTickersBulk(symbols);
+
+      if (state.requests.length !== 3) throw new Error(`Expected 3 requests, got ${state.requests.length}`);
+      if (state.requests.some(request => request.path !== '/api/v5/market/tickers')) throw new Error('Wrong route');
+      if (tickers.map(t => t.symbol).join() !== 'ETH-USDT-SWAP,BTC-USDT,BTC-USDT,SOL-USDC,BTC-USD-250328-40000-C') {
+        throw new Error(`Unexpected order: ${tickers.map(t => t.symbol)}`);
+      }
+      if (tickers[0].lastPrice !== 104) throw new Error('Ticker not normalized');
+      if (Object.keys(errors).length !== 0) throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+
+      const option = state.requests.find(request => request.query.instType === 'OPTION');
+      if (option.query.uly !== 'BTC-USD') throw new Error('Options should be fetched per family');
+    });
+
+    // Test 3: Missing symbols
+    await test('Unknown Symbols Reported', async () => {
+      const { tickers, errors } = await api.getTickersBulk(['BTC-USDT', 'NOPE-USDT', 'NOPE-USDT-SWAP']);
+
+      if (tickers.length !== 1) throw new Error('Only the known symbol should be returned');
+      if (!errors['NOPE-USDT']?.includes('No SPOT ticker')) throw new Error('Missing spot symbol not reported');
+      if (!errors['NOPE-USDT-SWAP']?.includes('No SWAP ticker')) throw new Error('Missing swap symbol not reported');
+    });
+
+    // Test 4: Request failures are not confused with missing pairs
+    await test('Failed Type Reported Per Symbol', async () => {
+      state.failing = 'SWAP';
+      const { tickers, errors } = await api.getTickersBulk(['BTC-USDT', 'BTC-USDT-SWAP', 'ETH-USDT-SWAP']);
+      state.failing = null;
+
+      if (tickers.length !== 1 || tickers[0].symbol !== 'BTC-USDT') throw new Error('Spot ticker should still be returned');
+      if (!errors['BTC-USDT-SWAP']?.includes('50013') || !errors['ETH-USDT-SWAP']?.includes('50013')) {
+        throw new Error(`Request error not reported: ${JSON.stringify(errors)}`);
+      }
+    });
+
+    // Test 5: Empty input
+    await test('Empty Symbol List', async () => {
+      state.requests = [];
+      const result = await api.getTickersBulk([]);
+      if (result.tickers.length !== 0 || state.requests.length !== 0) throw new Error('No request expected');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Bulk tickers are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTickersTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTickersTests };
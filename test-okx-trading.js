@@ -0,0 +1,219 @@
+/**
+ * Test suite for order management
+ *
+ * Places, amends and cancels orders against the local OKX mock server, which
+ * records every submitted order, fills marketable ones and keeps spot balances.
+ */
+
+import Decimal from 'decimal.js';
+import OKXDexAPI, { ALGO_ORDER_TYPES } from './okx-dex-api.js';
+import OKXMockServer from './okx-mock-server.js';
+import {
+  OrderValidationError,
+  OrderRejectedError,
+  InvalidInstrumentError,
+  AuthenticationError,
+  ServerBusyError
+} from './okx-errors.js';
+import { createTestRunner, expectError } from './test-utils.js';
+
+const CREDENTIALS = { apiKey: 'test-key', secretKey: 'test-secret', passphrase: 'test-pass' };
+
+/**
+ * Order bodies the mock received on a route
+ */
+function sentBodies(mock, route) {
+  return mock.requests.filter(request => request.method === 'POST' && request.route === route).map(request => request.body);
+}
+
+/**
+ * Test runner
+ */
+async function runTradingTests() {
+  console.log('🧪 Order Management Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const mock = new OKXMockServer({ scenario: { priceModel: 'fixed' } });
+  const baseURL = await mock.start();
+  const api = new OKXDexAPI({ baseURL, ...CREDENTIALS, env: false, rateLimiter: false, retry: false });
+
+  try {
+    // Test 1: Place, query and cancel a resting order
+    await test('Place, Query And Cancel', async () => {
+      mock.setScenario({ priceModel: 'fixed' });
+      const placed = await api.placeOrder({ symbol: 'btc/usdt', side: 'buy', size: 0.000123456789, price: '64000.00', clientOrderId: 'dip1' });
+      if (!placed.success || !placed.orderId || placed.clientOrderId !== 'dip1') throw new Error(`Unexpected result: ${JSON.stringify(placed)}`);
+
+      // Rounded down to the lot size, and sent as plain decimals in the tick's precision
+      const [body] = sentBodies(mock, '/trade/order');
+      if (body.instId !== 'BTC-USDT' || body.sz !== '0.00012345' || body.px !== '64000.0' || body.tdMode !== 'cash' || body.ordType !== 'limit') {
+        throw new Error(`Unexpected body: ${JSON.stringify(body)}`);
+      }
+      if (mock.orders.length !== 1 || mock.orders[0].state !== 'live') throw new Error('The mock should hold one live order');
+
+      const open = await api.getOpenOrders({ symbol: 'BTC-USDT' });
+      if (open.length !== 1 || open[0].price !== 64000 || open[0].size !== 0.00012345 || open[0].filledSize !== 0) throw new Error(`Unexpected open orders: ${JSON.stringify(open)}`);
+      const order = await api.getOrder({ symbol: 'BTC-USDT', clientOrderId: 'dip1' });
+      if (order.orderId !== placed.orderId || order.state !== 'live') throw new Error('Order lookup by client ID failed');
+
+      const amended = await api.amendOrder({ symbol: 'BTC-USDT', orderId: placed.orderId, price: new Decimal('63000.1') });
+      if (!amended.success || mock.orders[0].px !== '63000.1') throw new Error('Amendment not applied');
+
+      await api.cancelOrder({ symbol: 'BTC-USDT', orderId: placed.orderId });
+      const history = await api.getOrderHistory({ symbol: 'BTC-USDT' });
+      if (history[0]?.state !== 'canceled' || (await api.getOpenOrders()).length !== 0) throw new Error('Order should be canceled');
+
+      const error = await expectError(() => api.cancelOrder({ symbol: 'BTC-USDT', orderId: placed.orderId }), OrderRejectedError, 'canceling twice');
+      if (error.code !== '51400' || error.orderId !== placed.orderId) throw new Error(`Unexpected error: ${error.code} ${error.orderId}`);
+    });
+
+    // Test 2: Local validation
+    await test('Validation Before Sending', async () => {
+      mock.setScenario({ priceModel: 'fixed' });
+      await expectError(() => api.placeOrder({ symbol: 'BTC-USDT', side: 'buy', size: 0.000001, price: 60000 }), OrderValidationError, 'size below minimum');
+      await expectError(() => api.placeOrder({ symbol: 'ETH-USDT', side: 'buy', size: 1 }), OrderValidationError, 'limit order without a price');
+      await expectError(() => api.placeOrder({ symbol: 'ETH-USDT', side: 'hold', size: 1, price: 3000 }), OrderValidationError, 'invalid side');
+      await expectError(() => api.placeOrder({ symbol: 'DOGE-USDT', side: 'buy', size: 1, price: 1 }), InvalidInstrumentError, 'unknown instrument');
+      await expectError(() => api.placeOrder({ symbol: 'BTC-USDT', side: 'buy', size: 1, price: 64000.04 }), OrderValidationError, 'off-tick price');
+      await expectError(() => api.placeOrder({ symbol: 'BTC-USDT', side: 'buy', size: 1, price: '64000.10000001' }), OrderValidationError, 'off-tick string price');
+      await expectError(() => api.placeOrder({ symbol: 'BTC-USDT', side: 'buy', size: 1, price: 'cheap' }), OrderValidationError, 'non-numeric price');
+      await expectError(() => api.placeOrders([]), OrderValidationError, 'empty batch');
+      await expectError(() => api.amendOrder({ symbol: 'BTC-USDT', orderId: '1' }), OrderValidationError, 'amendment without changes');
+
+      const anonymous = new OKXDexAPI({ baseURL, env: false, rateLimiter: false, retry: false });
+      await expectError(() => anonymous.placeOrder({ symbol: 'BTC-USDT', side: 'buy', size: 1, price: 60000 }), AuthenticationError, 'missing credentials');
+
+      if (sentBodies(mock, '/trade/order').length !== 0) throw new Error('Invalid orders must not be sent');
+      // SPOT instruments loaded by the first test are still fresh; swaps load on first use
+      await api.placeOrder({ symbol: 'ETH-USDT-SWAP', side: 'sell', size: 0.016, price: 3600 });
+      const swapBody = sentBodies(mock, '/trade/order')[0];
+      if (swapBody.sz !== '0.01' || swapBody.tdMode !== 'cross') throw new Error(`Unexpected swap body: ${JSON.stringify(swapBody)}`);
+      const loads = mock.requests.filter(request => request.route === '/public/instruments').map(request => request.query.instType);
+      if (loads.join() !== 'SWAP') throw new Error(`Unexpected instrument loads: ${loads}`);
+    });
+
+    // Test 3: Fills and balances
+    await test('Market Orders, Resting Fills And Balances', async () => {
+      mock.setScenario({ priceModel: 'fixed', balances: { USDT: 10000, BTC: 0 } });
+      const bought = await api.placeOrder({ symbol: 'BTC-USDT', side: 'buy', type: 'market', size: 6500 });
+      if (sentBodies(mock, '/trade/order')[0].sz !== '6500') throw new Error('Spot market buys are sized in quote currency');
+
+      const [fill] = await api.getFills({ orderId: bought.orderId });
+      if (fill.size !== 0.1 || fill.price !== 65000 || fill.liquidity !== 'taker') throw new Error(`Unexpected fill: ${JSON.stringify(fill)}`);
+      if (Math.abs(mock.balances.get('USDT') - 3500) > 1e-6 || mock.balances.get('BTC') !== 0.1) throw new Error('Balances not updated');
+
+      // A resting sell fills as maker once the price reaches it
+      const sell = await api.placeOrder({ symbol: 'BTC-USDT', side: 'sell', size: 0.05, price: 66000 });
+      mock.setPrice('BTC-USDT', 66500);
+      const filled = await api.getOrder({ symbol: 'BTC-USDT', orderId: sell.orderId });
+      const fills = await api.getFills({ symbol: 'BTC-USDT' });
+      if (filled.state !== 'filled' || filled.averagePrice !== 66000 || fills[0].liquidity !== 'maker' || fills.length !== 2) {
+        throw new Error(`Unexpected fill state: ${JSON.stringify(filled)}`);
+      }
+    });
+
+    // Test 4: Batches with partial failures
+    await test('Batch Orders With Partial Failures', async () => {
+      mock.setScenario({ priceModel: 'fixed', balances: { USDT: 1000 } });
+      const results = await api.placeOrders([
+        { symbol: 'SOL-USDT', side: 'buy', size: 2, price: 140, clientOrderId: 'a' },
+        { symbol: 'SOL-USDT', side: 'buy', size: 100, price: 140, clientOrderId: 'b' },
+        { symbol: 'SOL-USDT', side: 'buy', size: 3, price: '140', clientOrderId: 'c' }
+      ]);
+      if (results.map(result => result.success).join() !== 'true,false,true') throw new Error(`Unexpected results: ${JSON.stringify(results)}`);
+      const rejected = results[1];
+      if (!(rejected.error instanceof OrderRejectedError) || rejected.code !== '51008' || rejected.clientOrderId !== 'b') throw new Error('Rejected order should carry its error');
+      if (sentBodies(mock, '/trade/batch-orders')[0][2].px !== '140.00') throw new Error("Batch prices should use the tick's precision");
+
+      const amended = await api.amendOrders([
+        { symbol: 'SOL-USDT', clientOrderId: 'a', size: 4 },
+        { symbol: 'SOL-USDT', clientOrderId: 'b', size: 4 }
+      ]);
+      if (amended[0].success !== true || amended[1].code !== '51503') throw new Error(`Unexpected amendments: ${JSON.stringify(amended)}`);
+
+      const canceled = await api.cancelOrders(results.map(result => ({ symbol: 'SOL-USDT', clientOrderId: result.clientOrderId })));
+      if (canceled.map(result => result.success).join() !== 'true,false,true') throw new Error('Unexpected cancel results');
+
+      // A single rejected order throws
+      const error = await expectError(() => api.placeOrder({ symbol: 'SOL-USDT', side: 'buy', size: 100, price: 140 }), OrderRejectedError, 'insufficient balance');
+      if (error.code !== '51008' || !error.message.startsWith('Failed to place order')) throw new Error(`Unexpected error: ${error.message}`);
+    });
+
+    // Test 5: Retries
+    await test('Order Changes Are Not Retried Blindly', async () => {
+      mock.setScenario({ priceModel: 'fixed' });
+      const retrying = new OKXDexAPI({ baseURL, ...CREDENTIALS, env: false, rateLimiter: false, retry: { baseDelay: 1, jitter: false } });
+
+      mock.inject({ route: '/trade/order', code: '50001', status: 503, times: 1 });
+      await expectError(() => retrying.placeOrder({ symbol: 'ETH-USDT', side: 'buy', size: 0.5, price: 3000 }), ServerBusyError, 'server error');
+      if (sentBodies(mock, '/trade/order').length !== 1) throw new Error('A possibly placed order must not be resent');
+
+      // Rate limited requests were never processed, so they are resent
+      mock.inject({ route: '/trade/order', code: '50011', status: 429, times: 1 });
+      const placed = await retrying.placeOrder({ symbol: 'ETH-USDT', side: 'buy', size: 0.5, price: 3000 });
+      if (!placed.success || sentBodies(mock, '/trade/order').length !== 3 || mock.orders.length !== 1) throw new Error('Rate limited order should be retried once');
+
+      mock.inject({ route: '/trade/orders-pending', code: '50001', status: 503, times: 1 });
+      if ((await retrying.getOpenOrders()).length !== 1) throw new Error('Queries should still be retried');
+    });
+
+    // Test 6: Algo orders
+    await test('Stop, OCO And Trailing Orders', async () => {
+      mock.setScenario({ priceModel: 'fixed' });
+      const stop = await api.placeAlgoOrder({ symbol: 'BTC-USDT', side: 'sell', type: 'stop', size: 0.01, triggerPrice: 60000 });
+      await api.placeAlgoOrder({
+        symbol: 'BTC-USDT',
+        side: 'sell',
+        type: 'oco',
+        size: 0.01,
+        takeProfit: { triggerPrice: 70000, price: 69990 },
+        stopLoss: { triggerPrice: 60000 },
+        clientOrderId: 'bracket'
+      });
+      await api.placeAlgoOrder({ symbol: 'BTC-USDT-SWAP', side: 'sell', type: 'trailing', size: 1, callbackRatio: 0.02, reduceOnly: true });
+
+      const [stopBody, ocoBody, trailingBody] = sentBodies(mock, '/trade/order-algo');
+      if (stopBody.ordType !== 'conditional' || stopBody.slTriggerPx !== '60000.0' || stopBody.slOrdPx !== '-1') throw new Error(`Unexpected stop: ${JSON.stringify(stopBody)}`);
+      if (ocoBody.ordType !== 'oco' || ocoBody.tpOrdPx !== '69990.0' || ocoBody.algoClOrdId !== 'bracket') throw new Error(`Unexpected OCO: ${JSON.stringify(ocoBody)}`);
+      if (trailingBody.ordType !== ALGO_ORDER_TYPES.trailing || trailingBody.callbackRatio !== '0.02' || trailingBody.reduceOnly !== true) throw new Error('Unexpected trailing stop');
+
+      await expectError(() => api.placeAlgoOrder({
+        symbol: 'BTC-USDT', side: 'sell', type: 'oco', size: 0.01, takeProfit: { triggerPrice: 60000 }, stopLoss: { triggerPrice: 70000 }
+      }), OrderValidationError, 'inverted OCO');
+      await expectError(() => api.placeAlgoOrder({ symbol: 'BTC-USDT', side: 'sell', type: 'trailing', size: 0.01 }), OrderValidationError, 'trailing without a callback');
+
+      const [oco] = await api.getAlgoOrders('oco');
+      if (oco?.type !== 'oco' || oco.takeProfit.price !== 69990 || oco.stopLoss.price !== null || oco.clientOrderId !== 'bracket') throw new Error(`Unexpected OCO order: ${JSON.stringify(oco)}`);
+
+      const canceled = await api.cancelAlgoOrders([{ symbol: 'BTC-USDT', algoId: stop.algoId }, { symbol: 'BTC-USDT', algoId: '999' }]);
+      if (canceled[0].success !== true || canceled[1].success !== false || (await api.getAlgoOrders('stop')).length !== 0) throw new Error('Unexpected algo cancel results');
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Order management is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTradingTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTradingTests };
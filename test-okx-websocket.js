@@ -0,0 +1,335 @@
+/**
+ * Test suite for the OKX WebSocket client
+ *
+ * Runs the client against a local WebSocket server that speaks the OKX
+ * subscribe/ping protocol.
+ */
+
+import { WebSocketServer } from 'ws';
+import OKXWebSocket from './okx-websocket.js';
+import { createTestRunner } from './test-utils.js';
+
+const TICKER = {
+  instType: 'SPOT', instId: 'BTC-USDT', last: '43250.5', lastSz: '0.01',
+  askPx: '43250.6', askSz: '1.2', bidPx: '43250.4', bidSz: '0.8',
+  open24h: '42000', high24h: '43500', low24h: '41800',
+  volCcy24h: '850000000', vol24h: '19800', ts: '1700000000000'
+};
+
+/**
+ * Start a local stand-in for the OKX public WebSocket endpoint
+ */
+function startServer({ answerPings = true, port = 0 } = {}) {
+  const received = [];
+  const sockets = [];
+
+  const wss = new WebSocketServer({ port, host: '127.0.0.1' });
+  wss.on('connection', socket => {
+    sockets.push(socket);
+    socket.on('message', raw => {
+      const text = raw.toString();
+      received.push(text);
+
+      if (text === 'ping') {
+        if (answerPings) socket.send('pong');
+        return;
+      }
+
+      const message = JSON.parse(text);
+      for (const arg of message.args) {
+        socket.send(JSON.stringify({ event: message.op, arg, connId: 'test' }));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    wss.on('listening', () => {
+      const { port } = wss.address();
+      resolve({
+        wss,
+        received,
+        sockets,
+        url: `ws://127.0.0.1:${port}`,
+        push: payload => sockets.forEach(socket => socket.send(JSON.stringify(payload)))
+      });
+    });
+  });
+}
+
+/**
+ * Resolve on the next emission of an event
+ */
+function waitFor(emitter, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for '${event}'`)), timeout);
+    emitter.once(event, (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    });
+  });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Test runner
+ */
+async function runWebSocketTests() {
+  console.log('🧪 OKX WebSocket Client Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const server = await startServer();
+  const client = new OKXWebSocket({ url: server.url, reconnectDelay: 20 });
+
+  try {
+    // Test 1: Subscribe and acknowledge
+    await test('Subscribe', async () => {
+      const acked = waitFor(client, 'subscribed');
+      await client.subscribe('tickers', 'BTC-USDT');
+      const [arg] = await acked;
+
+      const request = JSON.parse(server.received[0]);
+      if (request.op !== 'subscribe') throw new Error('Subscribe op not sent');
+      if (arg.channel !== 'tickers' || arg.instId !== 'BTC-USDT') throw new Error('Unexpected ack');
+    });
+
+    // Test 2: Ticker normalization
+    await test('Ticker Normalization', async () => {
+      const received = waitFor(client, 'ticker');
+      server.push({ arg: { channel: 'tickers', instId: 'BTC-USDT' }, data: [TICKER] });
+      const [ticker, arg] = await received;
+
+      if (ticker.symbol !== 'BTC-USDT') throw new Error('Invalid symbol');
+      if (ticker.lastPrice !== 43250.5) throw new Error('Invalid last price');
+      if (ticker.changePercent24h.toFixed(2) !== '2.98') throw new Error(`Invalid change percent: ${ticker.changePercent24h}`);
+      if (ticker.timestamp !== 1700000000000) throw new Error('Invalid timestamp');
+      if (arg.channel !== 'tickers') throw new Error('Channel argument missing');
+    });
+
+    // Test 3: Order book normalization
+    await test('Order Book Normalization', async () => {
+      const received = waitFor(client, 'book');
+      server.push({
+        arg: { channel: 'books', instId: 'BTC-USDT' },
+        action: 'snapshot',
+        data: [{
+          asks: [['43251', '0.5', '0', '3']],
+          bids: [['43250', '1.5', '0', '4']],
+          ts: '1700000000001', checksum: -123, seqId: 10, prevSeqId: -1
+        }]
+      });
+      const [book] = await received;
+
+      if (book.symbol !== 'BTC-USDT') throw new Error('Invalid symbol');
+      if (book.asks[0].price !== 43251 || book.asks[0].size !== 0.5) throw new Error('Invalid ask level');
+      if (book.bids[0].total !== 4) throw new Error('Invalid bid level');
+      if (book.action !== 'snapshot' || book.seqId !== 10 || book.checksum !== -123) throw new Error('Sequence fields missing');
+    });
+
+    // Test 4: Trade and candle normalization
+    await test('Trade And Candle Normalization', async () => {
+      const trade = waitFor(client, 'trade');
+      server.push({
+        arg: { channel: 'trades', instId: 'BTC-USDT' },
+        data: [{ instId: 'BTC-USDT', tradeId: '987', px: '43250.1', sz: '0.02', side: 'sell', ts: '1700000000002' }]
+      });
+      const [tradeData] = await trade;
+      if (tradeData.tradeId !== '987' || tradeData.price !== 43250.1 || tradeData.side !== 'sell') {
+        throw new Error('Invalid trade');
+      }
+
+      const candle = waitFor(client, 'candle');
+      server.push({
+        arg: { channel: 'candle1m', instId: 'BTC-USDT' },
+        data: [['1700000000000', '43200', '43300', '43100', '43250', '12', '518000', '518000', '0']]
+      });
+      const [candleData] = await candle;
+      if (candleData.close !== 43250 || candleData.volume !== 12) throw new Error('Invalid candle');
+      if (candleData.confirmed !== false) throw new Error('Candle confirm flag not parsed');
+    });
+
+    // Test 5: Async iterator
+    await test('Async Iterator Stream', async () => {
+      const stream = client.stream('tickers', 'ETH-USDT');
+      const first = stream.next();
+      await delay(50);
+      server.push({ arg: { channel: 'tickers', instId: 'ETH-USDT' }, data: [{ ...TICKER, instId: 'ETH-USDT', last: '2250' }] });
+
+      const { value } = await first;
+      if (value.symbol !== 'ETH-USDT' || value.lastPrice !== 2250) throw new Error('Unexpected stream value');
+
+      await stream.return();
+      await delay(50);
+      const last = JSON.parse(server.received[server.received.length - 1]);
+      if (last.op !== 'unsubscribe' || last.args[0].instId !== 'ETH-USDT') throw new Error('Stream end did not unsubscribe');
+      if (client.subscriptions.has('tickers:ETH-USDT')) throw new Error('Subscription still tracked');
+    });
+
+    // Test 6: Reconnect and resubscribe
+    await test('Reconnect And Resubscribe', async () => {
+      await client.subscribe('trades', 'SOL-USDT');
+      await delay(50);
+      server.received.length = 0;
+
+      const reopened = waitFor(client, 'open');
+      server.sockets.forEach(socket => socket.terminate());
+      await reopened;
+      await delay(50);
+
+      const resubscribe = JSON.parse(server.received[0]);
+      const channels = resubscribe.args.map(arg => `${arg.channel}:${arg.instId}`);
+      if (resubscribe.op !== 'subscribe') throw new Error('No resubscribe after reconnect');
+      if (!channels.includes('tickers:BTC-USDT') || !channels.includes('trades:SOL-USDT')) {
+        throw new Error(`Missing resubscriptions: ${channels.join(', ')}`);
+      }
+    });
+  } finally {
+    client.close();
+  }
+
+  // Test 7: Keepalive ping
+  await test('Ping Keepalive', async () => {
+    const pingClient = new OKXWebSocket({ url: server.url, pingInterval: 30, autoReconnect: false });
+    await pingClient.connect();
+    await delay(100);
+    pingClient.close();
+
+    if (!server.received.includes('ping')) throw new Error('No ping sent while idle');
+  });
+
+  server.wss.close();
+
+  // Test 8: Missing pong forces a reconnect
+  await test('Pong Timeout Reconnect', async () => {
+    const silent = await startServer({ answerPings: false });
+    const silentClient = new OKXWebSocket({ url: silent.url, pingInterval: 30, pongTimeout: 30, reconnectDelay: 10 });
+
+    try {
+      await silentClient.connect();
+      await waitFor(silentClient, 'reconnect', 1000);
+    } finally {
+      silentClient.close();
+      silent.wss.close();
+    }
+  });
+
+  // Test 9: A failed connection is reported by the stream
+  await test('Stream Connection Failure', async () => {
+    const closed = await startServer();
+    closed.wss.close();
+    const offline = new OKXWebSocket({ url: closed.url, autoReconnect: false });
+    offline.on('error', () => {});
+
+    try {
+      const stream = offline.stream('tickers', 'BTC-USDT');
+      // The connection fails before next() is called
+      await delay(100);
+      const error = await stream.next().then(() => null, caught => caught);
+      if (!error || !error.message.includes('Failed to connect')) throw new Error('next() should reject with the connection error');
+      if (offline.listenerCount('data') !== 0 || offline.subscriptions.size !== 0) throw new Error('A failed stream should clean up');
+      if (!(await stream.next()).done) throw new Error('A failed stream should be done');
+    } finally {
+      offline.close();
+    }
+  });
+
+  // Test 10: A stream survives a failed first connection when reconnecting
+  await test('Stream Recovers After Reconnect', async () => {
+    const placeholder = await startServer();
+    const { port } = placeholder.wss.address();
+    await new Promise(resolve => placeholder.wss.close(resolve));
+
+    const recovering = new OKXWebSocket({ url: placeholder.url, reconnectDelay: 50 });
+    recovering.on('error', () => {});
+    let restarted;
+
+    try {
+      const stream = recovering.stream('tickers', 'BTC-USDT');
+      const first = stream.next();
+      await waitFor(recovering, 'close');
+
+      restarted = await startServer({ port });
+      await waitFor(recovering, 'subscribed');
+      restarted.push({ arg: { channel: 'tickers', instId: 'BTC-USDT' }, data: [TICKER] });
+      const { value } = await first;
+      if (value.lastPrice !== 43250.5) throw new Error('Stream did not resume after the reconnect');
+
+      await stream.return();
+      if (recovering.listenerCount('data') !== 0 || recovering.subscriptions.size !== 0) throw new Error('Stream end should clean up');
+    } finally {
+      recovering.close();
+      restarted?.wss.close();
+    }
+  });
+
+  // Test 11: Streams sharing a channel keep it until the last one ends
+  await test('Shared Channel Subscriptions', async () => {
+    const shared = await startServer();
+    const sharedClient = new OKXWebSocket({ url: shared.url, autoReconnect: false });
+
+    try {
+      const tickers = [];
+      sharedClient.on('ticker', ticker => tickers.push(ticker));
+      await sharedClient.subscribe('tickers', 'BTC-USDT');
+      const one = sharedClient.stream('tickers', 'BTC-USDT');
+      const two = sharedClient.stream('tickers', 'BTC-USDT');
+      const firstOne = one.next();
+      const firstTwo = two.next();
+      await delay(50);
+
+      shared.push({ arg: { channel: 'tickers', instId: 'BTC-USDT' }, data: [TICKER] });
+      if ((await firstOne).value.lastPrice !== 43250.5 || (await firstTwo).value.lastPrice !== 43250.5) throw new Error('Both streams should receive the push');
+
+      await one.return();
+      await delay(50);
+      const ops = () => shared.received.filter(text => text !== 'ping').map(text => JSON.parse(text).op);
+      if (ops().includes('unsubscribe')) throw new Error('Ending one stream should keep the shared channel');
+
+      const next = two.next();
+      shared.push({ arg: { channel: 'tickers', instId: 'BTC-USDT' }, data: [{ ...TICKER, last: '43300' }] });
+      if ((await next).value.lastPrice !== 43300 || tickers.length !== 2) throw new Error('Other users should keep receiving pushes');
+
+      // Resubscribing asks for a new snapshot without dropping any user
+      await sharedClient.resubscribe('tickers', 'BTC-USDT');
+      await delay(50);
+      if (ops().slice(-2).join() !== 'unsubscribe,subscribe' || sharedClient.subscriptions.get('tickers:BTC-USDT').users !== 2) {
+        throw new Error(`Unexpected resubscribe: ${ops()}`);
+      }
+
+      await two.return();
+      sharedClient.unsubscribe('tickers', 'BTC-USDT');
+      await delay(50);
+      if (ops().filter(op => op === 'unsubscribe').length !== 2 || sharedClient.subscriptions.size !== 0) {
+        throw new Error(`The last user should unsubscribe: ${ops()}`);
+      }
+    } finally {
+      sharedClient.close();
+      shared.wss.close();
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! WebSocket client is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWebSocketTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runWebSocketTests };
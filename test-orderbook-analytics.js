@@ -0,0 +1,177 @@
+/**
+ * Test suite for order book analytics
+ */
+
+import Decimal from 'decimal.js';
+import {
+  midPrice,
+  spread,
+  microprice,
+  depthWithinBps,
+  imbalance,
+  simulateFill,
+  impactAdjustedPrice,
+  analyzeOrderBook
+} from './orderbook-analytics.js';
+import { createTestRunner } from './test-utils.js';
+
+const BOOK = {
+  symbol: 'BTC-USDT',
+  bids: [
+    { price: 99.9, size: 3, orders: 1, total: 1 },
+    { price: 99.8, size: 5, orders: 2, total: 2 },
+    { price: 99, size: 10, orders: 4, total: 4 }
+  ],
+  asks: [
+    { price: 100.1, size: 1, orders: 1, total: 1 },
+    { price: 100.2, size: 4, orders: 1, total: 1 },
+    { price: 101, size: 10, orders: 3, total: 3 }
+  ],
+  timestamp: 1700000000000
+};
+
+/**
+ * Copy a book with prices and sizes converted, as the client's string and decimal modes return them
+ */
+const convertBook = (book, convert) => {
+  const levels = side => side.map(level => ({ ...level, price: convert(level.price), size: convert(level.size) }));
+  return { ...book, bids: levels(book.bids), asks: levels(book.asks) };
+};
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+/**
+ * Test runner
+ */
+async function runOrderBookAnalyticsTests() {
+  console.log('🧪 Order Book Analytics Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Mid price and spread
+  await test('Mid Price And Spread', () => {
+    if (!close(midPrice(BOOK), 100)) throw new Error('Invalid mid price');
+
+    const { absolute, bps } = spread(BOOK);
+    if (!close(absolute, 0.2)) throw new Error('Invalid absolute spread');
+    if (!close(bps, 20)) throw new Error(`Invalid spread bps: ${bps}`);
+  });
+
+  // Test 2: Microprice
+  await test('Microprice', () => {
+    // Bid 99.9 x 3, ask 100.1 x 1: more size on the bid pushes the microprice towards the ask
+    const value = microprice(BOOK);
+    if (!close(value, (99.9 * 1 + 100.1 * 3) / 4)) throw new Error(`Invalid microprice: ${value}`);
+    if (value <= midPrice(BOOK)) throw new Error('Microprice should lean towards the ask');
+  });
+
+  // Test 3: Depth within bps
+  await test('Depth Within Bps', () => {
+    const depth = depthWithinBps(BOOK, 25);
+    if (depth.bidSize !== 8) throw new Error(`Invalid bid size: ${depth.bidSize}`);
+    if (depth.askSize !== 5) throw new Error(`Invalid ask size: ${depth.askSize}`);
+    if (!close(depth.askNotional, 100.1 + 4 * 100.2)) throw new Error('Invalid ask notional');
+  });
+
+  // Test 4: Imbalance
+  await test('Book Imbalance', () => {
+    if (!close(imbalance(BOOK, 1), (3 - 1) / 4)) throw new Error('Invalid top-level imbalance');
+    if (!close(imbalance(BOOK, 3), (18 - 15) / 33)) throw new Error('Invalid 3-level imbalance');
+    if (imbalance({ bids: [], asks: [] }) !== null) throw new Error('Empty book should have no imbalance');
+  });
+
+  // Test 5: Fill by base size
+  await test('Simulate Fill By Base Size', () => {
+    const fill = simulateFill(BOOK, 'buy', 3);
+    const expectedAvg = (100.1 * 1 + 100.2 * 2) / 3;
+
+    if (!close(fill.avgPrice, expectedAvg)) throw new Error(`Invalid average price: ${fill.avgPrice}`);
+    if (fill.levelsConsumed !== 2 || fill.worstPrice !== 100.2) throw new Error('Invalid levels consumed');
+    if (!fill.fullyFilled) throw new Error('Fill should be complete');
+    if (!close(fill.slippageBps, (expectedAvg - 100) / 100 * 10000)) throw new Error('Invalid slippage');
+  });
+
+  // Test 6: Fill by quote notional
+  await test('Simulate Fill By Quote Notional', () => {
+    const fill = simulateFill(BOOK, 'sell', 299.7 + 99.8, 'quote');
+
+    if (!close(fill.filledBase, 4)) throw new Error(`Invalid filled base: ${fill.filledBase}`);
+    if (!close(fill.filledQuote, 399.5)) throw new Error('Invalid filled quote');
+    if (fill.slippageBps <= 0) throw new Error('Selling below mid should be positive slippage');
+  });
+
+  // Test 7: Partial fill
+  await test('Partial Fill On Thin Book', () => {
+    const fill = simulateFill(BOOK, 'buy', 100);
+    if (fill.fullyFilled) throw new Error('Fill should be partial');
+    if (fill.filledBase !== 15) throw new Error('Should take all available asks');
+  });
+
+  // Test 8: Impact-adjusted price
+  await test('Impact-Adjusted Price', () => {
+    const price = impactAdjustedPrice(BOOK, 500);
+    const buy = simulateFill(BOOK, 'buy', 500, 'quote');
+    const sell = simulateFill(BOOK, 'sell', 500, 'quote');
+
+    if (!close(price, (buy.avgPrice + sell.avgPrice) / 2)) throw new Error('Invalid impact price');
+    if (impactAdjustedPrice(BOOK, 1e9) !== null) throw new Error('Unfillable notional should return null');
+  });
+
+  // Test 9: Full analysis
+  await test('Analyze Order Book', () => {
+    const analysis = analyzeOrderBook(BOOK, { depthBps: [10, 200], impactNotional: 500 });
+
+    if (analysis.symbol !== 'BTC-USDT') throw new Error('Symbol missing');
+    if (analysis.depth.length !== 2) throw new Error('Depth buckets missing');
+    if (analysis.impactAdjustedPrice === null) throw new Error('Impact price missing');
+    if (!close(analysis.spread.bps, 20)) throw new Error('Spread missing');
+  });
+
+  // Test 10: Input validation
+  await test('Invalid Side Rejected', () => {
+    let threw = false;
+    try {
+      simulateFill(BOOK, 'long', 1);
+    } catch (error) {
+      threw = true;
+    }
+    if (!threw) throw new Error('Invalid side should throw');
+  });
+
+  // Test 11: String and Decimal levels
+  await test('String And Decimal Levels', () => {
+    const expected = analyzeOrderBook(BOOK, { depthBps: [25], impactNotional: 300 });
+    const fill = simulateFill(BOOK, 'buy', 3);
+    for (const convert of [String, value => new Decimal(value)]) {
+      const book = convertBook(BOOK, convert);
+      const analysis = analyzeOrderBook(book, { depthBps: [25], impactNotional: 300 });
+      if (JSON.stringify(analysis) !== JSON.stringify(expected)) throw new Error(`Unexpected analysis: ${JSON.stringify(analysis)}`);
+      if (typeof analysis.depth[0].askSize !== 'number' || typeof analysis.midPrice !== 'number') throw new Error('Results should be numbers');
+      if (JSON.stringify(simulateFill(book, 'buy', 3)) !== JSON.stringify(fill)) throw new Error('Fill differs from the number book');
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Order book analytics are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runOrderBookAnalyticsTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runOrderBookAnalyticsTests };
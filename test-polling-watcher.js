@@ -0,0 +1,175 @@
+/**
+ * Test suite for polling watchers
+ *
+ * Ticker changes and buffering use a stubbed getTicker; order books, trades
+ * and backoff run against the local OKX mock server.
+ */
+
+import OKXDexAPI from './okx-dex-api.js';
+import OKXMockServer from './okx-mock-server.js';
+import PollingWatcher, { newTrades } from './polling-watcher.js';
+import { createTestRunner } from './test-utils.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take the next `count` values from an iterator, failing after `timeout` ms
+ */
+async function take(iterator, count, timeout = 3000) {
+  const values = [];
+  const deadline = sleep(timeout).then(() => {
+    throw new Error(`Timed out after ${values.length}/${count} values`);
+  });
+  while (values.length < count) {
+    const { value, done } = await Promise.race([iterator.next(), deadline]);
+    if (done) break;
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Test runner
+ */
+async function runPollingWatcherTests() {
+  console.log('🧪 Polling Watcher Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Tickers are only emitted when they change
+  await test('Ticker Emits Only On Change', async () => {
+    const api = new OKXDexAPI({ env: false, rateLimiter: false, retry: false });
+    const prices = [100, 100, 100, 101, 101, 102];
+    let calls = 0;
+    api.getTicker = async symbol => {
+      const lastPrice = prices[Math.min(calls, prices.length - 1)];
+      calls++;
+      return { symbol, lastPrice, timestamp: calls };
+    };
+
+    const watcher = api.watchTicker('BTC-USDT', { interval: 5 });
+    const seen = [];
+    for await (const ticker of watcher) {
+      seen.push(ticker.lastPrice);
+      if (ticker.lastPrice === 102) break;
+    }
+    if (seen.join() !== '100,101,102' || calls < 6) throw new Error(`Unexpected tickers: ${seen} after ${calls} polls`);
+
+    // Leaving the loop stopped polling
+    const after = calls;
+    await sleep(30);
+    if (watcher.running || calls !== after) throw new Error('Breaking out of the loop should stop the watcher');
+  });
+
+  const mock = new OKXMockServer({ scenario: 'fixed-books' });
+  const baseURL = await mock.start();
+  const api = new OKXDexAPI({ baseURL, env: false, rateLimiter: false, retry: false });
+
+  try {
+    // Test 2: Order books
+    await test('Order Book Changes', async () => {
+      mock.setScenario('fixed-books');
+      const watcher = api.watchOrderBook('BTC-USDT', { depth: 2, interval: 10 });
+      const iterator = watcher[Symbol.asyncIterator]();
+      try {
+        const [first] = await take(iterator, 1);
+        if (first.bids[0].price !== 64999.9 || first.bids.length !== 2) throw new Error(`Unexpected book: ${JSON.stringify(first.bids)}`);
+
+        await sleep(60);
+        if (watcher.polls < 3 || watcher.buffer.length !== 0) throw new Error('An unchanged book should not be emitted');
+
+        mock.setBook('BTC-USDT', { bids: [['64999.8', '2']], asks: [['65000.1', '0.5']] });
+        const [second] = await take(iterator, 1);
+        if (second.bids[0].price !== 64999.8 || second.bids[0].size !== 2) throw new Error('Changed book not emitted');
+      } finally {
+        watcher.stop();
+      }
+    });
+
+    // Test 3: Trades are deduplicated
+    await test('Trades Deduplicated By Trade ID', async () => {
+      mock.setScenario('random-walk');
+      const watcher = api.watchTrades('ETH-USDT', { interval: 5, limit: 3 });
+      const trades = await take(watcher[Symbol.asyncIterator](), 8);
+      watcher.stop();
+
+      const ids = trades.map(trade => Number(trade.tradeId));
+      if (new Set(ids).size !== 8 || ids.some((id, index) => index > 0 && id !== ids[index - 1] + 1)) throw new Error(`Trades should arrive once, in order: ${ids}`);
+
+      const dedupe = newTrades(2);
+      const trade = (tradeId, timestamp) => ({ tradeId, timestamp });
+      const batches = [dedupe([trade('2', 2), trade('1', 1)]), dedupe([trade('3', 3), trade('2', 2)]), dedupe([trade('1', 1)])];
+      if (batches.map(batch => batch.map(item => item.tradeId).join('')).join() !== '12,3,1') throw new Error('Only the most recent trade IDs should be remembered');
+    });
+
+    // Test 4: Backoff on errors
+    await test('Backoff On Errors', async () => {
+      mock.setScenario('fixed-books');
+      mock.inject({ route: '/market/books', code: '50013', times: 4 });
+      const watcher = api.watchOrderBook('BTC-USDT', { interval: 10, maxBackoff: 80 });
+      const errors = [];
+      watcher.on('error', error => errors.push(error));
+
+      const [book] = await take(watcher[Symbol.asyncIterator](), 1);
+      watcher.stop();
+      if (!book || errors.length !== 4 || watcher.failures !== 0) throw new Error(`Expected 4 errors then a book, got ${errors.length}`);
+
+      // 20, 40, 80 and 80 (capped) ms between attempts
+      const times = mock.requests.filter(request => request.route === '/market/books').map(request => request.time);
+      const gaps = times.slice(1).map((time, index) => time - times[index]);
+      if (!(gaps[0] >= 15 && gaps[1] >= 35 && gaps[2] >= 75 && gaps[3] >= 75 && gaps[3] < 150)) throw new Error(`Unexpected backoff: ${gaps}`);
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  // Test 5: Buffering and stop()
+  await test('Buffer Limit And Stop', async () => {
+    let value = 0;
+    const watcher = new PollingWatcher(async () => ++value, { interval: 5, bufferSize: 3 }).start();
+    let stopped = false;
+    watcher.on('stop', () => {
+      stopped = true;
+    });
+
+    await sleep(60);
+    watcher.stop();
+    const drained = [];
+    for await (const item of watcher) {
+      drained.push(item);
+    }
+    if (drained.length !== 3 || drained[2] !== value || !stopped) throw new Error(`Expected the 3 latest values, got ${drained} (last ${value})`);
+
+    let threw = false;
+    try {
+      new PollingWatcher(async () => 1, { interval: 0 });
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error('A zero interval should be rejected');
+  });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Polling watchers are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runPollingWatcherTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runPollingWatcherTests };
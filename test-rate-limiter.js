@@ -0,0 +1,177 @@
+/**
+ * Test suite for the rate limiter and its OKXDexAPI integration
+ */
+
+import http from 'http';
+import RateLimiter, { DEFAULT_LIMITS } from './rate-limiter.js';
+import OKXDexAPI from './okx-dex-api.js';
+import { createTestRunner } from './test-utils.js';
+
+const TICKER = {
+  instId: 'BTC-USDT', last: '100', open24h: '90', high24h: '110', low24h: '80',
+  vol24h: '1000', volCcy24h: '100000', ts: '1700000000000'
+};
+
+/**
+ * Start a local stand-in that answers every ticker request and logs arrival times
+ */
+function startTickerServer() {
+  const arrivals = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    arrivals.push({ path: url.pathname, instId: url.searchParams.get('instId'), at: Date.now() });
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code: '0', msg: '', data: [{ ...TICKER, instId: url.searchParams.get('instId') }] }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, arrivals, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runRateLimiterTests() {
+  console.log('🧪 Rate Limiter Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Defaults follow OKX limits
+  await test('Default Route Limits', async () => {
+    const limiter = new RateLimiter();
+    if (DEFAULT_LIMITS['/market/ticker'].requests !== 20) throw new Error('Ticker limit should be 20 per 2s');
+    if (limiter.limits['/market/books'].requests !== 40) throw new Error('Books limit should be 40 per 2s');
+  });
+
+  // Test 2: Burst up to capacity, then wait for refill
+  await test('Token Bucket Throttling', async () => {
+    const limiter = new RateLimiter({ limits: { '/market/ticker': { requests: 2, interval: 100 } } });
+    const start = Date.now();
+
+    const waits = await Promise.all([1, 2, 3, 4].map(() => limiter.acquire('/market/ticker')));
+    const elapsed = Date.now() - start;
+
+    if (waits[0] !== 0 || waits[1] !== 0) throw new Error('First two requests should not wait');
+    if (waits[3] < 80) throw new Error(`Fourth request waited only ${waits[3]}ms`);
+    if (elapsed < 80) throw new Error(`Requests finished too quickly (${elapsed}ms)`);
+  });
+
+  // Test 3: Priority ordering
+  await test('Priority Queue', async () => {
+    const limiter = new RateLimiter({ limits: { '/market/books': { requests: 1, interval: 30 } } });
+    const order = [];
+
+    await limiter.acquire('/market/books');
+    await Promise.all([
+      limiter.acquire('/market/books', 0).then(() => order.push('low')),
+      limiter.acquire('/market/books', 0).then(() => order.push('low-2')),
+      limiter.acquire('/market/books', 10).then(() => order.push('high'))
+    ]);
+
+    if (order.join(',') !== 'high,low,low-2') throw new Error(`Unexpected order: ${order.join(',')}`);
+  });
+
+  // Test 4: Groups are independent
+  await test('Independent Route Groups', async () => {
+    const limiter = new RateLimiter({ limits: { '/market/ticker': { requests: 1, interval: 1000 } } });
+
+    await limiter.acquire('/market/ticker');
+    const pending = limiter.acquire('/market/ticker');
+    const otherWait = await limiter.acquire('/market/trades');
+
+    if (otherWait !== 0) throw new Error('Other groups should not wait');
+    if (limiter.getQueueDepth('/market/ticker') !== 1) throw new Error('Ticker request should be queued');
+
+    limiter.setLimit('/market/ticker', 100, 1000);
+    await pending;
+  });
+
+  // Test 5: Backpressure statistics
+  await test('Queue Statistics', async () => {
+    const limiter = new RateLimiter({ limits: { '/market/candles': { requests: 1, interval: 50 } } });
+
+    const all = Promise.all([1, 2, 3].map(() => limiter.acquire('/market/candles')));
+    const during = limiter.getStats();
+    await all;
+    const after = limiter.getStats().groups['/market/candles'];
+
+    if (during.queueDepth !== 2) throw new Error(`Expected 2 queued, got ${during.queueDepth}`);
+    if (after.processed !== 3 || after.delayed !== 2) throw new Error('Processed counts incorrect');
+    if (after.maxWait < 80) throw new Error(`Max wait too low: ${after.maxWait}`);
+    if (after.averageWait <= 0) throw new Error('Average wait missing');
+  });
+
+  // Test 6: Queue size limit
+  await test('Queue Size Limit', async () => {
+    const limiter = new RateLimiter({ maxQueueSize: 1, limits: { '/market/ticker': { requests: 1, interval: 50 } } });
+
+    await limiter.acquire('/market/ticker');
+    const queued = limiter.acquire('/market/ticker');
+
+    let rejected = false;
+    try {
+      await limiter.acquire('/market/ticker');
+    } catch (error) {
+      rejected = error.message.includes('queue full');
+    }
+    await queued;
+
+    if (!rejected) throw new Error('Request beyond the queue limit should be rejected');
+  });
+
+  // Test 7: Client integration
+  const { server, arrivals, baseURL } = await startTickerServer();
+  try {
+    await test('OKXDexAPI Throttles getTickers', async () => {
+      const api = new OKXDexAPI({ rateLimits: { '/market/ticker': { requests: 2, interval: 100 } } });
+      api.baseURL = baseURL;
+
+      const tickers = await api.getTickers(['BTC-USDT', 'ETH-USDT', 'SOL-USDT', 'DOGE-USDT', 'XRP-USDT']);
+      const stats = api.getRateLimitStats().groups['/market/ticker'];
+      const spread = arrivals[arrivals.length - 1].at - arrivals[0].at;
+
+      if (tickers.length !== 5) throw new Error(`Expected 5 tickers, got ${tickers.length}`);
+      if (stats.processed !== 5 || stats.delayed !== 3) throw new Error('Limiter did not queue requests');
+      if (spread < 120) throw new Error(`Requests were not spread out (${spread}ms)`);
+    });
+
+    await test('Limiter Can Be Disabled', async () => {
+      const api = new OKXDexAPI({ rateLimiter: false });
+      api.baseURL = baseURL;
+
+      await api.getTicker('BTC-USDT');
+      if (api.getRateLimitStats() !== null) throw new Error('Stats should be null when disabled');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Rate limiter is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRateLimiterTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runRateLimiterTests };
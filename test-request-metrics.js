@@ -0,0 +1,198 @@
+/**
+ * Test suite for request metrics and hooks
+ *
+ * Checks percentile and error bookkeeping in RequestMetrics, then the
+ * client's per-route metrics and request/response/error hooks against the
+ * local OKX mock server.
+ */
+
+import OKXDexAPI from './okx-dex-api.js';
+import OKXMockServer from './okx-mock-server.js';
+import RequestMetrics, { percentile, errorKey } from './request-metrics.js';
+import { RateLimitError, NetworkTimeoutError, OKXError } from './okx-errors.js';
+import { createTestRunner } from './test-utils.js';
+
+const CREDENTIALS = { apiKey: 'test-key', secretKey: 'test-secret', passphrase: 'test-pass' };
+
+/**
+ * Test runner
+ */
+async function runRequestMetricsTests() {
+  console.log('🧪 Request Metrics Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  // Test 1: Bookkeeping
+  await test('Percentiles And Error Codes', async () => {
+    const sorted = Array.from({ length: 100 }, (_, index) => index + 1);
+    if (percentile(sorted, 50) !== 50 || percentile(sorted, 95) !== 95 || percentile(sorted, 99) !== 99 || percentile([], 50) !== null) {
+      throw new Error('Unexpected percentiles');
+    }
+
+    let now = 1000;
+    const metrics = new RequestMetrics({ sampleSize: 10, clock: () => now });
+    for (let latency = 1; latency <= 20; latency++) {
+      metrics.record('/market/ticker', latency);
+    }
+    metrics.record('/market/ticker', 5, new RateLimitError('Too many requests', { code: '50011', httpStatus: 429 }));
+    metrics.record('/market/books', 30, new OKXError('Bad gateway', { httpStatus: 502 }));
+    metrics.record('/market/books', null, new NetworkTimeoutError('timeout', { msg: 'ECONNABORTED' }));
+
+    const stats = metrics.getStats();
+    const ticker = stats.routes['/market/ticker'];
+    // Only the last 10 latencies are kept: 12..20 and 5
+    if (ticker.count !== 21 || ticker.errors !== 1 || ticker.errorCodes['50011'] !== 1 || ticker.latency.samples !== 10) {
+      throw new Error(`Unexpected ticker stats: ${JSON.stringify(ticker)}`);
+    }
+    if (ticker.latency.p50 !== 15 || ticker.latency.p99 !== 20 || ticker.latency.max !== 20 || ticker.lastError.time !== 1000) {
+      throw new Error(`Unexpected latency: ${JSON.stringify(ticker.latency)}`);
+    }
+    if (stats.count !== 23 || stats.errors !== 3 || stats.errorCodes['HTTP 502'] !== 1 || stats.errorCodes.ECONNABORTED !== 1 || stats.latency.samples !== 11) {
+      throw new Error(`Unexpected totals: ${JSON.stringify(stats)}`);
+    }
+    if (errorKey(new Error('boom')) !== 'Error') throw new Error('Plain errors should be counted by name');
+
+    now = 5000;
+    metrics.reset();
+    const cleared = metrics.getStats();
+    if (cleared.count !== 0 || cleared.since !== 5000 || cleared.latency.p50 !== null || cleared.errorRate !== 0) throw new Error('reset() should clear everything');
+  });
+
+  const mock = new OKXMockServer({ scenario: { priceModel: 'fixed' } });
+  const baseURL = await mock.start();
+
+  try {
+    // Test 2: Per-route metrics
+    await test('Client Metrics Per Route', async () => {
+      mock.setScenario({ priceModel: 'fixed', latency: { '/market/books': 40 } });
+      const api = new OKXDexAPI({ baseURL, env: false, rateLimiter: false, retry: false, cache: true });
+
+      await api.getTicker('BTC-USDT');
+      await api.getTicker('BTC-USDT'); // served by the cache
+      await api.getOrderBook('BTC-USDT', 5);
+      await api.getOrderBook('ETH-USDT', 5);
+      mock.inject({ route: '/market/ticker', code: '50011', status: 429, times: 1 });
+      await api.getTicker('ETH-USDT').catch(() => {});
+      await api.getInstruments('SPOT', 'X').catch(() => {});
+
+      const metrics = api.getMetrics();
+      const ticker = metrics.routes['/market/ticker'];
+      const books = metrics.routes['/market/books'];
+      if (ticker.count !== 2 || ticker.errors !== 1 || ticker.errorCodes['50011'] !== 1 || ticker.errorRate !== 0.5) {
+        throw new Error(`Unexpected ticker metrics: ${JSON.stringify(ticker)}`);
+      }
+      if (books.count !== 2 || books.errors !== 0 || !(books.latency.p50 >= 35) || !(books.latency.p99 >= books.latency.p50)) {
+        throw new Error(`Unexpected book metrics: ${JSON.stringify(books)}`);
+      }
+      if (metrics.count !== 5 || !metrics.routes['/public/instruments'] || metrics.errors < 1) throw new Error(`Unexpected totals: ${JSON.stringify(metrics)}`);
+
+      const disabled = new OKXDexAPI({ baseURL, env: false, rateLimiter: false, retry: false, metrics: false });
+      await disabled.getTicker('BTC-USDT');
+      if (disabled.getMetrics() !== null) throw new Error('Disabled metrics should return null');
+    });
+
+    // Test 3: Retries and shared metrics
+    await test('Retries Counted Per Attempt', async () => {
+      mock.setScenario({ priceModel: 'fixed' });
+      const shared = new RequestMetrics();
+      const options = { baseURL, env: false, rateLimiter: false, metrics: shared };
+      const api = new OKXDexAPI({ ...options, retry: { baseDelay: 1, jitter: false } });
+      const other = new OKXDexAPI({ ...options, retry: false });
+
+      mock.inject({ route: '/market/ticker', code: '50013', times: 2 });
+      const ticker = await api.getTicker('BTC-USDT');
+      await other.getTicker('SOL-USDT');
+
+      const stats = shared.getStats().routes['/market/ticker'];
+      if (!ticker || stats.count !== 4 || stats.errors !== 2 || stats.errorCodes['50013'] !== 2 || api.metrics !== other.metrics) {
+        throw new Error(`Unexpected shared metrics: ${JSON.stringify(stats)}`);
+      }
+    });
+
+    // Test 4: Hooks
+    await test('Request, Response And Error Hooks', async () => {
+      mock.setScenario({ priceModel: 'fixed' });
+      const seen = [];
+      const api = new OKXDexAPI({
+        baseURL,
+        ...CREDENTIALS,
+        env: false,
+        rateLimiter: false,
+        retry: { baseDelay: 1, jitter: false },
+        hooks: {
+          request: (config, info) => {
+            seen.push(['request', info.route, info.attempt, config.headers['OK-ACCESS-SIGN'] === undefined]);
+            // Changes are made before signing
+            if (info.route === '/market/ticker') {
+              return { ...config, params: { ...config.params, instId: 'ETH-USDT' } };
+            }
+          },
+          response: (response, info) => seen.push(['response', info.method, info.latency >= 0, response.status])
+        }
+      });
+      const errors = [];
+      const removeErrorHook = api.addHook('error', (error, info) => errors.push([error.code, info.attempt, error instanceof OKXError]));
+
+      const ticker = await api.getTicker('BTC-USDT');
+      if (ticker.symbol !== 'ETH-USDT') throw new Error('Request hook changes not applied');
+      if (JSON.stringify(seen) !== JSON.stringify([['request', '/market/ticker', 0, true], ['response', 'GET', true, 200]])) {
+        throw new Error(`Unexpected hook calls: ${JSON.stringify(seen)}`);
+      }
+
+      mock.inject({ route: '/account/balance', code: '50013', times: 1 });
+      await api.getBalances();
+      if (JSON.stringify(errors) !== JSON.stringify([['50013', 0, true]]) || seen.filter(([type]) => type === 'request').pop()[2] !== 1) {
+        throw new Error(`Unexpected error hook calls: ${JSON.stringify(errors)}`);
+      }
+
+      removeErrorHook();
+      mock.inject({ route: '/account/balance', code: '50013', times: 1 });
+      await api.getBalances();
+      if (errors.length !== 1) throw new Error('Removed hook still called');
+
+      // A throwing request hook cancels the request before it is sent
+      const sent = mock.requests.length;
+      api.addHook('request', () => {
+        throw new Error('Trading halted');
+      });
+      const failure = await api.getOrderBook('BTC-USDT').catch(error => error);
+      if (!(failure instanceof Error) || !failure.message.includes('Trading halted') || mock.requests.length !== sent) {
+        throw new Error('Request hook errors should cancel the request');
+      }
+
+      let threw = false;
+      try {
+        api.addHook('retry', () => {});
+      } catch {
+        threw = true;
+      }
+      if (!threw) throw new Error('Unknown hook types should be rejected');
+    });
+  } finally {
+    await mock.stop();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Request metrics are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRequestMetricsTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runRequestMetricsTests };
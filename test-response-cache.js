@@ -0,0 +1,205 @@
+/**
+ * Test suite for the response cache
+ *
+ * A local HTTP stand-in counts requests per route and can be switched to
+ * fail, so tests can tell cache hits, coalesced calls and stale values apart.
+ */
+
+import http from 'http';
+import OKXDexAPI from './okx-dex-api.js';
+import ResponseCache from './response-cache.js';
+import { createTestRunner } from './test-utils.js';
+
+const TICKER = {
+  instId: 'BTC-USDT', last: '100', open24h: '90', high24h: '110', low24h: '80',
+  vol24h: '1000', volCcy24h: '100000', ts: '1700000000000'
+};
+
+/**
+ * Start a local stand-in that replies slowly enough for calls to overlap
+ */
+function startCountingServer() {
+  const state = { hits: 0, fail: false, last: '100' };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.hits++;
+
+    setTimeout(() => {
+      if (state.fail) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: '50013', msg: 'Systems are busy', data: [] }));
+        return;
+      }
+      const instId = url.searchParams.get('instId') || 'BTC-USDT';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: '0', msg: '', data: [{ ...TICKER, instId, last: state.last }] }));
+    }, 20);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Test runner
+ */
+async function runResponseCacheTests() {
+  console.log('🧪 Response Cache Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const { server, state, baseURL } = await startCountingServer();
+  const createApi = cache => {
+    const api = new OKXDexAPI({ rateLimiter: false, retry: false, cache });
+    api.baseURL = baseURL;
+    return api;
+  };
+  const reset = () => {
+    state.hits = 0;
+    state.fail = false;
+    state.last = '100';
+  };
+
+  try {
+    // Test 1: Opt-in only
+    await test('Caching Disabled By Default', async () => {
+      reset();
+      const api = createApi(undefined);
+      await api.getTicker('BTC-USDT');
+      await api.getTicker('BTC-USDT');
+
+      if (state.hits !== 2) throw new Error('Requests should not be cached by default');
+      if (api.getCacheStats() !== null) throw new Error('Stats should be null without a cache');
+    });
+
+    // Test 2: TTL hits
+    await test('Cache Hits Within TTL', async () => {
+      reset();
+      const api = createApi({ ttl: { getTicker: 100 } });
+      await api.getTicker('BTC-USDT');
+      state.last = '105';
+      const cached = await api.getTicker('BTC-USDT');
+      await api.getTicker('ETH-USDT');
+
+      if (state.hits !== 2) throw new Error(`Expected 2 requests, got ${state.hits}`);
+      if (cached.lastPrice !== 100) throw new Error('Cached value not returned');
+
+      await delay(120);
+      const fresh = await api.getTicker('BTC-USDT');
+      if (state.hits !== 3 || fresh.lastPrice !== 105) throw new Error('Expired value should be refetched');
+    });
+
+    // Test 3: Single flight
+    await test('In-Flight Coalescing', async () => {
+      reset();
+      const api = createApi(true);
+      const results = await Promise.all([1, 2, 3, 4, 5].map(() => api.get24hStats('SPOT')));
+
+      if (state.hits !== 1) throw new Error(`Expected 1 request, got ${state.hits}`);
+      if (results.some(result => result !== results[0])) throw new Error('Callers should share the result');
+
+      const stats = api.getCacheStats().methods.get24hStats;
+      if (stats.misses !== 1 || stats.coalesced !== 4 || stats.hitRate !== 0.8) {
+        throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+      }
+    });
+
+    // Test 4: Stale on failure
+    await test('Serve Stale On Refresh Failure', async () => {
+      reset();
+      const api = createApi({ ttl: { getTicker: 20 } });
+      await api.getTicker('BTC-USDT');
+      await delay(30);
+
+      state.fail = true;
+      const stale = await api.getTicker('BTC-USDT');
+      if (stale.lastPrice !== 100) throw new Error('Stale value not served');
+
+      const stats = api.getCacheStats();
+      if (stats.stale !== 1 || stats.errors !== 1) throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+    });
+
+    // Test 5: Stale limits
+    await test('Stale Serving Limits', async () => {
+      reset();
+      const strict = createApi({ ttl: { getTicker: 20 }, serveStale: false });
+      await strict.getTicker('BTC-USDT');
+      await delay(30);
+      state.fail = true;
+
+      let threw = false;
+      try {
+        await strict.getTicker('BTC-USDT');
+      } catch (error) {
+        threw = error.code === '50013';
+      }
+      if (!threw) throw new Error('serveStale: false should rethrow');
+
+      state.fail = false;
+      const bounded = createApi({ ttl: { getTicker: 10 }, staleTTL: 10 });
+      await bounded.getTicker('BTC-USDT');
+      await delay(40);
+      state.fail = true;
+      threw = false;
+      try {
+        await bounded.getTicker('BTC-USDT');
+      } catch {
+        threw = true;
+      }
+      if (!threw) throw new Error('Values older than staleTTL should not be served');
+    });
+
+    // Test 6: Shared cache, clearing and eviction
+    await test('Shared Cache, Clear And Eviction', async () => {
+      reset();
+      const cache = new ResponseCache({ ttl: { getTicker: 10000 }, maxEntries: 2 });
+      const a = createApi(cache);
+      const b = createApi(cache);
+
+      await a.getTicker('BTC-USDT');
+      await b.getTicker('BTC-USDT');
+      if (state.hits !== 1) throw new Error('Clients should share the cache');
+
+      await a.getTicker('ETH-USDT');
+      await a.getTicker('SOL-USDT');
+      if (cache.getStats().entries !== 2) throw new Error('Oldest entry should be evicted');
+      await a.getTicker('BTC-USDT');
+      if (state.hits !== 4) throw new Error('Evicted entry should be refetched');
+
+      cache.clear('getTicker');
+      if (cache.getStats().entries !== 0) throw new Error('Clear should drop entries');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Response cache is working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResponseCacheTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runResponseCacheTests };
@@ -0,0 +1,259 @@
+/**
+ * Test suite for the pluggable HTTP transports
+ *
+ * Records a local HTTP stand-in to a fixture file, then replays the fixture
+ * with the stand-in shut down.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import OKXDexAPI from './okx-dex-api.js';
+import {
+  createFetchTransport,
+  createRecordTransport,
+  createReplayTransport,
+  transportFromEnv
+} from './transport.js';
+import {
+  InvalidInstrumentError,
+  NetworkTimeoutError,
+  RateLimitError,
+  UnmatchedRequestError
+} from './okx-errors.js';
+import { createTestRunner, expectError } from './test-utils.js';
+
+const COMMITTED_FIXTURES = fileURLToPath(new URL('./fixtures/okx.json', import.meta.url));
+
+const TICKER = {
+  instId: 'BTC-USDT', last: '100', open24h: '90', high24h: '110', low24h: '80',
+  vol24h: '1000', volCcy24h: '100000', ts: '1700000000000'
+};
+
+const BOOK = { bids: [['99', '1', '0', '1']], asks: [['101', '2', '0', '1']], ts: '1700000000000' };
+
+/**
+ * Start a local stand-in for the ticker and books routes
+ * 'BAD-PAIR' gets code 51001 and 'LIMITED-PAIR' HTTP 429; every reply moves the price up.
+ */
+function startMarketServer() {
+  const state = { requests: [], last: 100 };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const instId = url.searchParams.get('instId');
+    state.requests.push({ path: url.pathname, headers: req.headers });
+
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Set-Cookie': 'session=secret' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (instId === 'BAD-PAIR') {
+      return reply(200, { code: '51001', msg: "Instrument ID doesn't exist", data: [] });
+    }
+    if (instId === 'LIMITED-PAIR') {
+      return reply(429, { code: '50011', msg: 'Too Many Requests', data: [] });
+    }
+    if (url.pathname.endsWith('/market/books')) {
+      return reply(200, { code: '0', msg: '', data: [BOOK] });
+    }
+    reply(200, { code: '0', msg: '', data: [{ ...TICKER, instId, last: String(state.last++) }] });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseURL: `http://127.0.0.1:${server.address().port}/api/v5` });
+    });
+  });
+}
+
+/**
+ * Test runner
+ */
+async function runTransportTests() {
+  console.log('🧪 HTTP Transport Tests\n');
+
+  const { test, results } = createTestRunner();
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'okx-fixtures-'));
+  const fixtureFile = path.join(directory, 'market', 'okx.json');
+  const { server, state, baseURL } = await startMarketServer();
+  const createApi = (transport, options = {}) => {
+    const api = new OKXDexAPI({ rateLimiter: false, retry: false, transport, ...options });
+    api.baseURL = baseURL;
+    return api;
+  };
+
+  let recorded = null;
+
+  try {
+    // Test 1: Record mode
+    await test('Record Writes Fixtures', async () => {
+      const record = createRecordTransport(fixtureFile);
+      const api = createApi(record, { apiKey: 'key', secretKey: 'secret', passphrase: 'pass' });
+
+      const first = await api.getTicker('BTC-USDT');
+      const second = await api.getTicker('BTC-USDT');
+      const book = await api.getOrderBook('BTC-USDT', 5);
+      const error = await expectError(api.getTicker('BAD-PAIR'));
+      recorded = { first, second, book };
+
+      if (first.lastPrice !== 100 || second.lastPrice !== 101) throw new Error('Requests should pass through');
+      if (!(error instanceof InvalidInstrumentError)) throw new Error('OKX errors should still be typed');
+      if (!state.requests[0].headers['ok-access-sign']) throw new Error('Requests should still be signed');
+
+      const fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+      if (fixtures.recordings.length !== 4) throw new Error(`Expected 4 recordings, got ${fixtures.recordings.length}`);
+      if (!fixtures.recordings[2].request.url.includes('sz=5')) throw new Error('Query string not recorded');
+
+      const serialized = JSON.stringify(fixtures);
+      if (serialized.includes('OK-ACCESS') || serialized.includes('session=secret')) throw new Error('Secrets should not be recorded');
+
+      // A second client recording to the same file adds to it
+      await createApi(createRecordTransport(fixtureFile)).getOrderBook('ETH-USDT', 1);
+      const combined = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+      if (combined.recordings.length !== 5 || record.recordings.length !== 5) throw new Error('Transports for one file should share recordings');
+    });
+  } finally {
+    server.close();
+  }
+
+  // Test 2: Replay without a server, against another host
+  await test('Replay Serves Fixtures Offline', async () => {
+    const api = new OKXDexAPI({ rateLimiter: false, retry: false, transport: createReplayTransport(fixtureFile) });
+
+    const first = await api.getTicker('BTC-USDT');
+    const second = await api.getTicker('BTC-USDT');
+    const third = await api.getTicker('BTC-USDT');
+    const book = await api.getOrderBook('BTC-USDT', 5);
+
+    if (JSON.stringify(first) !== JSON.stringify(recorded.first)) throw new Error('First replay differs');
+    if (second.lastPrice !== 101) throw new Error('Identical requests should replay in order');
+    if (third.lastPrice !== 101) throw new Error('The last recording should repeat');
+    if (JSON.stringify(book) !== JSON.stringify(recorded.book)) throw new Error('Book replay differs');
+
+    const error = await expectError(api.getTicker('BAD-PAIR'));
+    if (!(error instanceof InvalidInstrumentError)) throw new Error('Recorded OKX errors should replay as typed errors');
+  });
+
+  // Test 3: Unmatched requests fail
+  await test('Replay Fails On Unmatched Requests', async () => {
+    const api = new OKXDexAPI({ transport: createReplayTransport(fixtureFile), rateLimiter: false });
+
+    const unknownPair = await expectError(api.getTicker('ETH-USDT'));
+    const otherDepth = await expectError(api.getOrderBook('BTC-USDT', 20));
+
+    for (const error of [unknownPair, otherDepth]) {
+      if (!(error instanceof UnmatchedRequestError)) throw new Error(`Expected UnmatchedRequestError, got ${error.name}`);
+      if (error.attempts !== 1) throw new Error('Unmatched requests should not be retried');
+    }
+    if (unknownPair.route !== '/market/ticker') throw new Error('Route not set');
+  });
+
+  // Test 4: Fetch backend and a proxy-style wrapper
+  const live = await startMarketServer();
+  try {
+    await test('Fetch Transport', async () => {
+      const api = createApi(createFetchTransport());
+      api.baseURL = live.baseURL;
+
+      const ticker = await api.getTicker('BTC-USDT');
+      if (ticker.symbol !== 'BTC-USDT' || typeof ticker.lastPrice !== 'number') throw new Error('Ticker not normalized');
+
+      const limited = await expectError(api.getTicker('LIMITED-PAIR'));
+      if (!(limited instanceof RateLimitError) || limited.httpStatus !== 429) throw new Error('HTTP errors should be typed');
+    });
+
+    await test('Custom Transport As Proxy', async () => {
+      const seen = [];
+      const base = createFetchTransport();
+      const proxy = request => {
+        seen.push(request.url);
+        return base({ ...request, url: request.url.replace('https://www.okx.com/api/v5', live.baseURL) });
+      };
+
+      const api = new OKXDexAPI({ rateLimiter: false, retry: false, transport: proxy, demoTrading: true });
+      const ticker = await api.getTicker('BTC-USDT');
+
+      if (ticker.symbol !== 'BTC-USDT') throw new Error('Proxied request failed');
+      if (seen[0] !== 'https://www.okx.com/api/v5/market/ticker?instId=BTC-USDT') throw new Error(`Unexpected URL: ${seen[0]}`);
+      if (live.state.requests.at(-1).headers['x-simulated-trading'] !== '1') throw new Error('Headers should reach the transport');
+    });
+  } finally {
+    live.server.close();
+  }
+
+  // Test 5: Network failures
+  await test('Fetch Network Errors Are Typed', async () => {
+    const api = createApi(createFetchTransport());
+    const error = await expectError(api.getTicker('BTC-USDT'));
+    if (!(error instanceof NetworkTimeoutError)) throw new Error(`Expected NetworkTimeoutError, got ${error.name}: ${error.message}`);
+  });
+
+  // Test 6: Environment selection
+  await test('Transport From Environment', async () => {
+    if (transportFromEnv({}) !== null) throw new Error('No transport expected by default');
+
+    const api = new OKXDexAPI({
+      rateLimiter: false,
+      transport: transportFromEnv({ OKX_TRANSPORT: 'replay', OKX_FIXTURES: fixtureFile })
+    });
+    if ((await api.getTicker('BTC-USDT')).lastPrice !== 100) throw new Error('Replay transport not used');
+
+    let threw = false;
+    try {
+      transportFromEnv({ OKX_TRANSPORT: 'carrier-pigeon' });
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error('Unknown modes should be rejected');
+  });
+
+  // Test 7: The committed fixture covers simple-test.js and test-complete-system.js
+  await test('Committed Fixture Replays Offline', async () => {
+    const api = new OKXDexAPI({
+      env: false,
+      rateLimiter: false,
+      retry: false,
+      transport: transportFromEnv({ OKX_TRANSPORT: 'replay', OKX_FIXTURES: COMMITTED_FIXTURES })
+    });
+
+    const ticker = await api.getTicker('BTC-USDT');
+    const ethBook = await api.getOrderBook('ETH-USDT', 3);
+    const stats = await api.get24hStats('SPOT');
+    const tickers = await api.getTickers(['BTC-USDT', 'ETH-USDT', 'SOL-USDC']);
+    const btcBook = await api.getOrderBook('BTC-USDT');
+    if (!(ticker.lastPrice > 0) || ethBook.asks.length !== 3 || btcBook.bids.length !== 20 || stats.length === 0 || tickers.length !== 3) {
+      throw new Error('Fixture responses incomplete');
+    }
+  });
+
+  fs.rmSync(directory, { recursive: true, force: true });
+
+  console.log(`\n📊 Test Results: ${results.passed}/${results.total} tests passed`);
+
+  if (results.passed === results.total) {
+    console.log('✅ All tests passed! Transports are working correctly.');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please check the implementation.');
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTransportTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runTransportTests };
@@ -0,0 +1,42 @@
+/**
+ * Helpers shared by the test suites
+ */
+
+/**
+ * Create a suite's test() function and the counts it keeps
+ * test(name, fn) awaits fn, prints ✅ or ❌ with the error message and never throws.
+ * @returns {Object} { test, results } where results is { passed, total }
+ */
+export function createTestRunner() {
+  const results = { passed: 0, total: 0 };
+  const test = async (name, fn) => {
+    results.total++;
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  };
+  return { test, results };
+}
+
+/**
+ * Wait for a call that must fail and return its error
+ * @param {Promise|Function} action - Pending call, or a function that makes it
+ * @param {Function} ErrorClass - Class the error must be an instance of (optional)
+ * @param {string} description - What was expected to fail, for the failure message (optional)
+ * @returns {Promise<Error>} The error
+ */
+export async function expectError(action, ErrorClass = null, description = 'the call') {
+  try {
+    await (typeof action === 'function' ? action() : action);
+  } catch (error) {
+    if (ErrorClass && !(error instanceof ErrorClass)) {
+      throw new Error(`Expected ${ErrorClass.name} for ${description}, got ${error.name}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`Expected ${description} to fail`);
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Offline test runner for the OKX DEX API module
+ *
+ * Runs every suite that works without network access. The live API checks
+ * remain in simple-test.js and test-complete-system.js.
+ */
+
+import { runAuthTests } from './test-okx-auth.js';
+import { runWebSocketTests } from './test-okx-websocket.js';
+import { runDexTests } from './test-okx-dex.js';
+import { runLocalOrderBookTests } from './test-local-order-book.js';
+import { runOrderBookAnalyticsTests } from './test-orderbook-analytics.js';
+import { runRateLimiterTests } from './test-rate-limiter.js';
+import { runErrorTests } from './test-okx-errors.js';
+import { runHistoryTests } from './test-okx-history.js';
+import { runDerivativesTests } from './test-okx-derivatives.js';
+import { runInstrumentRegistryTests } from './test-instrument-registry.js';
+import { runNumericTests } from './test-okx-numeric.js';
+import { runResponseCacheTests } from './test-response-cache.js';
+import { runTickersTests } from './test-okx-tickers.js';
+import { runTransportTests } from './test-transport.js';
+import { runMockServerTests } from './test-okx-mock-server.js';
+import { runCliTests } from './test-okx-cli.js';
+import { runIndicatorTests } from './test-indicators.js';
+import { runBarBuilderTests } from './test-bar-builder.js';
+import { runMarketScannerTests } from './test-market-scanner.js';
+import { runAlertEngineTests } from './test-alert-engine.js';
+import { runConfigTests } from './test-okx-config.js';
+import { runTradingTests } from './test-okx-trading.js';
+import { runAccountTests } from './test-okx-account.js';
+import { runPollingWatcherTests } from './test-polling-watcher.js';
+import { runRequestMetricsTests } from './test-request-metrics.js';
+
+const suites = [
+  runAuthTests,
+  runWebSocketTests,
+  runDexTests,
+  runLocalOrderBookTests,
+  runOrderBookAnalyticsTests,
+  runRateLimiterTests,
+  runErrorTests,
+  runHistoryTests,
+  runDerivativesTests,
+  runInstrumentRegistryTests,
+  runNumericTests,
+  runResponseCacheTests,
+  runTickersTests,
+  runTransportTests,
+  runMockServerTests,
+  runCliTests,
+  runIndicatorTests,
+  runBarBuilderTests,
+  runMarketScannerTests,
+  runAlertEngineTests,
+  runConfigTests,
+  runTradingTests,
+  runAccountTests,
+  runPollingWatcherTests,
+  runRequestMetricsTests
+];
+
+async function runAllTests() {
+  let failedSuites = 0;
+
+  for (const suite of suites) {
+    const success = await suite();
+    if (!success) failedSuites++;
+    console.log('');
+  }
+
+  console.log('='.repeat(50));
+  if (failedSuites === 0) {
+    console.log(`✅ All ${suites.length} test suites passed`);
+  } else {
+    console.log(`❌ ${failedSuites}/${suites.length} test suites failed`);
+  }
+
+  return failedSuites === 0;
+}
+
+runAllTests()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });